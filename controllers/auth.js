@@ -1,61 +1,284 @@
 const express = require('express');
 const router = express.Router();
 
-const bcrypt = require('bcrypt');
 const User = require('../models/user');
-const jwt = require('jsonwebtoken');
+const verifyToken = require('../middleware/verify-token');
+const {
+  startSession,
+  rotateSession,
+  findRefreshSession,
+  revokeSession,
+  revokeAllSessions,
+} = require('../services/sessions');
+const { issueUserToken, consumeUserToken, sendVerification } = require('../services/user-tokens');
+const { sendMail } = require('../services/mailer');
+const { passwordResetEmail } = require('../services/mailer/templates');
+const {
+  ipRetryAfterMs,
+  recordIpFailure,
+  accountRetryAfterMs,
+  recordAccountFailure,
+  clearAccountFailures,
+} = require('../services/login-throttle');
+const { hashPassword, checkPassword, newPasswordProblem } = require('../services/passwords');
 
 
-const saltRounds = 12;  // Random string of characters is added to the password before hashing it.  
-
 //SIGN UP
+// Conflicts and validation problems come back per field:
+//   { err, fields: { username?: '...', email?: '...', password?: '...' } }
 
 router.post('/sign-up', async (req, res) => {
   try {
-    const userInDatabase = await User.findOne({ username: req.body.username });
-    
-    if (userInDatabase) {
-      return res.status(409).json({err: 'Username already taken, Try again!.'});
+    const username = String(req.body.username ?? '').trim();
+    const email = String(req.body.email ?? '').trim().toLowerCase();
+
+    const fields = {};
+    if (!username) fields.username = 'Username is required.';
+    else if (username.includes('@')) fields.username = 'Username cannot contain "@".';
+    if (!email) fields.email = 'Email is required.';
+    const passwordProblem = typeof req.body.password !== 'string' || !req.body.password
+      ? 'Password is required.'
+      : newPasswordProblem(req.body.password);
+    if (passwordProblem) fields.password = passwordProblem;
+    if (Object.keys(fields).length) {
+      return res.status(400).json({ err: Object.values(fields)[0], fields });
+    }
+
+    const [usernameTaken, emailTaken] = await Promise.all([
+      User.findByUsername(username).select('_id').lean(),
+      User.findOne({ email }).select('_id').lean(),
+    ]);
+    if (usernameTaken) fields.username = 'Username already taken.';
+    if (emailTaken) fields.email = 'An account with that email already exists.';
+    if (Object.keys(fields).length) {
+      return res.status(409).json({ err: Object.values(fields)[0], fields });
     }
-    
+
     const user = await User.create({
-      username: req.body.username,
-      email:req.body.email,
-      hashedPassword: bcrypt.hashSync(req.body.password, saltRounds)
+      username,
+      email,
+      hashedPassword: hashPassword(req.body.password)
     });
 
-    const payload = { username: user.username, _id: user._id };
+    await sendVerification(user);
 
-    const token = jwt.sign({ payload }, process.env.JWT_SECRET);
+    const tokens = await startSession(user, req);
 
-    res.status(201).json({ token });
+    res.status(201).json(tokens);
   } catch (err) {
+    // lost a race with another sign-up for the same username/email
+    if (err.code === 11000) {
+      const field = Object.keys(err.keyPattern || err.keyValue || {})[0] || 'username';
+      const message = field === 'email'
+        ? 'An account with that email already exists.'
+        : 'Username already taken.';
+      return res.status(409).json({ err: message, fields: { [field]: message } });
+    }
+    if (err.name === 'ValidationError') {
+      const fields = Object.fromEntries(
+        Object.entries(err.errors).map(([path, e]) => [path === 'hashedPassword' ? 'password' : path, e.message])
+      );
+      return res.status(400).json({ err: Object.values(fields)[0], fields });
+    }
     res.status(400).json({ err: err.message });
   }
 });
 
 
 // SIGN IN
+// body: { identifier, password } — identifier is a username (any case) or an email.
+// (`userId` / `username` / `email` are accepted in place of `identifier`.)
+// Repeated failures lock the account, and the IP, for a while (429 + Retry-After).
 
 router.post('/sign-in', async (req, res) => {
   try {
-    const user = await User.findOne({ username: req.body.userId });
+    const ip = req.ip || '';
+    const identifier = req.body.identifier ?? req.body.userId ?? req.body.username ?? req.body.email;
+
+    const ipWait = ipRetryAfterMs(ip);
+    if (ipWait > 0) {
+      res.set('Retry-After', String(Math.ceil(ipWait / 1000)));
+      return res.status(429).json({ err: 'Too many failed sign-in attempts. Try again later.', code: 'TOO_MANY_ATTEMPTS' });
+    }
+
+    if (!identifier || typeof req.body.password !== 'string') {
+      return res.status(400).json({ err: 'Username or email and password are required.' });
+    }
+
+    const user = await User.findByLogin(identifier);
     if (!user) {
+      recordIpFailure(ip);
       return res.status(401).json({ err: 'Invalid credentials.' });
     }
 
-    const isPasswordCorrect = bcrypt.compareSync(
-      req.body.password, user.hashedPassword
-    );
+    const accountWait = accountRetryAfterMs(user);
+    if (accountWait > 0) {
+      res.set('Retry-After', String(Math.ceil(accountWait / 1000)));
+      return res.status(429).json({ err: 'Account temporarily locked after too many failed attempts.', code: 'ACCOUNT_LOCKED' });
+    }
+
+    const isPasswordCorrect = checkPassword(req.body.password, user.hashedPassword);
     if (!isPasswordCorrect) {
+      recordIpFailure(ip);
+      await recordAccountFailure(user);
       return res.status(401).json({ err: 'Invalid credentials.' });
     }
 
-    const payload = { username: user.username, _id: user._id };
+    await clearAccountFailures(user);
+
+    const tokens = await startSession(user, req);
+
+    res.status(200).json(tokens);
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// FORGOT PASSWORD
+// body: { email } — always answers the same way so addresses can't be probed
+
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    if (!email) {
+      return res.status(400).json({ err: 'Email is required.' });
+    }
+
+    const user = await User.findOne({ email });
+    if (user) {
+      const token = await issueUserToken(user._id, 'password-reset');
+      try {
+        await sendMail(passwordResetEmail(user, token));
+      } catch (err) {
+        console.error('Failed to send password reset email:', err.message);
+      }
+    }
+
+    res.status(200).json({ message: 'If that email has an account, a reset link is on its way.' });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+
+// RESET PASSWORD
+// body: { token, password } — the token is single-use; every session is signed out
+
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const passwordProblem = newPasswordProblem(password);
+    if (passwordProblem) {
+      return res.status(400).json({ err: passwordProblem });
+    }
+
+    const used = await consumeUserToken(token, 'password-reset');
+    if (!used) {
+      return res.status(400).json({ err: 'Reset link is invalid or has expired.', code: 'RESET_TOKEN_INVALID' });
+    }
+
+    const user = await User.findById(used.user);
+    if (!user) {
+      return res.status(400).json({ err: 'Reset link is invalid or has expired.', code: 'RESET_TOKEN_INVALID' });
+    }
+
+    user.hashedPassword = hashPassword(password);
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = null;
+    await user.save();
+    await revokeAllSessions(user._id, 'password-reset');
+
+    res.status(200).json({ message: 'Password updated. Please sign in again.' });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
 
-    const token = jwt.sign({ payload }, process.env.JWT_SECRET);
 
-    res.status(200).json({ token });
+// RESEND VERIFICATION EMAIL (signed in)
+
+router.post('/verify-email/request', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ err: 'User not found.' });
+    }
+    if (user.emailVerified) {
+      return res.status(200).json({ message: 'Email already verified.' });
+    }
+
+    await sendVerification(user);
+
+    res.status(200).json({ message: 'Verification email sent.' });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+
+// VERIFY EMAIL
+// body: { token } — only verifies the address the link was sent to
+
+router.post('/verify-email', async (req, res) => {
+  try {
+    const used = await consumeUserToken(req.body.token, 'email-verification');
+    if (!used) {
+      return res.status(400).json({ err: 'Verification link is invalid or has expired.', code: 'VERIFY_TOKEN_INVALID' });
+    }
+
+    const user = await User.findById(used.user);
+    if (!user || user.email !== used.email) {
+      return res.status(400).json({ err: 'Verification link is invalid or has expired.', code: 'VERIFY_TOKEN_INVALID' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    res.status(200).json({ message: 'Email verified.' });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+
+// REFRESH
+// body: { refreshToken } -> new access token and a rotated refresh token
+
+router.post('/refresh', async (req, res) => {
+  try {
+    const tokens = await rotateSession(req.body.refreshToken, (userId) => User.findById(userId));
+    res.status(200).json(tokens);
+  } catch (err) {
+    if (err.code) return res.status(err.status).json({ err: err.message, code: err.code });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+
+// SIGN OUT (this session)
+// body: { refreshToken } — works even after the access token has expired
+
+router.post('/sign-out', async (req, res) => {
+  try {
+    const session = await findRefreshSession(req.body.refreshToken);
+    await revokeSession(session._id);
+
+    res.status(200).json({ message: 'Signed out.' });
+  } catch (err) {
+    if (err.code) return res.status(err.status).json({ err: err.message, code: err.code });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+
+// SIGN OUT EVERYWHERE (every session for the signed-in user)
+
+router.post('/sign-out-all', verifyToken, async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user._id);
+
+    res.status(200).json({ message: 'Signed out everywhere.', sessionsRevoked: result.modifiedCount });
   } catch (err) {
     res.status(500).json({ err: err.message });
   }
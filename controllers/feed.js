@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+
+const verifyToken = require('../middleware/verify-token');
+const { getFeed } = require('../services/feed');
+
+// GET /feed?cursor=&limit=
+// Recent public lists, locations and activities from the people you follow,
+// newest first. Pass back `nextCursor` to get the next page.
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const limit = Math.min(50, Math.max(1, Number.parseInt(req.query.limit, 10) || 20));
+    const { items, nextCursor } = await getFeed(req.user._id, { cursor: req.query.cursor, limit });
+
+    res.json({ items, nextCursor });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ err: err.message });
+    }
+    res.status(500).json({ err: err.message });
+  }
+});
+
+module.exports = router;
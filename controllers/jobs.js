@@ -0,0 +1,66 @@
+const express = require("express");
+const verifyToken = require("../middleware/verify-token.js");
+const requireOperator = require("../middleware/require-operator.js");
+const Job = require("../models/job.js");
+const JobRun = require("../models/job-run.js");
+const { scheduler } = require("../services/jobs/index.js");
+const { parsePaging, pageInfo } = require("../services/paging.js");
+
+const router = express.Router();
+
+// Job state carries internal errors and instance ids, and runs are costly:
+// operators only (see middleware/require-operator.js)
+router.use(verifyToken, requireOperator);
+
+const RUN_STATUSES = ["running", "succeeded", "failed"];
+
+/* Every scheduled job's state: schedule, lock, last outcome and counters */
+router.get("/", async (req, res) => {
+  try {
+    const jobs = await Job.find({ name: { $in: scheduler.names() } }).sort({ name: 1 }).lean();
+    res.status(200).json({ instance: scheduler.instanceId, jobs });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * GET /jobs/runs?job=forecast-prewarm&status=failed&page=&limit=
+ * Run history, newest first (kept for 30 days).
+ */
+router.get("/runs", async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.job) filter.job = String(req.query.job);
+    if (req.query.status) {
+      if (!RUN_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ err: `status must be one of: ${RUN_STATUSES.join(", ")}` });
+      }
+      filter.status = req.query.status;
+    }
+
+    const paging = parsePaging(req.query);
+    const [runs, total] = await Promise.all([
+      JobRun.find(filter).sort({ startedAt: -1 }).skip(paging.skip).limit(paging.limit).lean(),
+      JobRun.countDocuments(filter),
+    ]);
+
+    res.status(200).json({ runs, ...pageInfo(paging, total) });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* Queue a job to run as soon as possible */
+router.post("/:name/run", async (req, res) => {
+  try {
+    const job = await scheduler.runNow(req.params.name);
+    if (!job) return res.status(404).json({ err: "Job not found" });
+
+    res.status(202).json({ job });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,25 +1,107 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const verifyToken = require("../middleware/verify-token.js");
+const optionalToken = require("../middleware/optional-token.js");
 const List = require("../models/list.js");
 const Location = require("../models/location.js");
+const User = require("../models/user.js");
+const Star = require("../models/star.js");
+const { getAlertsForLatLon, rollUpAlerts } = require("../services/weather/alerts.js");
+const { mapWithConcurrency } = require("../services/concurrency.js");
+const { parseThresholds, resolveThresholds } = require("../services/scoring.js");
+const { ACTIVITIES, parsePlanQuery, planLocations } = require("../services/planner.js");
+const { detectFormat, parseWaypoints, serializeWaypoints } = require("../services/geo-formats/index.js");
+const { peekForecastForLatLon } = require("../services/weather/index.js");
+const { summarizePeriod } = require("../services/weather/periods.js");
+const { parsePaging, pageInfo } = require("../services/paging.js");
+const { MAX_ROUTE_STOPS, distanceMatrix, pathLength, optimizeOrder } = require("../services/route-order.js");
+const { presentComment, threadComments, removeComment } = require("../services/comment-threads.js");
+const {
+  VISIBILITIES,
+  createShareToken,
+  MEMBER_ROLES,
+  isListOwner,
+  roleFor,
+  hasListRole,
+  canViewList,
+  discoverableListsFilter,
+  shareTokenFrom,
+} = require("../services/list-access.js");
+
+const APP_URL = (process.env.APP_URL || "http://localhost:5173").replace(/\/+$/, "");
 
 const router = express.Router();
 
-/* Helper: ensure the current user owns the list (for write ops) */
-async function getOwnedList(listId, userId) {
+/**
+ * Helper: ensure the current user holds at least `minRole` on the list
+ * (viewer < editor < owner). Non-members get 404 unless they can see the
+ * list anyway, in which case it's a plain 403.
+ */
+async function getListWithRole(listId, userId, minRole) {
   const list = await List.findById(listId);
   if (!list) return { error: { status: 404, msg: "List not found" } };
-  if (!list.owner.equals(userId)) return { error: { status: 403, msg: "Forbidden" } };
+  if (!hasListRole(list, userId, minRole)) {
+    if (!canViewList(list, { userId })) return { error: { status: 404, msg: "List not found" } };
+    return { error: { status: 403, msg: "Forbidden" } };
+  }
   return { list };
 }
 
-/* Helper: allow viewing any list (read-only) */
-async function getListById(listId) {
+/* Helper: ensure the current user owns the list (settings, sharing, members) */
+function getOwnedList(listId, userId) {
+  return getListWithRole(listId, userId, "owner");
+}
+
+/**
+ * Helper: load a list the viewer may read (see services/list-access.js).
+ * Lists the viewer can't see are reported as missing, not forbidden.
+ */
+async function getListById(listId, viewer = {}) {
   const list = await List.findById(listId);
-  if (!list) return { error: { status: 404, msg: "List not found" } };
+  if (!list || !canViewList(list, viewer)) return { error: { status: 404, msg: "List not found" } };
   return { list };
 }
 
+/**
+ * Helper: a list as returned to editors after a change — locations
+ * populated and in order; comments as a count, and share links and
+ * invitations for the owner only (like GET /lists/:listId).
+ */
+async function orderedListPayload(list, userId) {
+  await list.populate({
+    path: "locations.location",
+    select: "name longitude latitude description author",
+    populate: { path: "author", select: "username" },
+  });
+
+  const sorted = list.locations.slice().sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  const isOwner = isListOwner(list, userId);
+  const { comments, shareLinks, invitations, ...rest } = list.toObject();
+
+  return {
+    ...rest,
+    locations: sorted,
+    commentCount: comments.filter((c) => !c.deleted).length,
+    shareLinks: isOwner ? list.shareLinks.map((l) => l.toJSON()) : undefined,
+    invitations: isOwner ? invitations : undefined,
+  };
+}
+
+/* Helper: who is asking — signed-in user (if any) and share token (if any) */
+function viewerFrom(req) {
+  return { userId: req.user?._id, shareToken: shareTokenFrom(req) };
+}
+
+function parseVisibility(value) {
+  if (value === undefined) return undefined;
+  if (!VISIBILITIES.includes(value)) {
+    const err = new Error(`visibility must be one of: ${VISIBILITIES.join(", ")}`);
+    err.status = 400;
+    throw err;
+  }
+  return value;
+}
+
 /**
  * Normalize coords into a deterministic key for de-duping within a list.
  * Uses 1e6 scaling to avoid float/string differences (e.g. "37.77" vs "37.7700").
@@ -34,28 +116,51 @@ function coordKeyFrom(lon, lat) {
   return `${loE6}|${laE6}`;
 }
 
-/* Get all lists for current user */
+/**
+ * Find-or-create the caller's Location at exactly these coordinates
+ * (per-user uniqueness on author + lon/lat); the name is always refreshed.
+ */
+function upsertAuthoredLocation(userId, { name, longitude, latitude, description = "" }) {
+  return Location.findOneAndUpdate(
+    { author: userId, longitude, latitude },
+    {
+      $setOnInsert: {
+        author: userId,
+        longitude,
+        latitude,
+        description,
+      },
+      $set: { name },
+    },
+    { new: true, upsert: true }
+  );
+}
+
+/* Get all lists the current user owns or is a member of (each with the caller's `role`) */
 router.get("/", verifyToken, async (req, res) => {
   try {
-    const lists = await List.find({ owner: req.user._id })
+    const lists = await List.find({ $or: [{ owner: req.user._id }, { "members.user": req.user._id }] })
+      .select("-shareLinks.tokenHash -invitations")
       .sort({ updatedAt: -1 })
       .lean();
 
-    res.status(200).json(lists);
+    res.status(200).json(lists.map((l) => ({ ...l, role: roleFor(l, req.user._id) })));
   } catch (err) {
     res.status(500).json({ err: err.message });
   }
 });
 
-/* Create a new list: body: { name, description? } */
+/* Create a new list: body: { name, description?, visibility? } (private by default) */
 router.post("/", verifyToken, async (req, res) => {
   try {
     const { name, description = "" } = req.body;
     if (!name) return res.status(400).json({ err: "name is required" });
+    const visibility = parseVisibility(req.body.visibility);
 
     const created = await List.create({
       name,
       description,
+      visibility,
       owner: req.user._id,
       locations: [],
     });
@@ -66,13 +171,15 @@ router.post("/", verifyToken, async (req, res) => {
     if (err.code === 11000) {
       return res.status(409).json({ err: "You already have a list with that name." });
     }
+    if (err.status === 400) return res.status(400).json({ err: err.message });
     res.status(500).json({ err: err.message });
   }
 });
 
 /**
  * GET /lists/search?q=...
- * Search lists across ALL users (read-only).
+ * Search public lists across all users, plus the caller's own lists
+ * (unlisted lists are only reachable through a share link).
  * Keep verifyToken so only signed-in users can search.
  */
 router.get("/search", verifyToken, async (req, res) => {
@@ -85,9 +192,9 @@ router.get("/search", verifyToken, async (req, res) => {
     const rx = new RegExp(escaped, "i");
 
     const lists = await List.find({
-      $or: [{ name: rx }, { description: rx }],
+      $and: [{ $or: [{ name: rx }, { description: rx }] }, discoverableListsFilter(req.user._id)],
     })
-      .select("name description owner updatedAt")
+      .select("name description owner visibility starCount forkCount updatedAt")
       .populate("owner", "username")
       .sort({ updatedAt: -1 })
       .limit(12)
@@ -99,13 +206,68 @@ router.get("/search", verifyToken, async (req, res) => {
   }
 });
 
+/* Pending invitations addressed to the current user */
+router.get("/invitations", verifyToken, async (req, res) => {
+  try {
+    const lists = await List.find({
+      invitations: { $elemMatch: { user: req.user._id, status: "pending" } },
+    })
+      .select("name description owner invitations")
+      .populate("owner", "username")
+      .lean();
+
+    const invitations = lists.flatMap((l) =>
+      l.invitations
+        .filter((i) => i.status === "pending" && String(i.user) === String(req.user._id))
+        .map((i) => ({
+          _id: i._id,
+          role: i.role,
+          createdAt: i.createdAt,
+          list: { _id: l._id, name: l.name, description: l.description, owner: l.owner },
+        }))
+    );
+
+    res.status(200).json({ invitations });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* Lists the current user starred (newest star first, paged); ones they can no longer see are skipped */
+router.get("/starred", verifyToken, async (req, res) => {
+  try {
+    const paging = parsePaging(req.query);
+    const [stars, total] = await Promise.all([
+      Star.find({ user: req.user._id }).sort({ createdAt: -1 }).skip(paging.skip).limit(paging.limit).lean(),
+      Star.countDocuments({ user: req.user._id }),
+    ]);
+
+    const lists = await List.find({ _id: { $in: stars.map((s) => s.list) } })
+      .select("name description owner visibility members starCount forkCount updatedAt")
+      .populate("owner", "username")
+      .lean();
+    const byId = new Map(lists.map((l) => [String(l._id), l]));
+
+    const starred = stars
+      .map((s) => ({ list: byId.get(String(s.list)), starredAt: s.createdAt }))
+      .filter(({ list }) => list && canViewList(list, { userId: req.user._id }))
+      .map(({ list: { members, ...list }, starredAt }) => ({ ...list, starredAt }));
+
+    res.status(200).json({ lists: starred, ...pageInfo(paging, total) });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
 /**
- * Get one list (viewable by any signed-in user)
- * Returns populated locations and sorted by order.
+ * Get one list: public lists for anyone, unlisted ones with ?share=<token>
+ * (or an X-Share-Token header), private ones for members only.
+ * Returns populated locations and sorted by order. Comments are paged
+ * separately (GET /lists/:listId/comments); only their count is included.
  */
-router.get("/:listId", verifyToken, async (req, res) => {
+router.get("/:listId", optionalToken, async (req, res) => {
   try {
-    const { list, error } = await getListById(req.params.listId);
+    const { list, error } = await getListById(req.params.listId, viewerFrom(req));
     if (error) return res.status(error.status).json({ err: error.msg });
 
     // populate and sort by order
@@ -115,30 +277,182 @@ router.get("/:listId", verifyToken, async (req, res) => {
     });
 
     await list.populate({ path: "owner", select: "username" });
-    await list.populate({ path: "comments.owner", select: "username" });
+    await list.populate({ path: "members.user", select: "username" });
 
     const sorted = list.locations
       .slice()
       .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
 
+    const isOwner = isListOwner(list, req.user?._id);
+
+    const { comments, ...rest } = list.toObject();
+
     res.status(200).json({
-      ...list.toObject(),
+      ...rest,
       locations: sorted,
+      commentCount: comments.filter((c) => !c.deleted).length,
+      role: roleFor(list, req.user?._id),
+      starred: req.user ? Boolean(await Star.exists({ user: req.user._id, list: list._id })) : false,
+      // share links and invitations are the owner's business
+      shareLinks: isOwner ? list.shareLinks.map((l) => l.toJSON()) : undefined,
+      invitations: isOwner ? list.invitations : undefined,
     });
   } catch (err) {
     res.status(500).json({ err: err.message });
   }
 });
 
-/* Update list metadata (name/description) — owner-only */
+/**
+ * GET /lists/:listId/alerts
+ * Active weather alerts for every location in the list, de-duplicated
+ * (each alert lists the locations it affects) and sorted most severe first.
+ * Per-location lookup failures are reported in `locations[].error`.
+ */
+router.get("/:listId/alerts", optionalToken, async (req, res) => {
+  try {
+    const { list, error } = await getListById(req.params.listId, viewerFrom(req));
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    await list.populate({ path: "locations.location", select: "name longitude latitude" });
+
+    const entries = list.locations
+      .slice()
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+      .map((e) => e.location)
+      .filter(Boolean);
+
+    const results = await mapWithConcurrency(entries, 6, async (location) => {
+      try {
+        const { provider, alerts } = await getAlertsForLatLon(location.latitude, location.longitude);
+        return { location, provider, alerts };
+      } catch (e) {
+        return { location, provider: null, alerts: [], error: e.message };
+      }
+    });
+
+    res.status(200).json({
+      listId: list._id,
+      alerts: rollUpAlerts(results),
+      locations: results.map(({ location, provider, alerts, error }) => ({
+        locationId: location._id,
+        name: location.name,
+        provider,
+        alertCount: alerts.length,
+        ...(error ? { error } : {}),
+      })),
+    });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * GET /lists/:listId/plan?activity=hike&from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Ranks every location/day in the list for the activity. Thresholds are the
+ * activity's preset, then the caller's saved hike profile, then query
+ * overrides (e.g. &maxWindMph=15). Anonymous viewers of a shared list get
+ * the preset.
+ */
+router.get("/:listId/plan", optionalToken, async (req, res) => {
+  try {
+    const { list, error } = await getListById(req.params.listId, viewerFrom(req));
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    const { activity, from, to } = parsePlanQuery(req.query);
+    const thresholds = await resolveThresholds(req.user?._id, parseThresholds(req.query), {
+      defaults: ACTIVITIES[activity].thresholds,
+    });
+
+    await list.populate({ path: "locations.location", select: "name longitude latitude" });
+
+    const locations = list.locations
+      .slice()
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+      .map((e) => e.location)
+      .filter(Boolean);
+
+    const plan = await planLocations(locations, { activity, from, to, thresholds });
+
+    res.status(200).json({ listId: list._id, activity, from, to, thresholds, ...plan });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * GET /lists/:listId/export?format=gpx|kml|geojson|csv&forecast=true
+ * Downloads the list's locations in saved order. With forecast=true each
+ * location carries a one-line summary of its latest cached forecast (no
+ * upstream calls are made; locations with nothing cached are left without).
+ */
+router.get("/:listId/export", optionalToken, async (req, res) => {
+  try {
+    const { list, error } = await getListById(req.params.listId, viewerFrom(req));
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    const format = String(req.query.format || "gpx").toLowerCase();
+    const withForecast = req.query.forecast === "true" || req.query.forecast === "1";
+
+    await list.populate({ path: "locations.location", select: "name description longitude latitude" });
+
+    const locations = list.locations
+      .slice()
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+      .map((e) => e.location)
+      .filter(Boolean);
+
+    const rows = await mapWithConcurrency(locations, 6, async (l) => {
+      const row = {
+        name: l.name,
+        description: l.description,
+        latitude: l.latitude,
+        longitude: l.longitude,
+      };
+      if (!withForecast) return row;
+
+      const cached = await peekForecastForLatLon(l.latitude, l.longitude).catch(() => null);
+      const current = cached?.periods?.[0];
+      if (!current) return row;
+
+      return {
+        ...row,
+        forecast: {
+          provider: cached.provider,
+          period: current.name,
+          startTime: current.startTime,
+          summary: `${current.name}: ${summarizePeriod(current)}`,
+        },
+      };
+    });
+
+    const { body, contentType, extension } = serializeWaypoints(
+      format,
+      { name: list.name, description: list.description },
+      rows
+    );
+
+    const slug = list.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "list";
+    res.attachment(`${slug}.${extension}`);
+    res.type(contentType);
+    res.status(200).send(body);
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* Update list metadata (name/description/visibility) — owner-only */
 router.put("/:listId", verifyToken, async (req, res) => {
   try {
     const { list, error } = await getOwnedList(req.params.listId, req.user._id);
     if (error) return res.status(error.status).json({ err: error.msg });
 
     const { name, description } = req.body;
+    const visibility = parseVisibility(req.body.visibility);
     if (name !== undefined) list.name = name;
     if (description !== undefined) list.description = description;
+    if (visibility !== undefined) list.visibility = visibility;
 
     await list.save();
     res.status(200).json(list);
@@ -146,6 +460,65 @@ router.put("/:listId", verifyToken, async (req, res) => {
     if (err.code === 11000) {
       return res.status(409).json({ err: "You already have a list with that name." });
     }
+    if (err.status === 400) return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* Share links for a list — owner-only. Tokens are never shown again after creation. */
+router.get("/:listId/share-links", verifyToken, async (req, res) => {
+  try {
+    const { list, error } = await getOwnedList(req.params.listId, req.user._id);
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    res.status(200).json({ visibility: list.visibility, shareLinks: list.shareLinks });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * POST /lists/:listId/share-links  body: { label? }
+ * Responds with the raw token and a ready-to-send URL. Links only work while
+ * the list is unlisted (or public); a private list keeps them dormant.
+ */
+router.post("/:listId/share-links", verifyToken, async (req, res) => {
+  try {
+    const { list, error } = await getOwnedList(req.params.listId, req.user._id);
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    const { token, tokenHash } = createShareToken();
+    list.shareLinks.push({ tokenHash, label: String(req.body?.label ?? "") });
+    await list.save();
+
+    const link = list.shareLinks[list.shareLinks.length - 1];
+    res.status(201).json({
+      ...link.toJSON(),
+      token,
+      url: `${APP_URL}/lists/${list._id}?share=${encodeURIComponent(token)}`,
+      visibility: list.visibility,
+    });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* Revoke a share link — owner-only */
+router.delete("/:listId/share-links/:linkId", verifyToken, async (req, res) => {
+  try {
+    const { list, error } = await getOwnedList(req.params.listId, req.user._id);
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    const link = list.shareLinks.id(req.params.linkId);
+    if (!link) return res.status(404).json({ err: "Share link not found" });
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await list.save();
+    }
+
+    res.status(200).json(link);
+  } catch (err) {
     res.status(500).json({ err: err.message });
   }
 });
@@ -157,14 +530,317 @@ router.delete("/:listId", verifyToken, async (req, res) => {
     if (error) return res.status(error.status).json({ err: error.msg });
 
     await list.deleteOne();
+    await Star.deleteMany({ list: list._id });
     res.status(200).json({ message: "List deleted" });
   } catch (err) {
     res.status(500).json({ err: err.message });
   }
 });
 
+/* Star a list you can view (idempotent) */
+router.post("/:listId/star", verifyToken, async (req, res) => {
+  try {
+    const { list, error } = await getListById(req.params.listId, viewerFrom(req));
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    let created = false;
+    try {
+      const result = await Star.updateOne(
+        { user: req.user._id, list: list._id },
+        { $setOnInsert: { user: req.user._id, list: list._id } },
+        { upsert: true }
+      );
+      created = result.upsertedCount > 0;
+    } catch (err) {
+      // lost a race with a concurrent star of the same list: already starred
+      if (err.code !== 11000) throw err;
+    }
+
+    // only the request that created the star moves the counter
+    const { starCount } = created
+      ? await List.findByIdAndUpdate(list._id, { $inc: { starCount: 1 } }, { new: true }).select("starCount").lean()
+      : list;
+
+    res.status(created ? 201 : 200).json({ starred: true, starCount });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* Unstar (idempotent; works even if you can no longer view the list) */
+router.delete("/:listId/star", verifyToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.listId)) return res.status(404).json({ err: "List not found" });
+
+    const { deletedCount } = await Star.deleteOne({ user: req.user._id, list: req.params.listId });
+
+    const list = deletedCount
+      ? await List.findOneAndUpdate(
+          { _id: req.params.listId, starCount: { $gt: 0 } },
+          { $inc: { starCount: -1 } },
+          { new: true }
+        ).select("starCount").lean()
+      : await List.findById(req.params.listId).select("starCount").lean();
+
+    res.status(200).json({ starred: false, starCount: list?.starCount ?? 0 });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+const MAX_FORK_NAME_ATTEMPTS = 20;
+
+/* "Name", "Name (fork)", "Name (fork 2)", ... */
+function forkName(base, attempt) {
+  if (attempt === 0) return base;
+  return attempt === 1 ? `${base} (fork)` : `${base} (fork ${attempt})`;
+}
+
+/**
+ * POST /lists/:listId/fork  body: { name? }
+ * Copies a list you can view — its locations, their order and the
+ * description — into a new private list you own, linked back via
+ * `forkedFrom`. An explicit name that clashes with one of your lists is a
+ * 409; otherwise the source name gets a " (fork)" / " (fork N)" suffix
+ * until it's free.
+ */
+router.post("/:listId/fork", verifyToken, async (req, res) => {
+  try {
+    const { list: source, error } = await getListById(req.params.listId, viewerFrom(req));
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    const requested = typeof req.body?.name === "string" ? req.body.name.trim() : "";
+
+    const locations = source.locations
+      .slice()
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+      .map((e, i) => ({ location: e.location, order: i, addedAt: new Date(), coordKey: e.coordKey }));
+
+    let fork = null;
+    for (let attempt = 0; !fork && attempt < MAX_FORK_NAME_ATTEMPTS; attempt++) {
+      // the first attempt keeps the source name as-is unless it's our own list
+      if (!requested && attempt === 0 && isListOwner(source, req.user._id)) continue;
+      try {
+        fork = await List.create({
+          name: requested || forkName(source.name, attempt),
+          description: source.description,
+          owner: req.user._id,
+          locations,
+          forkedFrom: { list: source._id, owner: source.owner, name: source.name, forkedAt: new Date() },
+        });
+      } catch (err) {
+        // handles unique index { owner, name }
+        if (err.code !== 11000) throw err;
+        if (requested) return res.status(409).json({ err: "You already have a list with that name." });
+      }
+    }
+    if (!fork) return res.status(409).json({ err: "Couldn't find a free name for the fork; pass one as `name`." });
+
+    await List.updateOne({ _id: source._id }, { $inc: { forkCount: 1 } });
+
+    res.status(201).json(fork);
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+function parseMemberRole(value, fallback) {
+  const role = value ?? fallback;
+  if (!MEMBER_ROLES.includes(role)) {
+    const err = new Error(`role must be one of: ${MEMBER_ROLES.join(", ")}`);
+    err.status = 400;
+    throw err;
+  }
+  return role;
+}
+
+/* Members of a list (owner + collaborators) — any member; invitations for the owner */
+router.get("/:listId/members", verifyToken, async (req, res) => {
+  try {
+    const { list, error } = await getListWithRole(req.params.listId, req.user._id, "viewer");
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    await list.populate({ path: "owner", select: "username" });
+    await list.populate({ path: "members.user", select: "username" });
+
+    const isOwner = isListOwner(list, req.user._id);
+    if (isOwner) await list.populate({ path: "invitations.user", select: "username" });
+
+    res.status(200).json({
+      owner: list.owner,
+      members: list.members,
+      invitations: isOwner ? list.invitations.filter((i) => i.status === "pending") : undefined,
+    });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * POST /lists/:listId/invitations  body: { userId | username, role: "editor" | "viewer" }
+ * Owner-only. The invitee accepts or declines from their side.
+ */
+router.post("/:listId/invitations", verifyToken, async (req, res) => {
+  try {
+    const { list, error } = await getOwnedList(req.params.listId, req.user._id);
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    const role = parseMemberRole(req.body.role, "viewer");
+
+    let invitee = null;
+    if (req.body.userId && mongoose.isValidObjectId(req.body.userId)) {
+      invitee = await User.findById(req.body.userId).select("username");
+    } else if (req.body.username) {
+      invitee = await User.findByUsername(req.body.username).select("username");
+    }
+    if (!invitee) return res.status(404).json({ err: "User not found" });
+
+    if (roleFor(list, invitee._id)) {
+      return res.status(409).json({ err: "That user is already a member of this list" });
+    }
+    const pending = list.invitations.some((i) => i.status === "pending" && i.user.equals(invitee._id));
+    if (pending) return res.status(409).json({ err: "That user already has a pending invitation" });
+
+    list.invitations.push({ user: invitee._id, role, invitedBy: req.user._id });
+    await list.save();
+
+    const invitation = list.invitations[list.invitations.length - 1];
+    res.status(201).json({ ...invitation.toObject(), user: invitee });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* Cancel a pending invitation — owner-only */
+router.delete("/:listId/invitations/:invitationId", verifyToken, async (req, res) => {
+  try {
+    const { list, error } = await getOwnedList(req.params.listId, req.user._id);
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    const invitation = list.invitations.id(req.params.invitationId);
+    if (!invitation) return res.status(404).json({ err: "Invitation not found" });
+    if (invitation.status !== "pending") {
+      return res.status(409).json({ err: `Invitation was already ${invitation.status}` });
+    }
+
+    invitation.status = "cancelled";
+    invitation.respondedAt = new Date();
+    await list.save();
+
+    res.status(200).json(invitation);
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* Accept/decline an invitation — only the invitee; others just see 404 */
+async function respondToInvitation(req, res, accept) {
+  try {
+    const list = await List.findById(req.params.listId);
+    const invitation = list?.invitations.id(req.params.invitationId);
+    if (!invitation || !invitation.user.equals(req.user._id)) {
+      return res.status(404).json({ err: "Invitation not found" });
+    }
+    if (invitation.status !== "pending") {
+      return res.status(409).json({ err: `Invitation was already ${invitation.status}` });
+    }
+
+    invitation.status = accept ? "accepted" : "declined";
+    invitation.respondedAt = new Date();
+    if (accept && !roleFor(list, req.user._id)) {
+      list.members.push({ user: req.user._id, role: invitation.role });
+    }
+    await list.save();
+
+    res.status(200).json({ invitation, listId: list._id, role: roleFor(list, req.user._id) });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+}
+
+router.post("/:listId/invitations/:invitationId/accept", verifyToken, (req, res) =>
+  respondToInvitation(req, res, true)
+);
+
+router.post("/:listId/invitations/:invitationId/decline", verifyToken, (req, res) =>
+  respondToInvitation(req, res, false)
+);
+
+/* Change a member's role — owner-only. body: { role: "editor" | "viewer" } */
+router.put("/:listId/members/:userId", verifyToken, async (req, res) => {
+  try {
+    const { list, error } = await getOwnedList(req.params.listId, req.user._id);
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    const role = parseMemberRole(req.body.role);
+    const member = list.members.find((m) => String(m.user) === req.params.userId);
+    if (!member) return res.status(404).json({ err: "Member not found" });
+
+    member.role = role;
+    await list.save();
+
+    res.status(200).json(member);
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* Remove a member — the owner removes anyone, members can remove themselves (leave) */
+router.delete("/:listId/members/:userId", verifyToken, async (req, res) => {
+  try {
+    const leaving = req.params.userId === String(req.user._id);
+    const { list, error } = await getListWithRole(req.params.listId, req.user._id, leaving ? "viewer" : "owner");
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    if (isListOwner(list, req.params.userId)) {
+      return res.status(400).json({ err: "The owner can't leave; transfer ownership first" });
+    }
+
+    const before = list.members.length;
+    list.members = list.members.filter((m) => String(m.user) !== req.params.userId);
+    if (list.members.length === before) return res.status(404).json({ err: "Member not found" });
+
+    await list.save();
+    res.status(200).json({ message: leaving ? "Left list" : "Member removed" });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * POST /lists/:listId/transfer  body: { userId }
+ * Owner-only. The new owner must already be a member; the previous owner
+ * stays on as an editor.
+ */
+router.post("/:listId/transfer", verifyToken, async (req, res) => {
+  try {
+    const { list, error } = await getOwnedList(req.params.listId, req.user._id);
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    const userId = String(req.body.userId ?? "");
+    const member = list.members.find((m) => String(m.user) === userId);
+    if (!member) return res.status(400).json({ err: "Ownership can only go to an existing member" });
+
+    const previousOwner = list.owner;
+    list.members = list.members.filter((m) => String(m.user) !== userId);
+    list.members.push({ user: previousOwner, role: "editor" });
+    list.owner = member.user;
+
+    await list.save();
+    res.status(200).json({ listId: list._id, owner: list.owner, members: list.members });
+  } catch (err) {
+    // handles unique index { owner, name } on the new owner's side
+    if (err.code === 11000) {
+      return res.status(409).json({ err: "The new owner already has a list with that name." });
+    }
+    res.status(500).json({ err: err.message });
+  }
+});
+
 /**
- * Add a location to a list (owner-only)
+ * Add a location to a list (editors and the owner)
  *
  * body can be:
  *   - { locationId }
@@ -177,7 +853,7 @@ router.delete("/:listId", verifyToken, async (req, res) => {
  */
 router.post("/:listId/locations", verifyToken, async (req, res) => {
   try {
-    const { list, error } = await getOwnedList(req.params.listId, req.user._id);
+    const { list, error } = await getListWithRole(req.params.listId, req.user._id, "editor");
     if (error) return res.status(error.status).json({ err: error.msg });
 
     let locationId = req.body.locationId;
@@ -195,19 +871,7 @@ router.post("/:listId/locations", verifyToken, async (req, res) => {
         });
       }
 
-      const upserted = await Location.findOneAndUpdate(
-        { author: req.user._id, longitude: lon, latitude: lat },
-        {
-          $setOnInsert: {
-            author: req.user._id,
-            longitude: lon,
-            latitude: lat,
-            description,
-          },
-          $set: { name },
-        },
-        { new: true, upsert: true }
-      );
+      const upserted = await upsertAuthoredLocation(req.user._id, { name, longitude: lon, latitude: lat, description });
 
       locationId = upserted._id;
     }
@@ -262,17 +926,139 @@ router.post("/:listId/locations", verifyToken, async (req, res) => {
 
     await list.save();
 
-    await list.populate({
-      path: "locations.location",
-      select: "name longitude latitude description author",
-      populate: { path: "author", select: "username" },
+    res.status(201).json(await orderedListPayload(list, req.user._id));
+  } catch (err) {
+    // Handles race-condition duplicates from unique indexes (if you add them)
+    if (err.code === 11000) {
+      return res.status(409).json({ err: "Location (or coordinates) already in this list" });
+    }
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// Bodies for the import route: the raw file, or JSON { format, content }.
+// Both get the same 2 MB limit (server.js leaves this route's JSON to us).
+const IMPORT_BODY_LIMIT = "2mb";
+const importRawBody = express.text({
+  type: [
+    "application/gpx+xml",
+    "application/vnd.google-earth.kml+xml",
+    "application/geo+json",
+    "application/xml",
+    "text/xml",
+    "text/csv",
+    "text/plain",
+  ],
+  limit: IMPORT_BODY_LIMIT,
+});
+const importJsonBody = express.json({ limit: IMPORT_BODY_LIMIT });
+
+const MAX_IMPORT_ROWS = 500;
+
+/**
+ * Import waypoints into a list (editors and the owner)
+ *
+ * POST /lists/:listId/import?format=gpx|kml|geojson|csv
+ *   - raw file as the body (format from ?format, Content-Type, or sniffed)
+ * OR
+ *   - JSON { format?, content } where content is the file text (or a GeoJSON object)
+ *
+ * Each waypoint is upserted as one of the caller's Locations (same as adding
+ * raw coordinates) and de-duplicated by coordKey against the list and the file.
+ * Responds with a per-row report: added | duplicate | rejected.
+ */
+router.post("/:listId/import", verifyToken, importRawBody, importJsonBody, async (req, res) => {
+  try {
+    const { list, error } = await getListWithRole(req.params.listId, req.user._id, "editor");
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    const isRaw = typeof req.body === "string";
+    const content = isRaw ? req.body : req.body?.content;
+    if (content == null || content === "") {
+      return res.status(400).json({ err: "Import file content is required" });
+    }
+
+    const format = detectFormat({
+      format: req.query.format ?? (isRaw ? null : req.body?.format),
+      contentType: isRaw ? req.headers["content-type"] : null,
+      content,
     });
+    if (!format) {
+      return res.status(400).json({ err: "Could not tell the file format; pass ?format=gpx|kml|geojson|csv" });
+    }
 
-    const sorted = list.locations.slice().sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+    const parsed = parseWaypoints(format, content);
+    if (parsed.length > MAX_IMPORT_ROWS) {
+      return res.status(413).json({ err: `Too many waypoints. Max ${MAX_IMPORT_ROWS}.` });
+    }
 
-    res.status(201).json({ ...list.toObject(), locations: sorted });
+    // Existing coordinate keys (back-compat for entries saved without coordKey)
+    await list.populate({ path: "locations.location", select: "longitude latitude" });
+    const seenKeys = new Set(
+      list.locations
+        .map((e) => e.coordKey || (e.location && coordKeyFrom(e.location.longitude, e.location.latitude)))
+        .filter(Boolean)
+    );
+    const seenIds = new Set(list.locations.map((e) => String(e.location?._id ?? e.location)));
+
+    let maxOrder = list.locations.reduce((m, e) => Math.max(m, e.order ?? 0), -1);
+    const rows = [];
+
+    for (const r of parsed) {
+      const base = { row: r.row, name: r.name || null, latitude: r.latitude ?? null, longitude: r.longitude ?? null };
+
+      if (r.error) {
+        rows.push({ ...base, status: "rejected", reason: r.error });
+        continue;
+      }
+
+      const coordKey = coordKeyFrom(r.longitude, r.latitude);
+      if (seenKeys.has(coordKey)) {
+        rows.push({ ...base, status: "duplicate", reason: "A location with those coordinates is already in this list" });
+        continue;
+      }
+
+      const name = r.name || `Waypoint ${r.row}`;
+      const location = await upsertAuthoredLocation(req.user._id, {
+        name,
+        longitude: r.longitude,
+        latitude: r.latitude,
+        description: r.description || "",
+      });
+
+      seenKeys.add(coordKey);
+      if (seenIds.has(String(location._id))) {
+        rows.push({ ...base, name, status: "duplicate", reason: "Location already in this list", locationId: location._id });
+        continue;
+      }
+      seenIds.add(String(location._id));
+
+      maxOrder += 1;
+      list.locations.push({
+        location: location._id,
+        order: maxOrder,
+        addedAt: new Date(),
+        coordKey,
+      });
+      rows.push({ ...base, name, status: "added", locationId: location._id });
+    }
+
+    await list.save();
+
+    const count = (status) => rows.filter((r) => r.status === status).length;
+    res.status(200).json({
+      listId: list._id,
+      format,
+      summary: {
+        total: rows.length,
+        added: count("added"),
+        duplicate: count("duplicate"),
+        rejected: count("rejected"),
+      },
+      rows,
+    });
   } catch (err) {
-    // Handles race-condition duplicates from unique indexes (if you add them)
+    if (err.status === 400) return res.status(400).json({ err: err.message });
     if (err.code === 11000) {
       return res.status(409).json({ err: "Location (or coordinates) already in this list" });
     }
@@ -280,10 +1066,10 @@ router.post("/:listId/locations", verifyToken, async (req, res) => {
   }
 });
 
-/* Remove a location from a list — owner-only */
+/* Remove a location from a list — editors and the owner */
 router.delete("/:listId/locations/:locationId", verifyToken, async (req, res) => {
   try {
-    const { list, error } = await getOwnedList(req.params.listId, req.user._id);
+    const { list, error } = await getListWithRole(req.params.listId, req.user._id, "editor");
     if (error) return res.status(error.status).json({ err: error.msg });
 
     const locationId = req.params.locationId;
@@ -299,77 +1085,263 @@ router.delete("/:listId/locations/:locationId", verifyToken, async (req, res) =>
 
     await list.save();
 
-    await list.populate({
-      path: "locations.location",
-      select: "name longitude latitude description author",
-      populate: { path: "author", select: "username" },
-    });
-
-    const sorted = list.locations.slice().sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
-
-    res.status(200).json({ ...list.toObject(), locations: sorted });
+    res.status(200).json(await orderedListPayload(list, req.user._id));
   } catch (err) {
     res.status(500).json({ err: err.message });
   }
 });
 
-/* Drag/drop reorder — owner-only */
+/**
+ * Helper: set the list's order from `orderedLocationIds` (mutates and saves).
+ * The ids must be exactly the list's locations. The save is version-checked,
+ * so an order computed from a list that changed meanwhile is refused (409)
+ * rather than half-applied.
+ */
+async function applyLocationOrder(list, orderedLocationIds) {
+  if (!Array.isArray(orderedLocationIds)) {
+    return { error: { status: 400, msg: "orderedLocationIds must be an array" } };
+  }
+
+  const currentIds = list.locations.map((e) => e.location.toString());
+  const incomingIds = orderedLocationIds.map(String);
+
+  // Validate same set (no missing/extra)
+  const currentSet = new Set(currentIds);
+  const incomingSet = new Set(incomingIds);
+
+  if (currentSet.size !== incomingSet.size || incomingIds.length !== incomingSet.size) {
+    return { error: { status: 400, msg: "orderedLocationIds must match list contents" } };
+  }
+  for (const id of currentSet) {
+    if (!incomingSet.has(id)) {
+      return { error: { status: 400, msg: "orderedLocationIds must match list contents" } };
+    }
+  }
+
+  // Update orders
+  const orderMap = new Map(incomingIds.map((id, idx) => [id, idx]));
+  list.locations.forEach((entry) => {
+    entry.order = orderMap.get(entry.location.toString());
+  });
+
+  list.increment();
+  try {
+    await list.save();
+  } catch (err) {
+    if (err.name === "VersionError") {
+      return { error: { status: 409, msg: "The list changed while it was being reordered; try again" } };
+    }
+    throw err;
+  }
+  return {};
+}
+
+/* Drag/drop reorder — editors and the owner */
 router.put("/:listId/reorder", verifyToken, async (req, res) => {
   try {
-    const { list, error } = await getOwnedList(req.params.listId, req.user._id);
+    const { list, error } = await getListWithRole(req.params.listId, req.user._id, "editor");
     if (error) return res.status(error.status).json({ err: error.msg });
 
-    const { orderedLocationIds } = req.body;
-    if (!Array.isArray(orderedLocationIds)) {
-      return res.status(400).json({ err: "orderedLocationIds must be an array" });
-    }
+    const applied = await applyLocationOrder(list, req.body.orderedLocationIds);
+    if (applied.error) return res.status(applied.error.status).json({ err: applied.error.msg });
 
-    const currentIds = list.locations.map((e) => e.location.toString());
-    const incomingIds = orderedLocationIds.map(String);
+    res.status(200).json(await orderedListPayload(list, req.user._id));
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
 
-    // Validate same set (no missing/extra)
-    const currentSet = new Set(currentIds);
-    const incomingSet = new Set(incomingIds);
+/**
+ * Helper: suggested driving order for a list (see services/route-order.js).
+ * `start` / `end` are optional location ids to pin. Entries whose location
+ * no longer exists can't be routed and keep their relative order at the end.
+ * Leaves `list` unpopulated so the order can be applied to it.
+ * Throws 400 for bad pins or oversized lists.
+ */
+async function planRoute(list, { start, end } = {}) {
+  const ids = list.locations
+    .slice()
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+    .map((e) => String(e.location));
+  const found = new Map(
+    (await Location.find({ _id: { $in: ids } }).select("name latitude longitude").lean()).map((l) => [String(l._id), l])
+  );
+  const routable = ids.filter((id) => found.has(id)).map((id) => ({ location: found.get(id) }));
+  const unroutable = ids.filter((id) => !found.has(id));
+
+  const fail = (msg) => {
+    const err = new Error(msg);
+    err.status = 400;
+    return err;
+  };
+  if (routable.length > MAX_ROUTE_STOPS) throw fail(`Route ordering supports at most ${MAX_ROUTE_STOPS} locations`);
+
+  const indexOf = (id, label) => {
+    if (id === undefined || id === null || id === "") return null;
+    const idx = routable.findIndex((e) => String(e.location._id) === String(id));
+    if (idx === -1) throw fail(`${label} must be a location in this list`);
+    return idx;
+  };
+  const startIdx = indexOf(start, "start");
+  const endIdx = indexOf(end, "end");
+  if (startIdx !== null && startIdx === endIdx && routable.length > 1) throw fail("start and end must be different locations");
+
+  const points = routable.map((e) => e.location);
+  const { order, totalMeters, legs } = optimizeOrder(points, { start: startIdx, end: endIdx });
+  const currentMeters = pathLength(distanceMatrix(points), points.map((_, i) => i));
+
+  let cumulative = 0;
+  const stops = order.map((idx, i) => {
+    cumulative += legs[i];
+    const { _id, name, latitude, longitude } = points[idx];
+    return {
+      location: { _id, name, latitude, longitude },
+      legMeters: Math.round(legs[i]),
+      cumulativeMeters: Math.round(cumulative),
+    };
+  });
+
+  return {
+    listId: list._id,
+    start: startIdx === null ? null : points[startIdx]._id,
+    end: endIdx === null ? null : points[endIdx]._id,
+    orderedLocationIds: [...stops.map((s) => String(s.location._id)), ...unroutable],
+    stops,
+    unroutable,
+    totalMeters: Math.round(totalMeters),
+    currentTotalMeters: Math.round(currentMeters),
+    savedMeters: Math.max(0, Math.round(currentMeters - totalMeters)),
+  };
+}
 
-    if (currentSet.size !== incomingSet.size) {
-      return res.status(400).json({ err: "orderedLocationIds must match list contents" });
-    }
-    for (const id of currentSet) {
-      if (!incomingSet.has(id)) {
-        return res.status(400).json({ err: "orderedLocationIds must match list contents" });
-      }
+/**
+ * GET /lists/:listId/distances
+ * Great-circle distances in meters between every pair of the list's
+ * locations (rows and columns follow `locations`, in list order).
+ */
+router.get("/:listId/distances", optionalToken, async (req, res) => {
+  try {
+    const { list, error } = await getListById(req.params.listId, viewerFrom(req));
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    await list.populate({ path: "locations.location", select: "name latitude longitude" });
+    const locations = list.locations
+      .slice()
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+      .map((e) => e.location)
+      .filter(Boolean);
+    if (locations.length > MAX_ROUTE_STOPS) {
+      return res.status(400).json({ err: `Distances are available for at most ${MAX_ROUTE_STOPS} locations` });
     }
 
-    // Update orders
-    const orderMap = new Map(incomingIds.map((id, idx) => [id, idx]));
-    list.locations.forEach((entry) => {
-      entry.order = orderMap.get(entry.location.toString());
+    res.status(200).json({
+      listId: list._id,
+      unit: "meters",
+      locations: locations.map(({ _id, name, latitude, longitude }) => ({ _id, name, latitude, longitude })),
+      matrix: distanceMatrix(locations).map((row) => row.map(Math.round)),
     });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
 
-    await list.save();
+/**
+ * GET /lists/:listId/route?start=<locationId>&end=<locationId>
+ * Suggested visiting order (nearest-neighbour + 2-opt over great-circle
+ * distances) with per-leg distances and how it compares to the current
+ * order. Nothing is saved; PUT the same pins to apply it.
+ */
+router.get("/:listId/route", optionalToken, async (req, res) => {
+  try {
+    const { list, error } = await getListById(req.params.listId, viewerFrom(req));
+    if (error) return res.status(error.status).json({ err: error.msg });
 
-    await list.populate({
-      path: "locations.location",
-      select: "name longitude latitude description author",
-      populate: { path: "author", select: "username" },
-    });
+    res.status(200).json(await planRoute(list, { start: req.query.start, end: req.query.end }));
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * PUT /lists/:listId/route — editors and the owner
+ * body: { start?, end? }
+ * Computes the suggested order and applies it like /reorder does.
+ * Responds with the reordered list plus the `route` that was applied.
+ */
+router.put("/:listId/route", verifyToken, async (req, res) => {
+  try {
+    const { list, error } = await getListWithRole(req.params.listId, req.user._id, "editor");
+    if (error) return res.status(error.status).json({ err: error.msg });
 
-    const sorted = list.locations.slice().sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+    const route = await planRoute(list, { start: req.body.start, end: req.body.end });
 
-    res.status(200).json({ ...list.toObject(), locations: sorted });
+    const applied = await applyLocationOrder(list, route.orderedLocationIds);
+    if (applied.error) return res.status(applied.error.status).json({ err: applied.error.msg });
+
+    res.status(200).json({ ...(await orderedListPayload(list, req.user._id)), route });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+const MAX_COMMENT_LENGTH = 2000;
+
+function parseCommentText(value) {
+  const text = typeof value === "string" ? value.trim() : "";
+  if (!text) return { error: "Text is required" };
+  if (text.length > MAX_COMMENT_LENGTH) return { error: `Text must be at most ${MAX_COMMENT_LENGTH} characters` };
+  return { text };
+}
+
+/**
+ * GET /lists/:listId/comments?page=&limit=
+ * Anyone who can view the list. Pages over top-level comments (newest
+ * first); each carries its replies. Hidden comments show as placeholders
+ * except to the list owner.
+ */
+router.get("/:listId/comments", optionalToken, async (req, res) => {
+  try {
+    const { list, error } = await getListById(req.params.listId, viewerFrom(req));
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    const paging = parsePaging(req.query, { defaultLimit: 20, maxLimit: 50 });
+
+    await list.populate({ path: "comments.owner", select: "username" });
+
+    const threads = threadComments(list.comments, { isModerator: isListOwner(list, req.user?._id) });
+
+    res.status(200).json({
+      comments: threads.slice(paging.skip, paging.skip + paging.limit),
+      ...pageInfo(paging, threads.length),
+    });
   } catch (err) {
     res.status(500).json({ err: err.message });
   }
 });
 
+/**
+ * POST /lists/:listId/comments  body: { text, parentId? }
+ * Any signed-in user who can view the list (share links included).
+ */
 router.post("/:listId/comments", verifyToken, async (req, res) => {
   try {
-    const { list, error } = await getOwnedList(req.params.listId, req.user._id);
+    const { list, error } = await getListById(req.params.listId, viewerFrom(req));
     if (error) return res.status(error.status).json({ err: error.msg });
 
-    // Save owner in the comment
-    const commentData = { ...req.body, owner: req.user._id };
-    list.comments.push(commentData);
+    const { text, error: textError } = parseCommentText(req.body.text);
+    if (textError) return res.status(400).json({ err: textError });
+
+    let parent = null;
+    if (req.body.parentId) {
+      const parentComment = mongoose.isValidObjectId(req.body.parentId) && list.comments.id(req.body.parentId);
+      if (!parentComment) return res.status(404).json({ err: "Parent comment not found" });
+      if (parentComment.deleted) return res.status(409).json({ err: "Can't reply to a deleted comment" });
+      parent = parentComment._id;
+    }
+
+    list.comments.push({ text, parent, owner: req.user._id });
     await list.save();
 
     await list.populate({
@@ -380,72 +1352,98 @@ router.post("/:listId/comments", verifyToken, async (req, res) => {
     const newCommentId = list.comments[list.comments.length - 1]._id;
     const populatedNewComment = list.comments.id(newCommentId);
 
-    res.status(201).json(populatedNewComment);
+    res.status(201).json(presentComment(populatedNewComment, { isModerator: isListOwner(list, req.user._id) }));
   } catch (err) {
     res.status(500).json({ err: err.message });
   }
 });
 
-// UPDATE COMMENT
+// UPDATE COMMENT — its author only, while they can still view the list
 router.put("/:listId/comments/:commentId", verifyToken, async (req, res) => {
   try {
-    const { list, error } = await getOwnedList(req.params.listId, req.user._id);
+    const { list, error } = await getListById(req.params.listId, viewerFrom(req));
     if (error) return res.status(error.status).json({ err: error.msg });
 
     const comment = list.comments.id(req.params.commentId);
-      if (!comment) return res.status(404).json({ err: "Comment not found" });
+    if (!comment || comment.deleted) return res.status(404).json({ err: "Comment not found" });
 
-      if (!comment.owner || comment.owner.toString() !== req.user._id.toString()) {
-        return res.status(403).json({ message: "Not authorized" });
-      }
+    if (!comment.owner || !comment.owner.equals(req.user._id)) {
+      return res.status(403).json({ err: "Not authorized" });
+    }
 
-      if (!req.body.text || typeof req.body.text !== 'string') {
-        return res.status(400).json({ err: "Text is required" });
-      }
+    const { text, error: textError } = parseCommentText(req.body.text);
+    if (textError) return res.status(400).json({ err: textError });
 
-    comment.text = req.body.text;
-    console.log (comment);
-    
-    await list.save();
-    const populatedList = await list.populate({
+    if (text !== comment.text) {
+      comment.text = text;
+      comment.edited = true;
+      comment.editedAt = new Date();
+      await list.save();
+    }
+
+    await list.populate({
       path: 'comments.owner',
       select: 'username'
     });
 
-    const updatedComment = populatedList.comments.id(comment._id);
-    res.status(200).json(updatedComment);
+    res.status(200).json(presentComment(list.comments.id(comment._id), { isModerator: isListOwner(list, req.user._id) }));
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
 
+/**
+ * PUT /lists/:listId/comments/:commentId/hidden  body: { hidden: true|false }
+ * List owner only. Hidden comments keep their place in the thread.
+ */
+router.put("/:listId/comments/:commentId/hidden", verifyToken, async (req, res) => {
+  try {
+    const { list, error } = await getOwnedList(req.params.listId, req.user._id);
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    const comment = list.comments.id(req.params.commentId);
+    if (!comment || comment.deleted) return res.status(404).json({ err: "Comment not found" });
+
+    if (typeof req.body.hidden !== "boolean") {
+      return res.status(400).json({ err: "hidden must be true or false" });
+    }
+
+    comment.hidden = req.body.hidden;
+    comment.hiddenAt = req.body.hidden ? new Date() : null;
+    comment.hiddenBy = req.body.hidden ? req.user._id : null;
+    await list.save();
+
+    await list.populate({ path: "comments.owner", select: "username" });
+
+    res.status(200).json(presentComment(list.comments.id(comment._id), { isModerator: true }));
   } catch (err) {
-    console.error("Update comment error:", err);
     res.status(500).json({ err: err.message });
   }
 });
 
-// DELETE COMMENT
+// DELETE COMMENT — its author, or the list owner (moderation)
 router.delete("/:listId/comments/:commentId", verifyToken, async (req, res) => {
   try {
-    const { list, error } = await getOwnedList(req.params.listId, req.user._id);
+    const { list, error } = await getListById(req.params.listId, viewerFrom(req));
     if (error) return res.status(error.status).json({ err: error.msg });
 
     const comment = list.comments.id(req.params.commentId);
-    if (!comment) {
+    if (!comment || comment.deleted) {
       return res.status(404).json({ err: "Comment not found" });
     }
 
-    if (!comment.owner.equals(req.user._id)) {
-      return res.status(403).json({
-        message: "You are not authorized to delete this comment",
-      });
+    const isAuthor = comment.owner && comment.owner.equals(req.user._id);
+    if (!isAuthor && !isListOwner(list, req.user._id)) {
+      return res.status(403).json({ err: "You are not authorized to delete this comment" });
     }
 
-    list.comments.pull(req.params.commentId);
+    const outcome = removeComment(list, comment);
     await list.save();
 
-    res.status(200).json({ message: "Comment deleted successfully" });
+    res.status(200).json({ message: "Comment deleted successfully", outcome });
   } catch (err) {
     res.status(500).json({ err: err.message });
   }
 });
 
-
 module.exports = router;
@@ -1,112 +1,165 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const verifyToken = require("../middleware/verify-token.js");
+const optionalToken = require("../middleware/optional-token.js");
+const photoUpload = require("../middleware/photo-upload.js");
 const Location = require("../models/location.js");
+const ConditionReport = require("../models/condition-report.js");
+const { fetchJson, upstreamStats } = require("../services/http.js");
+const { createCache, allCacheStats } = require("../services/cache/index.js");
+const {
+  getForecastForLatLon,
+  getHourlyForLatLon,
+  getGridDataForLatLon,
+} = require("../services/weather/index.js");
+const { getAlertsForLatLon } = require("../services/weather/alerts.js");
+const { mapWithConcurrency } = require("../services/concurrency.js");
+const { parseLatLon } = require("../services/geo.js");
+const { parsePaging, pageInfo } = require("../services/paging.js");
+const { resolveThresholds, scorePeriods } = require("../services/scoring.js");
+const { SUMMARY_WINDOW_DAYS, parseReport, summarizeConditions } = require("../services/trail-conditions.js");
+const { MAX_PHOTOS_PER_ITEM, storePhotos, removePhotoFiles, parseStripGps } = require("../services/photos.js");
 const router = express.Router();
 
 const API_KEY = process.env.API_KEY;
 
-// ------------------------------
-// Simple in-memory TTL caches
-// ------------------------------
-const placesCache = new Map();   // key: search string -> { expiresAt, value }
-const pointsCache = new Map();   // key: "lat,lon" -> { expiresAt, value }  (value: forecastUrl)
-const forecastCache = new Map(); // key: forecastUrl -> { expiresAt, value } (value: periods[])
-
-const nowMs = () => Date.now();
-const cacheGet = (map, key) => {
-  const hit = map.get(key);
-  if (!hit) return null;
-  if (hit.expiresAt <= nowMs()) {
-    map.delete(key);
-    return null;
-  }
-  return hit.value;
-};
-const cacheSet = (map, key, value, ttlMs) => {
-  map.set(key, { value, expiresAt: nowMs() + ttlMs });
+const TTL = {
+  places: 10 * 60 * 1000, // 10m (autocomplete)
 };
 
-const roundCoord = (v) => Number(v).toFixed(4);
-const toNum = (v) => (v === "" || v == null ? null : Number(v));
+// key: lowercased search string -> { places }
+const placesCache = createCache({ name: "geoapify:places", ttlMs: TTL.places, staleMs: 60 * 60 * 1000 });
 
-const TTL = {
-  places: 10 * 60 * 1000,          // 10m (autocomplete)
-  points: 7 * 24 * 60 * 60 * 1000, // 7d (points -> forecast URL rarely changes)
-  forecast: 10 * 60 * 1000,        // 10m (forecast refresh cadence)
-};
+/**
+ * Route handler for the batch weather endpoints (forecast, hourly, grid).
+ * `fetchOne(lat, lon, req)` resolves to the payload fields for one location;
+ * failures are reported per location with `emptyFields` in place of data.
+ */
+const weatherBatch = (fetchOne, emptyFields) => async (req, res) => {
+  try {
+    const locations = Array.isArray(req.body?.locations) ? req.body.locations : [];
+    if (!locations.length) return res.json({ results: [] });
 
-const NWS_HEADERS = {
-  "User-Agent":
-    process.env.NWS_USER_AGENT ||
-    "Trailcast (example@example.com)", // set NWS_USER_AGENT in prod
-  Accept: "application/geo+json, application/json",
-  "Accept-Language": "en-US",
-};
+    // Keep this conservative to protect NWS (and your server)
+    if (locations.length > 50) {
+      return res.status(413).json({ err: "Too many locations. Max 50." });
+    }
+
+    const results = await mapWithConcurrency(locations, 6, async (loc) => {
+      const lat = loc?.lat ?? loc?.latitude;
+      const lon = loc?.lon ?? loc?.longitude;
+      const name = loc?.name ?? null;
+
+      try {
+        const data = await fetchOne(lat, lon, req);
+        return {
+          name,
+          lat: Number(lat),
+          lon: Number(lon),
+          ...data,
+        };
+      } catch (e) {
+        return {
+          name,
+          lat: lat != null ? Number(lat) : null,
+          lon: lon != null ? Number(lon) : null,
+          provider: null,
+          ...emptyFields,
+          error: e.message,
+        };
+      }
+    });
 
-const fetchJson = async (url, options = {}) => {
-  const res = await fetch(url, options);
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    const err = new Error(`Request failed: ${res.status}`);
-    err.status = res.status;
-    err.details = text.slice(0, 300);
-    throw err;
+    res.json(req.thresholds ? { results, thresholds: req.thresholds } : { results });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
   }
-  return res.json();
 };
 
-const getForecastForLatLon = async (lat, lon) => {
-  const latNum = toNum(lat);
-  const lonNum = toNum(lon);
-  if (latNum == null || lonNum == null || Number.isNaN(latNum) || Number.isNaN(lonNum)) {
-    const err = new Error("lat and lon must be valid numbers");
-    err.status = 400;
-    throw err;
-  }
+/* "a,b" or ["a","b"] -> ["a","b"]; empty -> null (all fields) */
+const parseFields = (fields) => {
+  const list = (Array.isArray(fields) ? fields : String(fields || "").split(","))
+    .map((f) => String(f).trim())
+    .filter(Boolean);
+  return list.length ? list : null;
+};
 
-  const coordKey = `${roundCoord(latNum)},${roundCoord(lonNum)}`;
+const DEFAULT_RADIUS_M = 25 * 1000;
+const MAX_RADIUS_M = 500 * 1000;
+const BY_COORDS_TOLERANCE_M = 25;
+const MAX_BY_COORDS_TOLERANCE_M = 1000;
+
+/**
+ * One page of locations ordered by distance from `near` ([lon, lat]),
+ * each with `distanceMeters`. Activities are left out to keep map payloads small.
+ */
+const geoNearPage = async ({ near, maxDistance, query, paging }) => {
+  const [facet] = await Location.aggregate([
+    {
+      $geoNear: {
+        near: { type: "Point", coordinates: near },
+        key: "geo",
+        distanceField: "distanceMeters",
+        spherical: true,
+        ...(maxDistance ? { maxDistance } : {}),
+        ...(query ? { query } : {}),
+      },
+    },
+    { $project: { activities: 0 } },
+    {
+      $facet: {
+        results: [{ $skip: paging.skip }, { $limit: paging.limit }],
+        total: [{ $count: "n" }],
+      },
+    },
+  ]);
 
-  // 1) points -> forecast URL (cache long)
-  let forecastUrl = cacheGet(pointsCache, coordKey);
-  if (!forecastUrl) {
-    const pointsData = await fetchJson(
-      `https://api.weather.gov/points/${latNum},${lonNum}`,
-      { headers: NWS_HEADERS }
-    );
+  const results = await Location.populate(facet.results, { path: "author", select: "username" });
 
-    forecastUrl = pointsData?.properties?.forecast;
-    if (!forecastUrl) {
-      const err = new Error("NWS points response missing forecast URL");
-      err.status = 502;
-      throw err;
-    }
+  return {
+    results: results.map((r) => ({ ...r, distanceMeters: Math.round(r.distanceMeters) })),
+    total: facet.total[0]?.n ?? 0,
+  };
+};
 
-    cacheSet(pointsCache, coordKey, forecastUrl, TTL.points);
-  }
+/* Opt-in flags arrive as query strings or JSON booleans */
+const isTruthy = (v) => v === true || v === "true" || v === "1";
 
-  // 2) forecast URL -> periods (cache short)
-  let periods = cacheGet(forecastCache, forecastUrl);
-  if (!periods) {
-    const forecastData = await fetchJson(forecastUrl, { headers: NWS_HEADERS });
-    periods = forecastData?.properties?.periods ?? [];
-    cacheSet(forecastCache, forecastUrl, periods, TTL.forecast);
+/**
+ * Middleware: work out the go/no-go thresholds for this request
+ * (defaults <- saved profile when signed in <- overrides) into req.thresholds.
+ * `pickOverrides(req)` returns the raw override values.
+ */
+const loadThresholds = (pickOverrides) => async (req, res, next) => {
+  try {
+    req.thresholds = await resolveThresholds(req.user?._id, pickOverrides(req) ?? {});
+    next();
+  } catch (err) {
+    const status = err.status || 500;
+    res.status(status).json({ err: err.message });
   }
+};
 
-  return periods;
+/* Scored forecast (+ alerts when asked) for one coordinate */
+const forecastPayload = async (lat, lon, { includeAlerts, thresholds }) => {
+  const [{ provider, periods }, alerts] = await Promise.all([
+    getForecastForLatLon(lat, lon),
+    includeAlerts ? getAlertsForLatLon(lat, lon).then((r) => r.alerts) : undefined,
+  ]);
+  const payload = { provider, forecast: scorePeriods(periods, thresholds) };
+  return includeAlerts ? { ...payload, alerts } : payload;
 };
 
-const mapWithConcurrency = async (items, limit, worker) => {
-  const results = new Array(items.length);
-  let idx = 0;
-  const runners = new Array(Math.min(limit, items.length)).fill(0).map(async () => {
-    while (true) {
-      const i = idx++;
-      if (i >= items.length) break;
-      results[i] = await worker(items[i], i);
-    }
-  });
-  await Promise.all(runners);
-  return results;
+// Grid metadata that is always returned alongside the requested layers
+const GRID_META = ["updateTime", "validTimes", "elevation"];
+
+const pickGridFields = (grid, fields) => {
+  if (!fields) return grid;
+  const out = {};
+  for (const key of [...GRID_META, ...fields]) {
+    if (grid[key] !== undefined) out[key] = grid[key];
+  }
+  return out;
 };
 
 // ------------------------------
@@ -137,28 +190,25 @@ router.get("/places", async (req, res) => {
       return res.status(500).json({ err: "Missing API_KEY for Geoapify" });
     }
 
-    const cacheKey = search.toLowerCase();
-    const cached = cacheGet(placesCache, cacheKey);
-    if (cached) return res.json(cached);
+    const payload = await placesCache.wrap(search.toLowerCase(), async () => {
+      const url =
+        `https://api.geoapify.com/v1/geocode/autocomplete?` +
+        `text=${encodeURIComponent(search)}` +
+        `&filter=countrycode:us` +
+        `&limit=10` +
+        `&apiKey=${API_KEY}`;
 
-    const url =
-      `https://api.geoapify.com/v1/geocode/autocomplete?` +
-      `text=${encodeURIComponent(search)}` +
-      `&filter=countrycode:us` +
-      `&limit=10` +
-      `&apiKey=${API_KEY}`;
+      const data = await fetchJson(url);
 
-    const data = await fetchJson(url);
+      const places = (data.features || []).map((feature) => ({
+        name: feature.properties.formatted,
+        place_id: feature.properties.place_id,
+        longitude: feature.properties.lon,
+        latitude: feature.properties.lat,
+      }));
 
-    const places = (data.features || []).map((feature) => ({
-      name: feature.properties.formatted,
-      place_id: feature.properties.place_id,
-      longitude: feature.properties.lon,
-      latitude: feature.properties.lat,
-    }));
-
-    const payload = { places };
-    cacheSet(placesCache, cacheKey, payload, TTL.places);
+      return { places };
+    });
 
     // Important: empty results are NOT an error for autocomplete UX
     return res.json(payload);
@@ -168,64 +218,233 @@ router.get("/places", async (req, res) => {
   }
 });
 
-// WEATHER (NWS) - single
-router.get("/weather", async (req, res) => {
+// CACHE STATS (hits/misses/evictions per upstream cache)
+router.get("/cache/stats", verifyToken, (req, res) => {
+  res.json({ caches: allCacheStats() });
+});
+
+// UPSTREAM STATS (rate limiting, circuit breakers, coalesced requests)
+router.get("/upstream/stats", verifyToken, (req, res) => {
+  res.json(upstreamStats());
+});
+
+// WEATHER - single
+// ?alerts=true to include active alerts; threshold overrides (e.g. ?maxWindMph=15)
+// take precedence over the signed-in user's saved hike profile.
+router.get("/weather", optionalToken, loadThresholds((req) => req.query), async (req, res) => {
   try {
     const { lat, lon, name } = req.query;
-    const periods = await getForecastForLatLon(lat, lon);
+    const payload = await forecastPayload(lat, lon, {
+      includeAlerts: isTruthy(req.query.alerts),
+      thresholds: req.thresholds,
+    });
 
     res.json({
       location: {
         name: name ?? null,
         lat: Number(lat),
         lon: Number(lon),
-        forecast: periods,
+        ...payload,
+        thresholds: req.thresholds,
       },
     });
   } catch (err) {
     const status = err.status || 500;
-    res.status(status).json({ err: err.message, details: err.details });
+    res.status(status).json({ err: err.message, details: err.details, attempts: err.attempts });
   }
 });
 
-// WEATHER (NWS) - batch
-router.post("/weather/batch", async (req, res) => {
+// WEATHER - batch (body: { locations, alerts?, thresholds? })
+router.post(
+  "/weather/batch",
+  optionalToken,
+  loadThresholds((req) => req.body?.thresholds),
+  weatherBatch(
+    (lat, lon, req) =>
+      forecastPayload(lat, lon, {
+        includeAlerts: isTruthy(req.body?.alerts),
+        thresholds: req.thresholds,
+      }),
+    { forecast: null }
+  )
+);
+
+// ACTIVE ALERTS - single (sorted most severe first)
+router.get("/weather/alerts", async (req, res) => {
   try {
-    const locations = Array.isArray(req.body?.locations) ? req.body.locations : [];
-    if (!locations.length) return res.json({ results: [] });
+    const { lat, lon, name } = req.query;
+    const { provider, alerts } = await getAlertsForLatLon(lat, lon);
 
-    // Keep this conservative to protect NWS (and your server)
-    if (locations.length > 50) {
-      return res.status(413).json({ err: "Too many locations. Max 50." });
+    res.json({
+      location: {
+        name: name ?? null,
+        lat: Number(lat),
+        lon: Number(lon),
+        provider,
+        alerts,
+      },
+    });
+  } catch (err) {
+    const status = err.status || 500;
+    res.status(status).json({ err: err.message, details: err.details, attempts: err.attempts });
+  }
+});
+
+// ACTIVE ALERTS - batch
+router.post(
+  "/weather/alerts/batch",
+  weatherBatch((lat, lon) => getAlertsForLatLon(lat, lon), { alerts: null })
+);
+
+// HOURLY WEATHER - single (temperature, precip chance, gusts, sky cover per hour)
+router.get("/weather/hourly", async (req, res) => {
+  try {
+    const { lat, lon, name } = req.query;
+    const { provider, periods } = await getHourlyForLatLon(lat, lon);
+
+    res.json({
+      location: {
+        name: name ?? null,
+        lat: Number(lat),
+        lon: Number(lon),
+        provider,
+        hourly: periods,
+      },
+    });
+  } catch (err) {
+    const status = err.status || 500;
+    res.status(status).json({ err: err.message, details: err.details, attempts: err.attempts });
+  }
+});
+
+// HOURLY WEATHER - batch
+router.post(
+  "/weather/hourly/batch",
+  weatherBatch(
+    async (lat, lon) => {
+      const { provider, periods } = await getHourlyForLatLon(lat, lon);
+      return { provider, hourly: periods };
+    },
+    { hourly: null }
+  )
+);
+
+// GRIDPOINT DATA - single (raw NWS layers; ?fields=windGust,skyCover to trim)
+router.get("/weather/grid", async (req, res) => {
+  try {
+    const { lat, lon, name } = req.query;
+    const { provider, grid } = await getGridDataForLatLon(lat, lon);
+
+    res.json({
+      location: {
+        name: name ?? null,
+        lat: Number(lat),
+        lon: Number(lon),
+        provider,
+        grid: pickGridFields(grid, parseFields(req.query.fields)),
+      },
+    });
+  } catch (err) {
+    const status = err.status || 500;
+    res.status(status).json({ err: err.message, details: err.details, attempts: err.attempts });
+  }
+});
+
+// GRIDPOINT DATA - batch (body: { locations, fields? })
+router.post("/weather/grid/batch", (req, res, next) => {
+  const fields = parseFields(req.body?.fields);
+  return weatherBatch(
+    async (lat, lon) => {
+      const { provider, grid } = await getGridDataForLatLon(lat, lon);
+      return { provider, grid: pickGridFields(grid, fields) };
+    },
+    { grid: null }
+  )(req, res, next);
+});
+
+// NEAR A POINT - ?lat&lon&radius (meters) &page&limit, closest first
+router.get("/near", async (req, res) => {
+  try {
+    const { lat, lon } = parseLatLon(req.query.lat, req.query.lon);
+
+    const radius = req.query.radius == null || req.query.radius === ""
+      ? DEFAULT_RADIUS_M
+      : Number(req.query.radius);
+    if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_M) {
+      return res.status(400).json({ err: `radius must be between 0 and ${MAX_RADIUS_M} meters` });
     }
 
-    const results = await mapWithConcurrency(locations, 6, async (loc) => {
-      const lat = loc?.lat ?? loc?.latitude;
-      const lon = loc?.lon ?? loc?.longitude;
-      const name = loc?.name ?? null;
+    const paging = parsePaging(req.query);
+    const { results, total } = await geoNearPage({
+      near: [lon, lat],
+      maxDistance: radius,
+      paging,
+    });
 
-      try {
-        const forecast = await getForecastForLatLon(lat, lon);
-        return {
-          name,
-          lat: Number(lat),
-          lon: Number(lon),
-          forecast,
-        };
-      } catch (e) {
-        return {
-          name,
-          lat: lat != null ? Number(lat) : null,
-          lon: lon != null ? Number(lon) : null,
-          forecast: null,
-          error: e.message,
-        };
-      }
+    res.status(200).json({
+      center: { lat, lon },
+      radius,
+      results,
+      ...pageInfo(paging, total),
     });
+  } catch (err) {
+    const status = err.status || 500;
+    res.status(status).json({ err: err.message });
+  }
+});
+
+// WITHIN A MAP VIEWPORT - ?bbox=minLon,minLat,maxLon,maxLat &page&limit,
+// closest to the viewport center first
+router.get("/within", async (req, res) => {
+  try {
+    const bbox = String(req.query.bbox || "").split(",").map((v) => Number(v.trim()));
+    const [minLon, minLat, maxLon, maxLat] = bbox;
 
-    res.json({ results });
+    if (bbox.length !== 4 || bbox.some((v) => !Number.isFinite(v))) {
+      return res.status(400).json({ err: "bbox must be minLon,minLat,maxLon,maxLat" });
+    }
+    if (minLon < -180 || maxLon > 180 || minLat < -90 || maxLat > 90) {
+      return res.status(400).json({ err: "bbox is out of range" });
+    }
+    if (minLon >= maxLon || minLat >= maxLat) {
+      return res.status(400).json({ err: "bbox min values must be less than max values" });
+    }
+    if (maxLon - minLon >= 180) {
+      return res.status(400).json({ err: "bbox is too large; zoom in" });
+    }
+
+    const center = { lat: (minLat + maxLat) / 2, lon: (minLon + maxLon) / 2 };
+    const paging = parsePaging(req.query);
+    const { results, total } = await geoNearPage({
+      near: [center.lon, center.lat],
+      query: {
+        geo: {
+          $geoWithin: {
+            $geometry: {
+              type: "Polygon",
+              coordinates: [[
+                [minLon, minLat],
+                [maxLon, minLat],
+                [maxLon, maxLat],
+                [minLon, maxLat],
+                [minLon, minLat],
+              ]],
+            },
+          },
+        },
+      },
+      paging,
+    });
+
+    res.status(200).json({
+      bbox: [minLon, minLat, maxLon, maxLat],
+      center,
+      results,
+      ...pageInfo(paging, total),
+    });
   } catch (err) {
-    res.status(500).json({ err: err.message });
+    const status = err.status || 500;
+    res.status(status).json({ err: err.message });
   }
 });
 
@@ -276,7 +495,10 @@ router.delete("/:locationId", verifyToken, async (req, res) => {
       return res.status(403).send("You can't delete this entry, you're not the author!");
     }
 
+    const reports = await ConditionReport.find({ location: req.params.locationId }).select("photos").lean();
     const deletedLocation = await Location.findByIdAndDelete(req.params.locationId);
+    await ConditionReport.deleteMany({ location: req.params.locationId });
+    await removePhotoFiles([...location.activities.flatMap((a) => a.photos), ...reports.flatMap((r) => r.photos)]);
     res.status(200).json(deletedLocation);
   } catch (err) {
     res.status(500).json({ err: err.message });
@@ -286,31 +508,39 @@ router.delete("/:locationId", verifyToken, async (req, res) => {
 //matching by coord -location
 
 router.get('/by-coords', async (req, res) => {
-  const { lat, lon } = req.query;
-
-  console.log(lat,lon);
+  try {
+    const { lat: latNum, lon: lonNum } = parseLatLon(req.query.lat, req.query.lon);
+    if (Math.abs(latNum) > 90 || Math.abs(lonNum) > 180) {
+      return res.status(400).json({ error: 'lat must be within ±90 and lon within ±180' });
+    }
+    const tolerance = Math.min(
+      Math.max(Number(req.query.tolerance) || BY_COORDS_TOLERANCE_M, 0),
+      MAX_BY_COORDS_TOLERANCE_M
+    );
 
-  if (!lat || !lon) {
-    return res.status(400).json({ error: 'Latitude and longitude are required' });
-  }
+    // Exact match first (works for documents not yet migrated to `geo`),
+    // then the closest location within a few meters
+    let location = await Location.findOne({
+      latitude: latNum,
+      longitude: lonNum,
+    }).populate('activities.author', 'username');
 
-  try {
-    const location = await Location.findOne({
-      latitude: Number(lat),
-      longitude: Number(lon),
-    }).populate('activities.author', 'username'); 
-
-    const comment = location.comments.id(req.params.commentId);
-    if (!comment) return res.status(404).json({ err: "Comment not found" });
-
-    if (!comment.author.equals(req.user._id)) {
-      return res.status(403).json({
-        message: "You are not authorized to change this comment, you're not the author",
-      });
+    if (!location) {
+      location = await Location.findOne({
+        geo: {
+          $nearSphere: {
+            $geometry: { type: 'Point', coordinates: [lonNum, latNum] },
+            $maxDistance: tolerance,
+          },
+        },
+      }).populate('activities.author', 'username');
     }
 
+    if (!location) return res.status(404).json({ error: 'Location not found' });
+
     res.status(200).json(location);
   } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
     console.error('Error fetching location by coords:', err);
     res.status(500).json({ error: err.message });
   }
@@ -323,7 +553,9 @@ router.post("/:locationId/activities", verifyToken, async (req, res) => {
     const location = await Location.findById(req.params.locationId);
     if (!location) return res.status(404).json({ err: "Location not found" });
    
-    const activityData = { ...req.body, author: req.user._id };
+    // photos are only added through the upload route below
+    const { photos, ...fields } = req.body;
+    const activityData = { ...fields, author: req.user._id };
     location.activities.push(activityData);
     await location.save();
 
@@ -385,88 +617,266 @@ router.delete("/:locationId/activities/:activityId", verifyToken, async (req, re
     if (!location) return res.status(404).json({ err: "Location not found" });
 
     const activity = location.activities.id(req.params.activityId);
-    if (!activity) return res.status(404).json({ err: "Comment not found" });
+    if (!activity) return res.status(404).json({ err: "Activity not found" });
 
-    if (!activity.author.equals(req.user._id)) {
-      return res.status(403).json({ message: "You are not authorized to delete this comment" });
+    if (!activity.author || !activity.author.equals(req.user._id)) {
+      return res.status(403).json({ message: "You are not authorized to delete this activity" });
     }
 
-    location.comments.pull(req.params.commentId);
+    location.activities.pull(activity._id);
     await location.save();
+    await removePhotoFiles(activity.photos);
 
-    res.status(200).json({ message: "Comment deleted successfully" });
+    res.status(200).json({ message: "Activity deleted successfully" });
   } catch (err) {
     res.status(500).json({ err: err.message });
   }
 });
 
-// CREATE LOG
-router.post("/:locationId/logs", verifyToken, async (req, res) => {
+// ------------------------------
+// Photos on activities and condition reports (see services/photos.js)
+//
+// POST multipart/form-data: `photos` (up to 5 JPEG/PNG/WebP images) and an
+// optional `stripGps=true` to drop EXIF, GPS included, before storing.
+// Only the author of the activity/report can add or remove its photos.
+// ------------------------------
+
+/* Store the request's uploads onto `item.photos` (caller saves); throws 400 */
+const attachUploads = async (req, item) => {
+  const files = req.files || [];
+  if (!files.length) throw Object.assign(new Error('Attach at least one image in the "photos" field'), { status: 400 });
+  if (item.photos.length + files.length > MAX_PHOTOS_PER_ITEM) {
+    throw Object.assign(new Error(`At most ${MAX_PHOTOS_PER_ITEM} photos each`), { status: 400 });
+  }
+
+  const stored = await storePhotos(files, { stripGps: parseStripGps(req.body?.stripGps), uploadedBy: req.user._id });
+  item.photos.push(...stored);
+  return stored;
+};
+
+/**
+ * Middleware: find what the photos are for and check the caller wrote it
+ * before photoUpload reads the body, so a bad id or a non-author is answered
+ * without buffering the images. `find(req)` resolves to { doc, item } (`doc`
+ * is what gets saved, `item` what holds the photos) or { error }.
+ */
+const loadPhotoTarget = (find) => async (req, res, next) => {
   try {
-    req.body.author = req.user._id;
+    const { error, ...target } = await find(req);
+    if (error) return res.status(error.status).json({ err: error.msg });
+    req.photoTarget = target;
+    next();
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+};
 
-    const location = await Location.findById(req.params.locationId);
-    if (!location) return res.status(404).json({ err: "Location not found" });
+const activityPhotoTarget = loadPhotoTarget(async (req) => {
+  const location = await Location.findById(req.params.locationId);
+  if (!location) return { error: { status: 404, msg: "Location not found" } };
 
-    location.logs.push(req.body);
-    await location.save();
+  const activity = location.activities.id(req.params.activityId);
+  if (!activity) return { error: { status: 404, msg: "Activity not found" } };
+  if (!activity.author || !activity.author.equals(req.user._id)) {
+    return { error: { status: 403, msg: "Only the author can add photos to this activity" } };
+  }
+  return { doc: location, item: activity };
+});
+
+// ADD ACTIVITY PHOTOS
+router.post("/:locationId/activities/:activityId/photos", verifyToken, activityPhotoTarget, photoUpload, async (req, res) => {
+  let stored = [];
+  try {
+    const { doc: location, item: activity } = req.photoTarget;
 
-    const newLog = location.logs[location.logs.length - 1];
-    newLog._doc.author = req.user;
+    stored = await attachUploads(req, activity);
+    await location.save();
 
-    res.status(201).json(newLog);
+    await location.populate({ path: "activities.author", select: "username" });
+    res.status(201).json(location.activities.id(activity._id));
   } catch (err) {
+    await removePhotoFiles(stored);
+    if (err.status === 400) return res.status(400).json({ err: err.message });
     res.status(500).json({ err: err.message });
   }
 });
 
-// UPDATE LOG
-router.put("/:locationId/logs/:logId", verifyToken, async (req, res) => {
+// DELETE ACTIVITY PHOTO
+router.delete("/:locationId/activities/:activityId/photos/:photoId", verifyToken, async (req, res) => {
   try {
     const location = await Location.findById(req.params.locationId);
     if (!location) return res.status(404).json({ err: "Location not found" });
 
-    const log = location.logs.id(req.params.logId);
-    if (!log) return res.status(404).json({ err: "Log not found" });
-
-    if (!log.author.equals(req.user._id)) {
-      return res.status(403).json({
-        message: "You are not authorized to change this activity, you're not the author",
-      });
+    const activity = location.activities.id(req.params.activityId);
+    if (!activity) return res.status(404).json({ err: "Activity not found" });
+    if (!activity.author || !activity.author.equals(req.user._id)) {
+      return res.status(403).json({ message: "Only the author can remove photos from this activity" });
     }
 
-    log.text = req.body.text;
+    const photo = activity.photos.id(req.params.photoId);
+    if (!photo) return res.status(404).json({ err: "Photo not found" });
+
+    activity.photos.pull(photo._id);
     await location.save();
+    await removePhotoFiles([photo]);
 
-    res.status(200).json(log);
+    res.status(200).json({ message: "Photo deleted" });
   } catch (err) {
     res.status(500).json({ err: err.message });
   }
 });
 
-// DELETE LOG
-router.delete("/:locationId/logs/:logId", verifyToken, async (req, res) => {
+// ------------------------------
+// Trail condition reports (see services/trail-conditions.js)
+// ------------------------------
+
+const REPORT_AUTHOR = { path: "author", select: "username" };
+
+// Helper: the report, checked to belong to this location (and, if `authorId`, to that author)
+const findReport = async (locationId, reportId, authorId) => {
+  if (!mongoose.isValidObjectId(reportId)) return { error: { status: 404, msg: "Report not found" } };
+  const report = await ConditionReport.findOne({ _id: reportId, location: locationId });
+  if (!report) return { error: { status: 404, msg: "Report not found" } };
+  if (authorId && !report.author.equals(authorId)) {
+    return { error: { status: 403, msg: "Only the author can change this report" } };
+  }
+  return { report };
+};
+
+// LIST REPORTS - ?page&limit, most recently observed first
+router.get("/:locationId/conditions", async (req, res) => {
   try {
-    const location = await Location.findById(req.params.locationId);
-    if (!location) return res.status(404).json({ err: "Location not found" });
+    if (!mongoose.isValidObjectId(req.params.locationId) || !(await Location.exists({ _id: req.params.locationId }))) {
+      return res.status(404).json({ err: "Location not found" });
+    }
 
-    const log = location.logs.id(req.params.logId);
-    if (!log) return res.status(404).json({ err: "Log not found" });
+    const paging = parsePaging(req.query);
+    const filter = { location: req.params.locationId };
+    const [reports, total] = await Promise.all([
+      ConditionReport.find(filter)
+        .sort({ observedAt: -1, _id: -1 })
+        .skip(paging.skip)
+        .limit(paging.limit)
+        .populate(REPORT_AUTHOR),
+      ConditionReport.countDocuments(filter),
+    ]);
+
+    res.status(200).json({ reports, ...pageInfo(paging, total) });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
 
-    if (!log.author.equals(req.user._id)) {
-      return res.status(403).json({ message: "You are not authorized to delete this activity" });
+// CURRENT CONDITIONS - recency-weighted summary of recent reports
+router.get("/:locationId/conditions/summary", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.locationId) || !(await Location.exists({ _id: req.params.locationId }))) {
+      return res.status(404).json({ err: "Location not found" });
     }
 
-    location.logs.pull(req.params.logId);
-    await location.save();
+    const since = new Date(Date.now() - SUMMARY_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const reports = await ConditionReport.find({ location: req.params.locationId, observedAt: { $gte: since } })
+      .select("observedAt mud snow ice crowding obstructions overall")
+      .lean();
 
-    res.status(200).json({ message: "Activity deleted successfully" });
+    res.status(200).json({ locationId: req.params.locationId, ...summarizeConditions(reports) });
   } catch (err) {
-    console.error("Update activity error:", err);
     res.status(500).json({ err: err.message });
   }
 });
 
+// CREATE REPORT
+router.post("/:locationId/conditions", verifyToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.locationId) || !(await Location.exists({ _id: req.params.locationId }))) {
+      return res.status(404).json({ err: "Location not found" });
+    }
+
+    const report = await ConditionReport.create({
+      ...parseReport(req.body),
+      location: req.params.locationId,
+      author: req.user._id,
+    });
+    await report.populate(REPORT_AUTHOR);
+
+    res.status(201).json(report);
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// UPDATE REPORT - author only
+router.put("/:locationId/conditions/:reportId", verifyToken, async (req, res) => {
+  try {
+    const { report, error } = await findReport(req.params.locationId, req.params.reportId, req.user._id);
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    Object.assign(report, parseReport(req.body, { partial: true }));
+    await report.save();
+    await report.populate(REPORT_AUTHOR);
 
+    res.status(200).json(report);
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// DELETE REPORT - author only
+router.delete("/:locationId/conditions/:reportId", verifyToken, async (req, res) => {
+  try {
+    const { report, error } = await findReport(req.params.locationId, req.params.reportId, req.user._id);
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    await report.deleteOne();
+    await removePhotoFiles(report.photos);
+    res.status(200).json({ message: "Report deleted" });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+const reportPhotoTarget = loadPhotoTarget(async (req) => {
+  const { report, error } = await findReport(req.params.locationId, req.params.reportId, req.user._id);
+  return error ? { error } : { doc: report, item: report };
+});
+
+// ADD REPORT PHOTOS - author only
+router.post("/:locationId/conditions/:reportId/photos", verifyToken, reportPhotoTarget, photoUpload, async (req, res) => {
+  let stored = [];
+  try {
+    const { doc: report } = req.photoTarget;
+
+    stored = await attachUploads(req, report);
+    await report.save();
+    await report.populate(REPORT_AUTHOR);
+
+    res.status(201).json(report);
+  } catch (err) {
+    await removePhotoFiles(stored);
+    if (err.status === 400) return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// DELETE REPORT PHOTO - author only
+router.delete("/:locationId/conditions/:reportId/photos/:photoId", verifyToken, async (req, res) => {
+  try {
+    const { report, error } = await findReport(req.params.locationId, req.params.reportId, req.user._id);
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    const photo = report.photos.id(req.params.photoId);
+    if (!photo) return res.status(404).json({ err: "Photo not found" });
+
+    report.photos.pull(photo._id);
+    await report.save();
+    await removePhotoFiles([photo]);
+
+    res.status(200).json({ message: "Photo deleted" });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
 
 module.exports = router;
@@ -0,0 +1,77 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const verifyToken = require("../middleware/verify-token.js");
+const Notification = require("../models/notification.js");
+const { parsePaging, pageInfo } = require("../services/paging.js");
+
+const router = express.Router();
+
+/* GET /notifications?unread=true&page=&limit= — newest first, with the unread count */
+router.get("/", verifyToken, async (req, res) => {
+  try {
+    const paging = parsePaging(req.query);
+    const filter = { user: req.user._id };
+    if (req.query.unread === "true" || req.query.unread === "1") filter.readAt = null;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).skip(paging.skip).limit(paging.limit).lean(),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user._id, readAt: null }),
+    ]);
+
+    res.status(200).json({ notifications, unreadCount, ...pageInfo(paging, total) });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* Mark everything read */
+router.post("/read-all", verifyToken, async (req, res) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    res.status(200).json({ marked: modifiedCount, unreadCount: 0 });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* Mark one read */
+router.post("/:notificationId/read", verifyToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.notificationId)) {
+      return res.status(404).json({ err: "Notification not found" });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.notificationId, user: req.user._id });
+    if (!notification) return res.status(404).json({ err: "Notification not found" });
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json(notification);
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+router.delete("/:notificationId", verifyToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.notificationId)) {
+      return res.status(404).json({ err: "Notification not found" });
+    }
+
+    const { deletedCount } = await Notification.deleteOne({ _id: req.params.notificationId, user: req.user._id });
+    if (!deletedCount) return res.status(404).json({ err: "Notification not found" });
+
+    res.status(200).json({ message: "Notification deleted" });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+module.exports = router;
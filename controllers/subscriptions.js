@@ -0,0 +1,204 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const verifyToken = require("../middleware/verify-token.js");
+const Subscription = require("../models/subscription.js");
+const SubscriptionMatch = require("../models/subscription-match.js");
+const WebhookDelivery = require("../models/webhook-delivery.js");
+const List = require("../models/list.js");
+const Location = require("../models/location.js");
+const { canViewList } = require("../services/list-access.js");
+const { parseRules } = require("../services/subscriptions/rules.js");
+const { evaluateSubscription } = require("../services/subscriptions/evaluator.js");
+const { createWebhookSecret, validateWebhookUrl } = require("../services/webhooks.js");
+
+const router = express.Router();
+
+/* Helper: the caller's own subscription (anyone else's is reported as missing) */
+async function getOwnSubscription(subscriptionId, userId) {
+  if (!mongoose.isValidObjectId(subscriptionId)) return { error: { status: 404, msg: "Subscription not found" } };
+  const subscription = await Subscription.findOne({ _id: subscriptionId, user: userId });
+  if (!subscription) return { error: { status: 404, msg: "Subscription not found" } };
+  return { subscription };
+}
+
+/* Helper: validate { kind, id } and check the caller may watch it */
+async function resolveTarget(target, userId) {
+  const kind = target?.kind;
+  const id = target?.id;
+  if (!["location", "list"].includes(kind) || !mongoose.isValidObjectId(id)) {
+    return { error: { status: 400, msg: 'target must be { kind: "location" | "list", id }' } };
+  }
+
+  if (kind === "location") {
+    const exists = await Location.exists({ _id: id });
+    if (!exists) return { error: { status: 404, msg: "Location not found" } };
+  } else {
+    const list = await List.findById(id).select("owner visibility members");
+    if (!list || !canViewList(list, { userId })) return { error: { status: 404, msg: "List not found" } };
+  }
+  return { target: { kind, id } };
+}
+
+/* My subscriptions, newest first */
+router.get("/", verifyToken, async (req, res) => {
+  try {
+    const subscriptions = await Subscription.find({ user: req.user._id }).sort({ createdAt: -1 });
+    res.status(200).json({ subscriptions });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * POST /subscriptions
+ * body: { target: { kind: "location" | "list", id }, rules: [...], name?, webhookUrl? }
+ * Rules are described in services/subscriptions/rules.js. With a webhookUrl
+ * the response carries `webhookSecret` — the only time it is shown.
+ */
+router.post("/", verifyToken, async (req, res) => {
+  try {
+    const { target, error } = await resolveTarget(req.body.target, req.user._id);
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    const rules = parseRules(req.body.rules);
+    const webhookUrl = req.body.webhookUrl ? validateWebhookUrl(req.body.webhookUrl) : null;
+    const webhookSecret = webhookUrl ? createWebhookSecret() : null;
+
+    const subscription = await Subscription.create({
+      user: req.user._id,
+      name: String(req.body.name ?? ""),
+      target,
+      rules,
+      webhook: { url: webhookUrl, secret: webhookSecret },
+    });
+
+    res.status(201).json({ subscription, ...(webhookSecret ? { webhookSecret } : {}) });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+router.get("/:subscriptionId", verifyToken, async (req, res) => {
+  try {
+    const { subscription, error } = await getOwnSubscription(req.params.subscriptionId, req.user._id);
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    res.status(200).json({ subscription });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * PUT /subscriptions/:subscriptionId
+ * body: any of { name, rules, active, webhookUrl } (webhookUrl: null removes the webhook).
+ * Adding a webhook to a subscription without one returns a new `webhookSecret`.
+ */
+router.put("/:subscriptionId", verifyToken, async (req, res) => {
+  try {
+    const { subscription, error } = await getOwnSubscription(req.params.subscriptionId, req.user._id);
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    if (req.body.name !== undefined) subscription.name = String(req.body.name ?? "");
+    if (req.body.rules !== undefined) subscription.rules = parseRules(req.body.rules);
+    if (req.body.active !== undefined) {
+      if (typeof req.body.active !== "boolean") return res.status(400).json({ err: "active must be true or false" });
+      subscription.active = req.body.active;
+      if (req.body.active) subscription.lastError = null;
+    }
+
+    let webhookSecret = null;
+    if (req.body.webhookUrl === null || req.body.webhookUrl === "") {
+      subscription.webhook = { url: null, secret: null };
+    } else if (req.body.webhookUrl !== undefined) {
+      subscription.webhook.url = validateWebhookUrl(req.body.webhookUrl);
+      if (!subscription.webhook.secret) {
+        webhookSecret = createWebhookSecret();
+        subscription.webhook.secret = webhookSecret;
+      }
+    }
+
+    await subscription.save();
+    res.status(200).json({ subscription, ...(webhookSecret ? { webhookSecret } : {}) });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* Rotate the webhook signing secret; the new one is returned once */
+router.post("/:subscriptionId/webhook-secret", verifyToken, async (req, res) => {
+  try {
+    const { subscription, error } = await getOwnSubscription(req.params.subscriptionId, req.user._id);
+    if (error) return res.status(error.status).json({ err: error.msg });
+    if (!subscription.webhook?.url) return res.status(400).json({ err: "This subscription has no webhook" });
+
+    const webhookSecret = createWebhookSecret();
+    subscription.webhook.secret = webhookSecret;
+    await subscription.save();
+
+    res.status(200).json({ webhookSecret });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+router.delete("/:subscriptionId", verifyToken, async (req, res) => {
+  try {
+    const { subscription, error } = await getOwnSubscription(req.params.subscriptionId, req.user._id);
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    await subscription.deleteOne();
+    await SubscriptionMatch.deleteMany({ subscription: subscription._id });
+
+    res.status(200).json({ message: "Subscription deleted" });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * POST /subscriptions/:subscriptionId/evaluate
+ * Check the subscription right now instead of waiting for the background
+ * evaluator. Only matches not announced before produce a notification.
+ */
+router.post("/:subscriptionId/evaluate", verifyToken, async (req, res) => {
+  try {
+    const { subscription, error } = await getOwnSubscription(req.params.subscriptionId, req.user._id);
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    const { matches, fresh, errors, notification, delivery } = await evaluateSubscription(subscription);
+
+    res.status(200).json({
+      subscription,
+      matchCount: matches.length,
+      newMatches: fresh,
+      errors,
+      notification,
+      delivery,
+    });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* Recent webhook deliveries for a subscription (newest first) */
+router.get("/:subscriptionId/deliveries", verifyToken, async (req, res) => {
+  try {
+    const { subscription, error } = await getOwnSubscription(req.params.subscriptionId, req.user._id);
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    const deliveries = await WebhookDelivery.find({ subscription: subscription._id })
+      .select("-payload")
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean();
+
+    res.status(200).json({ deliveries });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+module.exports = router;
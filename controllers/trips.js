@@ -0,0 +1,365 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const verifyToken = require("../middleware/verify-token.js");
+const Trip = require("../models/trip.js");
+const List = require("../models/list.js");
+const Location = require("../models/location.js");
+const User = require("../models/user.js");
+const { canViewList } = require("../services/list-access.js");
+const { resolveThresholds } = require("../services/scoring.js");
+const { addDays } = require("../services/weather/periods.js");
+const { forecastForStops } = require("../services/trip-forecast.js");
+const { daysBetween, stopsFromList } = require("../services/trip-stops.js");
+
+const router = express.Router();
+
+const MAX_TRIP_DAYS = 60;
+const DATE_RX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const badRequest = (msg) => {
+  const err = new Error(msg);
+  err.status = 400;
+  return err;
+};
+
+const isValidDate = (value) =>
+  typeof value === "string" && DATE_RX.test(value) && addDays(value, 0) === value;
+
+function parseDateRange(startDate, endDate) {
+  if (!isValidDate(startDate) || !isValidDate(endDate)) {
+    throw badRequest("startDate and endDate must be YYYY-MM-DD dates");
+  }
+  if (endDate < startDate) throw badRequest("endDate must not be before startDate");
+  if (daysBetween(startDate, endDate) + 1 > MAX_TRIP_DAYS) throw badRequest(`Trips can span at most ${MAX_TRIP_DAYS} days`);
+  return { startDate, endDate };
+}
+
+/* Validate a stop's date/time/notes against the trip's range (location checked separately) */
+function parseStopFields(body, trip, existing = {}) {
+  const date = body.date ?? existing.date;
+  if (!isValidDate(date)) throw badRequest("date must be a YYYY-MM-DD date");
+  if (date < trip.startDate || date > trip.endDate) {
+    throw badRequest(`date must fall within the trip (${trip.startDate} to ${trip.endDate})`);
+  }
+
+  const time = body.time === undefined ? existing.time ?? null : body.time || null;
+  if (time !== null && !TIME_RX.test(time)) throw badRequest("time must be HH:MM (24h)");
+
+  const notes = body.notes === undefined ? existing.notes ?? "" : String(body.notes ?? "");
+  return { date, time, notes };
+}
+
+async function ensureLocation(locationId) {
+  if (!mongoose.isValidObjectId(locationId) || !(await Location.exists({ _id: locationId }))) {
+    const err = new Error("Location not found");
+    err.status = 404;
+    throw err;
+  }
+  return locationId;
+}
+
+const nextOrderOn = (trip, date) =>
+  trip.stops.filter((s) => s.date === date).reduce((m, s) => Math.max(m, s.order ?? 0), -1) + 1;
+
+const isTripOwner = (trip, userId) => String(trip.owner?._id ?? trip.owner) === String(userId);
+
+const isParticipant = (trip, userId) =>
+  trip.participants.some((p) => String(p.user?._id ?? p.user) === String(userId));
+
+/* Helper: load a trip the user owns (edit) or takes part in (view) */
+async function getTrip(tripId, userId, { ownerOnly = false } = {}) {
+  if (!mongoose.isValidObjectId(tripId)) return { error: { status: 404, msg: "Trip not found" } };
+  const trip = await Trip.findById(tripId);
+  if (!trip) return { error: { status: 404, msg: "Trip not found" } };
+
+  const owner = isTripOwner(trip, userId);
+  if (!owner && !isParticipant(trip, userId)) return { error: { status: 404, msg: "Trip not found" } };
+  if (ownerOnly && !owner) return { error: { status: 403, msg: "Forbidden" } };
+  return { trip };
+}
+
+const sortStops = (stops) =>
+  stops
+    .slice()
+    .sort((a, b) => a.date.localeCompare(b.date) || (a.time ?? "").localeCompare(b.time ?? "") || (a.order ?? 0) - (b.order ?? 0));
+
+/* Trip with populated refs, stops in itinerary order and grouped by day */
+async function tripPayload(trip) {
+  await trip.populate([
+    { path: "owner", select: "username" },
+    { path: "participants.user", select: "username" },
+    { path: "stops.location", select: "name latitude longitude description" },
+  ]);
+
+  const stops = sortStops(trip.stops).map((s) => s.toObject());
+  const days = [];
+  for (let date = trip.startDate; date <= trip.endDate; date = addDays(date, 1)) {
+    days.push({ date, stops: stops.filter((s) => s.date === date) });
+  }
+
+  return { ...trip.toObject(), stops, days };
+}
+
+/* Trips I own or take part in, soonest first */
+router.get("/", verifyToken, async (req, res) => {
+  try {
+    const trips = await Trip.find({ $or: [{ owner: req.user._id }, { "participants.user": req.user._id }] })
+      .select("name description owner startDate endDate stops.date participants.user sourceList")
+      .populate("owner", "username")
+      .sort({ startDate: 1 })
+      .lean();
+
+    res.status(200).json(
+      trips.map(({ stops, ...trip }) => ({ ...trip, stopCount: stops.length, isOwner: isTripOwner(trip, req.user._id) }))
+    );
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * POST /trips
+ * body: { name, startDate, endDate, description?, stops?: [{ locationId, date, time?, notes? }],
+ *         listId?, stopsPerDay? }
+ * With listId (a list you can view) the stops are seeded from its locations in
+ * list order, spread evenly over the days unless stopsPerDay is given.
+ */
+router.post("/", verifyToken, async (req, res) => {
+  try {
+    const { name, description = "" } = req.body;
+    if (!name) return res.status(400).json({ err: "name is required" });
+    const range = parseDateRange(req.body.startDate, req.body.endDate);
+
+    let stops = [];
+    let sourceList = null;
+    if (req.body.listId) {
+      const list = mongoose.isValidObjectId(req.body.listId) ? await List.findById(req.body.listId) : null;
+      if (!list || !canViewList(list, { userId: req.user._id })) return res.status(404).json({ err: "List not found" });
+
+      const stopsPerDay = req.body.stopsPerDay === undefined ? null : Number.parseInt(req.body.stopsPerDay, 10);
+      if (stopsPerDay !== null && !(stopsPerDay >= 1)) return res.status(400).json({ err: "stopsPerDay must be a positive integer" });
+
+      stops = stopsFromList(list, range, stopsPerDay);
+      sourceList = list._id;
+    } else if (Array.isArray(req.body.stops)) {
+      const dayOrders = {};
+      for (const raw of req.body.stops) {
+        if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw badRequest("each stop must be an object");
+        const fields = parseStopFields(raw, range);
+        const location = await ensureLocation(raw.locationId);
+        dayOrders[fields.date] = (dayOrders[fields.date] ?? -1) + 1;
+        stops.push({ ...fields, location, order: dayOrders[fields.date] });
+      }
+    }
+
+    const trip = await Trip.create({ name, description, owner: req.user._id, ...range, stops, sourceList });
+
+    res.status(201).json(await tripPayload(trip));
+  } catch (err) {
+    if (err.status === 400 || err.status === 404) return res.status(err.status).json({ err: err.message });
+    if (err.name === "ValidationError") return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+router.get("/:tripId", verifyToken, async (req, res) => {
+  try {
+    const { trip, error } = await getTrip(req.params.tripId, req.user._id);
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    res.status(200).json(await tripPayload(trip));
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* Update name/description/dates — owner-only. Stops must still fit the new dates. */
+router.put("/:tripId", verifyToken, async (req, res) => {
+  try {
+    const { trip, error } = await getTrip(req.params.tripId, req.user._id, { ownerOnly: true });
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    const { name, description } = req.body;
+    if (name !== undefined) {
+      if (!name) return res.status(400).json({ err: "name can't be empty" });
+      trip.name = name;
+    }
+    if (description !== undefined) trip.description = description;
+
+    if (req.body.startDate !== undefined || req.body.endDate !== undefined) {
+      const range = parseDateRange(req.body.startDate ?? trip.startDate, req.body.endDate ?? trip.endDate);
+      const stranded = trip.stops.filter((s) => s.date < range.startDate || s.date > range.endDate);
+      if (stranded.length) {
+        return res.status(400).json({
+          err: `${stranded.length} stop(s) fall outside the new dates; move or remove them first`,
+          stops: stranded.map((s) => s._id),
+        });
+      }
+      Object.assign(trip, range);
+    }
+
+    await trip.save();
+    res.status(200).json(await tripPayload(trip));
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* Delete a trip — owner-only */
+router.delete("/:tripId", verifyToken, async (req, res) => {
+  try {
+    const { trip, error } = await getTrip(req.params.tripId, req.user._id, { ownerOnly: true });
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    await trip.deleteOne();
+    res.status(200).json({ message: "Trip deleted" });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* Add a stop — owner-only. body: { locationId, date, time?, notes? } */
+router.post("/:tripId/stops", verifyToken, async (req, res) => {
+  try {
+    const { trip, error } = await getTrip(req.params.tripId, req.user._id, { ownerOnly: true });
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    const fields = parseStopFields(req.body, trip);
+    const location = await ensureLocation(req.body.locationId);
+
+    trip.stops.push({ ...fields, location, order: nextOrderOn(trip, fields.date) });
+    await trip.save();
+
+    res.status(201).json(await tripPayload(trip));
+  } catch (err) {
+    if (err.status === 400 || err.status === 404) return res.status(err.status).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* Move/edit a stop — owner-only. body: any of { locationId, date, time, notes, order } */
+router.put("/:tripId/stops/:stopId", verifyToken, async (req, res) => {
+  try {
+    const { trip, error } = await getTrip(req.params.tripId, req.user._id, { ownerOnly: true });
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    const stop = trip.stops.id(req.params.stopId);
+    if (!stop) return res.status(404).json({ err: "Stop not found" });
+
+    const fields = parseStopFields(req.body, trip, stop);
+    if (req.body.locationId !== undefined) stop.location = await ensureLocation(req.body.locationId);
+
+    const movedDay = fields.date !== stop.date;
+    Object.assign(stop, fields);
+    if (req.body.order !== undefined) {
+      const order = Number(req.body.order);
+      if (!Number.isInteger(order) || order < 0) return res.status(400).json({ err: "order must be a non-negative integer" });
+      stop.order = order;
+    } else if (movedDay) {
+      stop.order = nextOrderOn(trip, fields.date);
+    }
+
+    await trip.save();
+    res.status(200).json(await tripPayload(trip));
+  } catch (err) {
+    if (err.status === 400 || err.status === 404) return res.status(err.status).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* Remove a stop — owner-only */
+router.delete("/:tripId/stops/:stopId", verifyToken, async (req, res) => {
+  try {
+    const { trip, error } = await getTrip(req.params.tripId, req.user._id, { ownerOnly: true });
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    const stop = trip.stops.id(req.params.stopId);
+    if (!stop) return res.status(404).json({ err: "Stop not found" });
+
+    trip.stops.pull(stop._id);
+    await trip.save();
+
+    res.status(200).json(await tripPayload(trip));
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* Add a participant — owner-only. body: { userId | username } */
+router.post("/:tripId/participants", verifyToken, async (req, res) => {
+  try {
+    const { trip, error } = await getTrip(req.params.tripId, req.user._id, { ownerOnly: true });
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    let user = null;
+    if (req.body.userId && mongoose.isValidObjectId(req.body.userId)) {
+      user = await User.findById(req.body.userId).select("username");
+    } else if (req.body.username) {
+      user = await User.findByUsername(req.body.username).select("username");
+    }
+    if (!user) return res.status(404).json({ err: "User not found" });
+
+    if (isTripOwner(trip, user._id) || isParticipant(trip, user._id)) {
+      return res.status(409).json({ err: "That user is already on this trip" });
+    }
+
+    trip.participants.push({ user: user._id });
+    await trip.save();
+
+    res.status(201).json(await tripPayload(trip));
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* Remove a participant — the owner removes anyone, participants can leave */
+router.delete("/:tripId/participants/:userId", verifyToken, async (req, res) => {
+  try {
+    const leaving = req.params.userId === String(req.user._id);
+    const { trip, error } = await getTrip(req.params.tripId, req.user._id, { ownerOnly: !leaving });
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    const before = trip.participants.length;
+    trip.participants = trip.participants.filter((p) => String(p.user) !== req.params.userId);
+    if (trip.participants.length === before) return res.status(404).json({ err: "Participant not found" });
+
+    await trip.save();
+    res.status(200).json({ message: leaving ? "Left trip" : "Participant removed" });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * GET /trips/:tripId/forecast
+ * Every stop with the forecast period for its date (and time, using the
+ * hourly forecast when it reaches that far), scored against the caller's
+ * hike profile. Stops beyond the forecast horizon carry an
+ * OUTSIDE_FORECAST_HORIZON warning instead of a period.
+ */
+router.get("/:tripId/forecast", verifyToken, async (req, res) => {
+  try {
+    const { trip, error } = await getTrip(req.params.tripId, req.user._id);
+    if (error) return res.status(error.status).json({ err: error.msg });
+
+    await trip.populate({ path: "stops.location", select: "name latitude longitude" });
+    const thresholds = await resolveThresholds(req.user._id);
+
+    const stops = await forecastForStops(sortStops(trip.stops), { thresholds });
+
+    res.status(200).json({
+      tripId: trip._id,
+      startDate: trip.startDate,
+      endDate: trip.endDate,
+      thresholds,
+      stops,
+      warnings: stops.reduce((n, s) => n + s.warnings.length, 0),
+    });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+module.exports = router;
@@ -2,8 +2,20 @@
 const express = require('express');
 const router = express.Router();
 
+const mongoose = require('mongoose');
 const User = require('../models/user');
+const Follow = require('../models/follow');
 const verifyToken = require('../middleware/verify-token');
+const {
+  DEFAULT_THRESHOLDS,
+  THRESHOLD_FIELDS,
+  parseThresholds,
+} = require('../services/scoring');
+const { checkPassword, hashPassword, newPasswordProblem } = require('../services/passwords');
+const { revokeOtherSessions } = require('../services/sessions');
+const { sendVerification } = require('../services/user-tokens');
+const { deleteAccount } = require('../services/account-deletion');
+const { parsePaging, pageInfo } = require('../services/paging');
 
 
 router.get('/', verifyToken, async (req, res) => {
@@ -32,11 +44,315 @@ router.get('/:userId', verifyToken, async (req, res) => {
       return res.status(404).json({ err: 'User not found.'});
     }
 
+    res.json({ user, ...(await followCounts(user._id)) });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// Change username and/or email (only your own)
+// body: { currentPassword, username?, email? }
+// Conflicts come back per field like sign-up: { err, fields: { username?, email? } }
+// A new email address starts out unverified and gets a fresh verification link.
+router.put('/:userId', verifyToken, async (req, res) => {
+  try {
+    if (req.user._id !== req.params.userId) {
+      return res.status(403).json({ err: "Unauthorized" });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ err: 'User not found.' });
+    }
+    if (!checkPassword(req.body.currentPassword, user.hashedPassword)) {
+      return res.status(401).json({ err: 'Current password is incorrect.', code: 'INVALID_PASSWORD' });
+    }
+
+    const username = req.body.username === undefined ? undefined : String(req.body.username ?? '').trim();
+    const email = req.body.email === undefined ? undefined : String(req.body.email ?? '').trim().toLowerCase();
+
+    const fields = {};
+    if (username !== undefined) {
+      if (!username) fields.username = 'Username is required.';
+      else if (username.includes('@')) fields.username = 'Username cannot contain "@".';
+    }
+    if (email !== undefined && !email) fields.email = 'Email is required.';
+    if (Object.keys(fields).length) {
+      return res.status(400).json({ err: Object.values(fields)[0], fields });
+    }
+
+    const [usernameTaken, emailTaken] = await Promise.all([
+      username ? User.findByUsername(username).select('_id').lean() : null,
+      email ? User.findOne({ email }).select('_id').lean() : null,
+    ]);
+    if (usernameTaken && !usernameTaken._id.equals(user._id)) fields.username = 'Username already taken.';
+    if (emailTaken && !emailTaken._id.equals(user._id)) fields.email = 'An account with that email already exists.';
+    if (Object.keys(fields).length) {
+      return res.status(409).json({ err: Object.values(fields)[0], fields });
+    }
+
+    if (username !== undefined) user.username = username;
+    const emailChanged = email !== undefined && email !== user.email;
+    if (emailChanged) {
+      user.email = email;
+      user.emailVerified = false;
+      user.emailVerifiedAt = null;
+    }
+
+    await user.save();
+
+    if (emailChanged) await sendVerification(user);
+
+    // Access tokens carry the old username until the next refresh
     res.json({ user });
   } catch (err) {
+    if (err.code === 11000) {
+      const field = Object.keys(err.keyPattern || err.keyValue || {})[0] || 'username';
+      const message = field === 'email'
+        ? 'An account with that email already exists.'
+        : 'Username already taken.';
+      return res.status(409).json({ err: message, fields: { [field]: message } });
+    }
+    if (err.name === 'ValidationError') {
+      const fields = Object.fromEntries(Object.entries(err.errors).map(([path, e]) => [path, e.message]));
+      return res.status(400).json({ err: Object.values(fields)[0], fields });
+    }
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// Change password (only your own); every other session is signed out
+// body: { currentPassword, newPassword }
+router.put('/:userId/password', verifyToken, async (req, res) => {
+  try {
+    if (req.user._id !== req.params.userId) {
+      return res.status(403).json({ err: "Unauthorized" });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ err: 'User not found.' });
+    }
+    if (!checkPassword(req.body.currentPassword, user.hashedPassword)) {
+      return res.status(401).json({ err: 'Current password is incorrect.', code: 'INVALID_PASSWORD' });
+    }
+
+    const passwordProblem = newPasswordProblem(req.body.newPassword);
+    if (passwordProblem) {
+      return res.status(400).json({ err: passwordProblem });
+    }
+
+    user.hashedPassword = hashPassword(req.body.newPassword);
+    await user.save();
+
+    const { modifiedCount } = await revokeOtherSessions(user._id, req.sessionId);
+
+    res.json({ message: 'Password changed.', sessionsRevoked: modifiedCount });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// Delete your account and everything that belongs to it
+// body: { currentPassword }
+router.delete('/:userId', verifyToken, async (req, res) => {
+  try {
+    if (req.user._id !== req.params.userId) {
+      return res.status(403).json({ err: "Unauthorized" });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ err: 'User not found.' });
+    }
+    if (!checkPassword(req.body?.currentPassword, user.hashedPassword)) {
+      return res.status(401).json({ err: 'Current password is incorrect.', code: 'INVALID_PASSWORD' });
+    }
+
+    const deleted = await deleteAccount(user._id);
+
+    res.json({ message: 'Account deleted.', deleted });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// Public profile: username plus follower/following counts (any signed-in user)
+router.get('/:userId/profile', verifyToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ err: 'User not found.' });
+    }
+
+    const user = await User.findById(req.params.userId).select('username createdAt').lean();
+    if (!user) {
+      return res.status(404).json({ err: 'User not found.' });
+    }
+
+    const [counts, isFollowing, followsYou] = await Promise.all([
+      followCounts(user._id),
+      Follow.exists({ follower: req.user._id, following: user._id }),
+      Follow.exists({ follower: user._id, following: req.user._id }),
+    ]);
+
+    res.json({
+      profile: {
+        ...user,
+        ...counts,
+        isFollowing: Boolean(isFollowing),
+        followsYou: Boolean(followsYou),
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// Follow someone (idempotent)
+router.post('/:userId/follow', verifyToken, async (req, res) => {
+  try {
+    if (req.user._id === req.params.userId) {
+      return res.status(400).json({ err: "You can't follow yourself." });
+    }
+    if (!mongoose.isValidObjectId(req.params.userId) || !(await User.exists({ _id: req.params.userId }))) {
+      return res.status(404).json({ err: 'User not found.' });
+    }
+
+    const result = await Follow.updateOne(
+      { follower: req.user._id, following: req.params.userId },
+      { $setOnInsert: { follower: req.user._id, following: req.params.userId } },
+      { upsert: true }
+    );
+
+    res.status(result.upsertedCount ? 201 : 200).json({
+      following: true,
+      ...(await followCounts(req.params.userId)),
+    });
+  } catch (err) {
+    // lost a race with a concurrent follow of the same user
+    if (err.code === 11000) {
+      return res.status(200).json({ following: true, ...(await followCounts(req.params.userId)) });
+    }
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// Unfollow (idempotent)
+router.delete('/:userId/follow', verifyToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ err: 'User not found.' });
+    }
+
+    await Follow.deleteOne({ follower: req.user._id, following: req.params.userId });
+
+    res.json({ following: false, ...(await followCounts(req.params.userId)) });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// Who follows this user / whom they follow (newest first, paged)
+router.get('/:userId/followers', verifyToken, (req, res) => followPage(req, res, 'following', 'follower'));
+router.get('/:userId/following', verifyToken, (req, res) => followPage(req, res, 'follower', 'following'));
+
+async function followPage(req, res, matchField, userField) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ err: 'User not found.' });
+    }
+
+    const paging = parsePaging(req.query);
+    const filter = { [matchField]: req.params.userId };
+    const [follows, total] = await Promise.all([
+      Follow.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(paging.skip)
+        .limit(paging.limit)
+        .populate(userField, 'username')
+        .lean(),
+      Follow.countDocuments(filter),
+    ]);
+
+    res.json({
+      users: follows
+        .filter((f) => f[userField])
+        .map((f) => ({ _id: f[userField]._id, username: f[userField].username, followedAt: f.createdAt })),
+      ...pageInfo(paging, total),
+    });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+}
+
+async function followCounts(userId) {
+  const [followerCount, followingCount] = await Promise.all([
+    Follow.countDocuments({ following: userId }),
+    Follow.countDocuments({ follower: userId }),
+  ]);
+  return { followerCount, followingCount };
+}
+
+// Saved hike go/no-go thresholds (only your own)
+router.get('/:userId/hike-profile', verifyToken, async (req, res) => {
+  try {
+    if (req.user._id !== req.params.userId) {
+      return res.status(403).json({ err: "Unauthorized" });
+    }
+
+    const user = await User.findById(req.params.userId).select('hikeProfile');
+    if (!user) {
+      return res.status(404).json({ err: 'User not found.' });
+    }
+
+    const hikeProfile = user.hikeProfile?.toObject() ?? {};
+    res.json({
+      hikeProfile,
+      defaults: DEFAULT_THRESHOLDS,
+      effective: { ...DEFAULT_THRESHOLDS, ...withoutNulls(hikeProfile) },
+    });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// body: any of maxWindMph, maxGustMph, maxPrecipChance, minTempF, maxTempF, noThunderstorms
+// (null clears a field back to the default)
+router.put('/:userId/hike-profile', verifyToken, async (req, res) => {
+  try {
+    if (req.user._id !== req.params.userId) {
+      return res.status(403).json({ err: "Unauthorized" });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ err: 'User not found.' });
+    }
+
+    const updates = parseThresholds(req.body);
+    for (const key of Object.keys(THRESHOLD_FIELDS)) {
+      if (req.body[key] === null) user.hikeProfile[key] = undefined;
+      if (updates[key] !== undefined) user.hikeProfile[key] = updates[key];
+    }
+
+    await user.save();
+
+    const hikeProfile = user.hikeProfile.toObject();
+    res.json({
+      hikeProfile,
+      defaults: DEFAULT_THRESHOLDS,
+      effective: { ...DEFAULT_THRESHOLDS, ...withoutNulls(hikeProfile) },
+    });
+  } catch (err) {
+    if (err.status === 400 || err.name === 'ValidationError') {
+      return res.status(400).json({ err: err.message });
+    }
     res.status(500).json({ err: err.message });
   }
 });
 
+function withoutNulls(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v != null));
+}
 
 module.exports = router;
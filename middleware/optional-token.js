@@ -0,0 +1,19 @@
+const { authenticate } = require('../services/sessions');
+
+// Like verifyToken, but for public routes that personalize when signed in:
+// sets req.user for a valid token and otherwise carries on anonymously.
+async function optionalToken(req, res, next) {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (token) {
+    try {
+      const { user, sessionId } = await authenticate(token);
+      req.user = user;
+      req.sessionId = sessionId;
+    } catch (err) {
+      req.user = undefined;
+    }
+  }
+  next();
+}
+
+module.exports = optionalToken;
@@ -0,0 +1,39 @@
+const multer = require('multer');
+const { ALLOWED_CONTENT_TYPES, MAX_PHOTO_BYTES, MAX_PHOTOS_PER_UPLOAD } = require('../services/photos');
+
+// multipart/form-data with up to MAX_PHOTOS_PER_UPLOAD images in the `photos`
+// field, kept in memory for services/photos.js to check and re-encode.
+// Upload problems answer 400/413 here instead of reaching the route.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PHOTO_BYTES, files: MAX_PHOTOS_PER_UPLOAD, fields: 10 },
+  fileFilter(req, file, cb) {
+    if (!ALLOWED_CONTENT_TYPES.includes(file.mimetype)) {
+      const err = new Error(`${file.originalname} must be a JPEG, PNG or WebP image`);
+      err.status = 400;
+      return cb(err);
+    }
+    cb(null, true);
+  },
+}).array('photos', MAX_PHOTOS_PER_UPLOAD);
+
+const formatBytes = (bytes) =>
+  bytes >= 1024 * 1024 ? `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB` : `${Math.ceil(bytes / 1024)} KB`;
+
+function photoUpload(req, res, next) {
+  upload(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ err: `Each photo must be at most ${formatBytes(MAX_PHOTO_BYTES)}` });
+      }
+      if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(400).json({ err: `Send up to ${MAX_PHOTOS_PER_UPLOAD} images in the "photos" field` });
+      }
+      return res.status(400).json({ err: err.message });
+    }
+    res.status(err.status || 500).json({ err: err.message });
+  });
+}
+
+module.exports = photoUpload;
@@ -0,0 +1,33 @@
+const User = require('../models/user');
+
+// Operator-only routes (use after verifyToken). Operators are listed in env:
+// ADMIN_USER_IDS and/or ADMIN_USERNAMES, comma-separated. With neither set
+// nobody is an operator and these routes answer 403 for everyone.
+const listFromEnv = (name) =>
+  String(process.env[name] || '')
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+const ADMIN_USER_IDS = new Set(listFromEnv('ADMIN_USER_IDS'));
+const ADMIN_USERNAMES = new Set(listFromEnv('ADMIN_USERNAMES').map((u) => u.toLowerCase()));
+
+async function requireOperator(req, res, next) {
+  try {
+    const userId = String(req.user?._id ?? '');
+    let allowed = ADMIN_USER_IDS.has(userId);
+
+    // check the current username, not the one baked into the token at sign-in
+    if (!allowed && ADMIN_USERNAMES.size && userId) {
+      const user = await User.findById(userId).select('username').lean();
+      allowed = Boolean(user && ADMIN_USERNAMES.has(user.username.toLowerCase()));
+    }
+
+    if (!allowed) return res.status(403).json({ err: 'Operator access required.', code: 'NOT_OPERATOR' });
+    next();
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+}
+
+module.exports = requireOperator;
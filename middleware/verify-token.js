@@ -1,16 +1,24 @@
-const jwt = require('jsonwebtoken');
+const { authenticate } = require('../services/sessions');
 
-function verifyToken(req, res, next) {
-  try {
-    const token = req.headers.authorization.split(' ')[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+// Requires a valid, unexpired access token whose session hasn't been signed out.
+// Failures respond 401 with a code: TOKEN_MISSING, TOKEN_EXPIRED, TOKEN_INVALID or SESSION_REVOKED.
+async function verifyToken(req, res, next) {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return res.status(401).json({ err: 'Missing token.', code: 'TOKEN_MISSING' });
+  }
 
-    req.user = decoded.payload;
+  try {
+    const { user, sessionId } = await authenticate(token);
 
-    next();
+    req.user = user;
+    req.sessionId = sessionId;
   } catch (err) {
-    res.status(401).json({ err: 'Invalid token.' });
+    if (err.code) return res.status(401).json({ err: err.message, code: err.code });
+    return res.status(500).json({ err: err.message });
   }
+
+  next();
 }
 
 module.exports = verifyToken;
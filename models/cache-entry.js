@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Backing collection for the shared (MongoDB) cache store
+const cacheEntrySchema = new mongoose.Schema(
+  {
+    namespace: {
+      type: String,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // fresh until expiresAt, servable-while-revalidating until staleUntil
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    staleUntil: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true, minimize: false }
+);
+
+cacheEntrySchema.index({ namespace: 1, key: 1 }, { unique: true });
+
+// Mongo drops documents once they can no longer be served at all
+cacheEntrySchema.index({ staleUntil: 1 }, { expireAfterSeconds: 0 });
+
+const CacheEntry = mongoose.model('CacheEntry', cacheEntrySchema);
+
+module.exports = CacheEntry;
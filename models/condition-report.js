@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const photoSchema = require('./photo-schema');
+const { LEVELS, OBSTRUCTIONS } = require('./condition-values');
+
+const level = { type: String, enum: LEVELS, default: null };
+
+// A trail-condition report: what `author` saw at `location` at `observedAt`
+const conditionReportSchema = new mongoose.Schema(
+  {
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    observedAt: {
+      type: Date,
+      required: true,
+    },
+    // null = not noted
+    mud: level,
+    snow: level,
+    ice: level,
+    crowding: level,
+    obstructions: {
+      type: [{ type: String, enum: OBSTRUCTIONS }],
+      default: [],
+    },
+    // 1 (avoid) .. 5 (excellent)
+    overall: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+    },
+    text: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+      default: '',
+    },
+    photos: [photoSchema],
+  },
+  { timestamps: true }
+);
+
+conditionReportSchema.index({ location: 1, observedAt: -1 });
+
+module.exports = mongoose.model('ConditionReport', conditionReportSchema);
@@ -0,0 +1,9 @@
+// Allowed values for condition reports, shared by the ConditionReport model
+// and the validation and summaries in services/trail-conditions.js
+
+// Severity scale for mud, snow, ice and crowding
+const LEVELS = ['none', 'light', 'moderate', 'heavy'];
+
+const OBSTRUCTIONS = ['blowdown', 'washout', 'rockfall', 'flooding', 'overgrowth', 'closure', 'other'];
+
+module.exports = { LEVELS, OBSTRUCTIONS };
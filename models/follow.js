@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// `follower` follows `following`; one doc per pair
+const followSchema = new mongoose.Schema(
+  {
+    follower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    following: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+
+followSchema.index({ following: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Follow', followSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// History: one document per execution of a scheduled job
+const jobRunSchema = new mongoose.Schema(
+  {
+    job: {
+      type: String,
+      required: true,
+    },
+    instance: {
+      type: String,
+      required: true,
+    },
+    trigger: {
+      type: String,
+      enum: ['schedule', 'manual'],
+      default: 'schedule',
+    },
+    status: {
+      type: String,
+      enum: ['running', 'succeeded', 'failed'],
+      default: 'running',
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true, minimize: false }
+);
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+jobRunSchema.index({ status: 1, startedAt: -1 });
+
+// run history is kept for 30 days
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
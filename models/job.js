@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Persisted state of one scheduled job (see services/jobs/scheduler.js).
+// The lock (lockedBy/lockedUntil) makes sure only one instance runs it at a time.
+const jobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    intervalMs: {
+      type: Number,
+      required: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    nextRunAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // set by "run now"; cleared when that run starts
+    runRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastFinishedAt: {
+      type: Date,
+      default: null,
+    },
+    lastStatus: {
+      type: String,
+      enum: ['succeeded', 'failed', null],
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    lastDurationMs: {
+      type: Number,
+      default: null,
+    },
+    runCount: {
+      type: Number,
+      default: 0,
+    },
+    failureCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -28,16 +28,133 @@ const commentSchema = new mongoose.Schema(
   {
     text: {
       type: String,
-      required: true
+      // tombstones (deleted comments that still have replies) keep no text
+      required: function () { return !this.deleted; },
+      maxlength: 2000
     },
    owner: { 
       type: mongoose.Schema.Types.ObjectId, 
       ref: 'User' 
-    }
+    },
+    // reply-to; null for a top-level comment
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    edited: {
+      type: Boolean,
+      default: false
+    },
+    editedAt: {
+      type: Date,
+      default: null
+    },
+    hidden: {
+      type: Boolean,
+      default: false
+    },
+    hiddenAt: {
+      type: Date,
+      default: null
+    },
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    deleted: {
+      type: Boolean,
+      default: false
+    },
+  },
+  { timestamps: true }
+);
+
+// A collaborator; the owner is always `list.owner` and never appears here
+const memberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['editor', 'viewer'],
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    },
+  },
+  { _id: false }
+);
+
+const invitationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['editor', 'viewer'],
+      required: true
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'cancelled'],
+      default: 'pending'
+    },
+    respondedAt: {
+      type: Date,
+      default: null
+    },
   },
   { timestamps: true }
 );
 
+// Revocable read-only link for unlisted lists; only the token's sha256 is kept
+const shareLinkSchema = new mongoose.Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true
+    },
+    label: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.tokenHash;
+        return ret;
+      }
+    },
+    // spread into responses via toObject() too; the hash never leaves the server
+    toObject: {
+      transform: (doc, ret) => {
+        delete ret.tokenHash;
+        return ret;
+      }
+    }
+  }
+);
+
 const listSchema = new mongoose.Schema(
   {
     name: { 
@@ -62,6 +179,51 @@ const listSchema = new mongoose.Schema(
       type: [commentSchema],
       default:[]
     },
+    // lists saved before this field existed need `npm run migrate:list-visibility`
+    visibility: {
+      type: String,
+      enum: ['private', 'unlisted', 'public'],
+      default: 'private'
+    },
+    shareLinks: {
+      type: [shareLinkSchema],
+      default: []
+    },
+    members: {
+      type: [memberSchema],
+      default: []
+    },
+    invitations: {
+      type: [invitationSchema],
+      default: []
+    },
+    starCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    forkCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Where a fork came from; name/owner are kept in case the source goes away
+    forkedFrom: {
+      list: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'List'
+      },
+      owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      name: {
+        type: String
+      },
+      forkedAt: {
+        type: Date
+      }
+    },
   }, 
   { timestamps: true }
 );
@@ -70,6 +232,12 @@ listSchema.index({ owner: 1, name: 1 }, { unique: true });
 
 listSchema.index({ name: "text", description: "text" })
 
+listSchema.index({ visibility: 1, updatedAt: -1 });
+
+listSchema.index({ 'members.user': 1 });
+
+listSchema.index({ 'invitations.user': 1, 'invitations.status': 1 });
+
 listSchema.index(
   { _id: 1, 'locations.location': 1 },
   { unique: true, sparse: true }
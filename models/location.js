@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const photoSchema = require('./photo-schema');
 
 const activitySchema = new mongoose.Schema(
   {
@@ -14,12 +15,29 @@ const activitySchema = new mongoose.Schema(
     author: { 
       type: mongoose.Schema.Types.ObjectId, 
       ref: 'User' 
-    }
+    },
+    photos: [photoSchema],
   },
   { timestamps: true }
 );
 
 
+// GeoJSON point mirrored from longitude/latitude (kept in sync by the hooks below)
+const pointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point',
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined,
+    },
+  },
+  { _id: false }
+);
+
 const locationSchema = mongoose.Schema(
   {
     //to track order
@@ -35,10 +53,18 @@ const locationSchema = mongoose.Schema(
   longitude: {
     type: Number,
     required: true,
+    min: -180,
+    max: 180,
   },
   latitude: {
     type: Number,
     required: true,
+    min: -90,
+    max: 90,
+  },
+  geo: {
+    type: pointSchema,
+    default: undefined,
   },
   description:{
     type:String,
@@ -57,6 +83,44 @@ const locationSchema = mongoose.Schema(
 
 locationSchema.index({ author: 1, longitude: 1, latitude: 1 }, { unique: true });
 
+locationSchema.index({ geo: '2dsphere' });
+
+const toPoint = (longitude, latitude) => ({ type: 'Point', coordinates: [longitude, latitude] });
+
+locationSchema.pre('validate', function () {
+  if (this.isModified('longitude') || this.isModified('latitude') || !this.geo?.coordinates?.length) {
+    this.geo = toPoint(this.longitude, this.latitude);
+  }
+});
+
+// Updates that touch longitude/latitude (incl. upserts) must move `geo` too
+locationSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], async function () {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return;
+
+  for (const group of [update, update.$set, update.$setOnInsert]) {
+    if (!group) continue;
+    const hasLon = group.longitude !== undefined;
+    const hasLat = group.latitude !== undefined;
+    if (!hasLon && !hasLat) continue;
+
+    if (hasLon && hasLat) {
+      group.geo = toPoint(Number(group.longitude), Number(group.latitude));
+      continue;
+    }
+
+    // Only one half changed: take the other from the stored document
+    if (this.op === 'updateMany') continue; // can't resolve per-document; run the geo migration
+    const current = await this.model.findOne(this.getQuery()).select('longitude latitude').lean();
+    if (current) {
+      group.geo = toPoint(
+        Number(hasLon ? group.longitude : current.longitude),
+        Number(hasLat ? group.latitude : current.latitude)
+      );
+    }
+  }
+});
+
 const Location = mongoose.model('Location', locationSchema);
 
 module.exports = Location;
\ No newline at end of file
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A stored photo (embedded on activities and condition reports; see services/photos.js).
+// URLs are resolved by the storage backend at upload time.
+const photoSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    thumbnailKey: {
+      type: String,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    thumbnailUrl: {
+      type: String,
+      required: true,
+    },
+    contentType: {
+      type: String,
+      required: true,
+    },
+    size: Number,
+    width: Number,
+    height: Number,
+    // EXIF (GPS included) was removed at the uploader's request
+    gpsStripped: {
+      type: Boolean,
+      default: false,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = photoSchema;
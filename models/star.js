@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// `user` starred `list`; one doc per pair (List.starCount mirrors the total)
+const starSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    list: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'List',
+      required: true,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+starSchema.index({ user: 1, list: 1 }, { unique: true });
+
+starSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Star', starSchema);
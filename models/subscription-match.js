@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Remembers which matches a subscription has already announced, so the
+// evaluator can run as often as it likes without repeating itself
+const subscriptionMatchSchema = new mongoose.Schema(
+  {
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subscription',
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+subscriptionMatchSchema.index({ subscription: 1, key: 1 }, { unique: true });
+
+// forecasts only reach ~7 days out, so a month of memory is plenty
+subscriptionMatchSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SubscriptionMatch', subscriptionMatchSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// One rule; see services/subscriptions/rules.js for what the fields mean
+const ruleSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ['forecast', 'alert'],
+      required: true,
+    },
+    // forecast rules
+    field: String,
+    op: String,
+    value: mongoose.Schema.Types.Mixed,
+    day: String,
+    daytimeOnly: Boolean,
+    // alert rules
+    event: String,
+    minSeverity: String,
+  },
+  { minimize: false }
+);
+
+// "Tell me when this location's / list's weather matches these rules"
+const subscriptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    target: {
+      kind: {
+        type: String,
+        enum: ['location', 'list'],
+        required: true,
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+    },
+    rules: {
+      type: [ruleSchema],
+      default: [],
+    },
+    // optional webhook; payloads are signed with `secret` (HMAC-SHA256)
+    webhook: {
+      url: {
+        type: String,
+        default: null,
+      },
+      secret: {
+        type: String,
+        default: null,
+      },
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    lastEvaluatedAt: {
+      type: Date,
+      default: null,
+    },
+    lastMatchedAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+subscriptionSchema.index({ active: 1, lastEvaluatedAt: 1 });
+
+subscriptionSchema.index({ 'target.kind': 1, 'target.id': 1 });
+
+subscriptionSchema.set('toJSON', {
+  transform: (document, returnedObject) => {
+    if (returnedObject.webhook) delete returnedObject.webhook.secret;
+  },
+});
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
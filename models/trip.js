@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// One planned visit: a Location on a given (local) day, optionally at a time
+const stopSchema = new mongoose.Schema(
+  {
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      required: true,
+    },
+    // local calendar date at the location, "YYYY-MM-DD"
+    date: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    // optional local start time, "HH:MM" (24h)
+    time: {
+      type: String,
+      default: null,
+      match: /^([01]\d|2[0-3]):[0-5]\d$/,
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+  },
+  { timestamps: true }
+);
+
+const participantSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// A dated itinerary: stops laid out day by day between startDate and endDate
+const tripSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // inclusive, "YYYY-MM-DD"
+    startDate: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    endDate: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    stops: {
+      type: [stopSchema],
+      default: [],
+    },
+    participants: {
+      type: [participantSchema],
+      default: [],
+    },
+    // the list the stops were seeded from, if any
+    sourceList: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'List',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+tripSchema.index({ owner: 1, startDate: -1 });
+
+tripSchema.index({ 'participants.user': 1 });
+
+tripSchema.index({ 'stops.location': 1 });
+
+module.exports = mongoose.model('Trip', tripSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Single-use emailed tokens (password reset, email verification).
+// Only a hash of the token is stored.
+const userTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    purpose: {
+      type: String,
+      enum: ['password-reset', 'email-verification'],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // address the token was sent to (verification only counts for that address)
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UserToken = mongoose.model('UserToken', userTokenSchema);
+
+module.exports = UserToken;
@@ -1,9 +1,23 @@
 const mongoose = require('mongoose');
 
+// Saved go/no-go thresholds; unset fields fall back to the scoring defaults
+const hikeProfileSchema = new mongoose.Schema(
+  {
+    maxWindMph: { type: Number, min: 0 },
+    maxGustMph: { type: Number, min: 0 },
+    maxPrecipChance: { type: Number, min: 0, max: 100 },
+    minTempF: { type: Number },
+    maxTempF: { type: Number },
+    noThunderstorms: { type: Boolean },
+  },
+  { _id: false }
+);
+
 const userSchema = mongoose.Schema({
   username: {
     type: String,
     required: true,
+    trim: true,
   },
   email: {
     type: String,
@@ -13,15 +27,54 @@ const userSchema = mongoose.Schema({
     unique: true,
     match: [/^\S+@\S+\.\S+$/, 'Please use a valid email address']
 },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null,
+  },
   hashedPassword: {
     type: String,
     required: true,
   },
+  hikeProfile: {
+    type: hikeProfileSchema,
+    default: () => ({}),
+  },
+  // brute-force protection: consecutive failed sign-ins and temporary lockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
 });
 
+// Usernames are unique regardless of case ("Alice" == "alice")
+const USERNAME_COLLATION = { locale: 'en', strength: 2 };
+
+userSchema.index({ username: 1 }, { unique: true, collation: USERNAME_COLLATION });
+
+userSchema.statics.findByUsername = function (username) {
+  return this.findOne({ username: String(username ?? '').trim() }).collation(USERNAME_COLLATION);
+};
+
+// Sign-in identifier: an email address or a (case-insensitive) username
+userSchema.statics.findByLogin = function (identifier) {
+  const value = String(identifier ?? '').trim();
+  if (value.includes('@')) return this.findOne({ email: value.toLowerCase() });
+  return this.findByUsername(value);
+};
+
 userSchema.set('toJSON', {
   transform: (document, returnedObject) => {
     delete returnedObject.hashedPassword;
+    delete returnedObject.failedLoginAttempts;
+    delete returnedObject.lockedUntil;
   }
 });
 
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// One webhook POST and its retry state (see services/webhooks.js)
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subscription',
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'delivering', 'delivered', 'failed'],
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true, minimize: false }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+
+// delivery history is kept for 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,30 @@
+// One-off migration: give lists created before list visibility existed an
+// explicit `visibility: 'public'`.
+//
+//   npm run migrate:list-visibility
+//
+// Before visibility, any signed-in user could open and search every list, so
+// 'public' keeps those lists where people found them. Without this they read
+// as the schema default ('private') and vanish for everyone but their owner.
+// New lists still start out private. Safe to re-run: only lists with no
+// stored visibility are touched.
+const dotenv = require('dotenv');
+dotenv.config();
+const mongoose = require('mongoose');
+const List = require('../models/list');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`Connected to MongoDB ${mongoose.connection.name}.`);
+
+  const result = await List.updateMany({ visibility: { $exists: false } }, { $set: { visibility: 'public' } });
+
+  console.log(`Made ${result.modifiedCount} older list(s) public.`);
+}
+
+migrate()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,66 @@
+// One-off migration: backfill the GeoJSON `geo` field on existing Location
+// documents from their longitude/latitude, then build the 2dsphere index.
+//
+//   npm run migrate:location-geo
+//
+// Safe to re-run: only documents whose `geo` is missing or out of sync are touched.
+const dotenv = require('dotenv');
+dotenv.config();
+const mongoose = require('mongoose');
+const Location = require('../models/location');
+
+const BATCH_SIZE = 500;
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`Connected to MongoDB ${mongoose.connection.name}.`);
+
+  const cursor = Location.find({}).select('longitude latitude geo').lean().cursor();
+
+  let scanned = 0;
+  let updated = 0;
+  let invalid = 0;
+  let ops = [];
+
+  const flush = async () => {
+    if (!ops.length) return;
+    const result = await Location.bulkWrite(ops, { ordered: false });
+    updated += result.modifiedCount;
+    ops = [];
+  };
+
+  for await (const doc of cursor) {
+    scanned += 1;
+    const lon = Number(doc.longitude);
+    const lat = Number(doc.latitude);
+
+    if (!Number.isFinite(lon) || !Number.isFinite(lat) || Math.abs(lon) > 180 || Math.abs(lat) > 90) {
+      invalid += 1;
+      console.warn(`Skipping ${doc._id}: invalid coordinates (${doc.longitude}, ${doc.latitude})`);
+      continue;
+    }
+
+    const [curLon, curLat] = doc.geo?.coordinates ?? [];
+    if (curLon === lon && curLat === lat) continue;
+
+    ops.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { geo: { type: 'Point', coordinates: [lon, lat] } } },
+      },
+    });
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  await Location.syncIndexes();
+
+  console.log(`Scanned ${scanned}, updated ${updated}, skipped ${invalid} with invalid coordinates.`);
+}
+
+migrate()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
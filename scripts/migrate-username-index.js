@@ -0,0 +1,71 @@
+// One-off migration: build the unique, case-insensitive index on User.username.
+//
+//   npm run migrate:username-index            # report duplicates, build the index if there are none
+//   npm run migrate:username-index -- --rename # also rename duplicates ("alice" -> "alice-2")
+//
+// Usernames used to be unique only by convention, so older databases can hold
+// names that clash exactly or by case. Until they are resolved the index can't
+// be built and sign-in by username may pick either account. With --rename the
+// oldest account keeps its name and every later one gets the first free
+// "<name>-<n>". Safe to re-run.
+const dotenv = require('dotenv');
+dotenv.config();
+const mongoose = require('mongoose');
+const User = require('../models/user');
+
+const RENAME = process.argv.includes('--rename');
+
+// same collation as the index declared in models/user.js
+const [, INDEX_OPTIONS] = User.schema.indexes().find(([fields]) => fields.username);
+const COLLATION = INDEX_OPTIONS.collation;
+
+const duplicateGroups = () =>
+  User.aggregate([
+    { $sort: { _id: 1 } },
+    { $group: { _id: '$username', users: { $push: { _id: '$_id', username: '$username' } }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+  ]).collation(COLLATION);
+
+async function freeName(base) {
+  for (let n = 2; ; n++) {
+    const candidate = `${base}-${n}`;
+    if (!(await User.exists({ username: candidate }).collation(COLLATION))) return candidate;
+  }
+}
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI, { autoIndex: false });
+  console.log(`Connected to MongoDB ${mongoose.connection.name}.`);
+
+  const groups = await duplicateGroups();
+  let renamed = 0;
+
+  for (const group of groups) {
+    const [keep, ...others] = group.users;
+    console.warn(`Duplicate username "${keep.username}": ${group.users.map((u) => `${u.username} (${u._id})`).join(', ')}`);
+    if (!RENAME) continue;
+
+    for (const user of others) {
+      const username = await freeName(keep.username);
+      await User.updateOne({ _id: user._id }, { $set: { username } });
+      console.log(`  renamed ${user._id}: "${user.username}" -> "${username}"`);
+      renamed += 1;
+    }
+  }
+
+  if (groups.length && !RENAME) {
+    console.error(`${groups.length} duplicate username(s); re-run with --rename to resolve them. Index not built.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await User.syncIndexes();
+  console.log(`Found ${groups.length} duplicate username(s), renamed ${renamed} account(s); username index built.`);
+}
+
+migrate()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
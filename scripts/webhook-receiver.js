@@ -0,0 +1,98 @@
+// Local webhook receiver for development and tests: accepts subscription
+// webhooks, checks their signatures and prints them.
+//
+//   WEBHOOK_SECRET=<subscription secret> npm run webhook:receiver
+//
+// Point a subscription's webhook url at http://localhost:4040/ (or
+// WEBHOOK_RECEIVER_PORT); the API must run with WEBHOOK_ALLOW_PRIVATE_HOSTS=true
+// to accept and deliver to a local url. WEBHOOK_RECEIVER_FAIL=N answers the first N
+// deliveries with a 503 to exercise retries.
+//
+// Tests can also start one in-process:
+//   const { createWebhookReceiver } = require('../scripts/webhook-receiver');
+//   const receiver = createWebhookReceiver({ secret });
+//   receiver.server.listen(0); ... receiver.received -> [{ id, event, valid, payload }]
+const http = require('http');
+const { verifySignature } = require('../services/webhooks');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function createWebhookReceiver({ secret, failFirst = 0, log = () => {} } = {}) {
+  const received = [];
+  let failuresLeft = failFirst;
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405).end();
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        res.writeHead(413).end();
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const valid = secret ? verifySignature(secret, req.headers['x-webhook-signature'], body) : null;
+
+      let payload = null;
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        payload = null;
+      }
+
+      const entry = {
+        id: req.headers['x-webhook-id'],
+        event: req.headers['x-webhook-event'],
+        valid,
+        payload,
+        receivedAt: new Date(),
+      };
+
+      if (failuresLeft > 0) {
+        failuresLeft -= 1;
+        log({ ...entry, answered: 503 });
+        res.writeHead(503, { 'Retry-After': '1' }).end();
+        return;
+      }
+
+      received.push(entry);
+      log({ ...entry, answered: valid === false ? 401 : 204 });
+      res.writeHead(valid === false ? 401 : 204).end();
+    });
+  });
+
+  return { server, received };
+}
+
+module.exports = { createWebhookReceiver };
+
+if (require.main === module) {
+  const dotenv = require('dotenv');
+  dotenv.config();
+
+  const port = Number(process.env.WEBHOOK_RECEIVER_PORT) || 4040;
+  const { server } = createWebhookReceiver({
+    secret: process.env.WEBHOOK_SECRET,
+    failFirst: Number(process.env.WEBHOOK_RECEIVER_FAIL) || 0,
+    log: (entry) => {
+      const signature = entry.valid === null ? 'unchecked' : entry.valid ? 'valid' : 'INVALID';
+      console.log(`--- ${entry.event} ${entry.id} (signature ${signature}, answered ${entry.answered}) ---`);
+      console.log(JSON.stringify(entry.payload, null, 2));
+    },
+  });
+
+  server.listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}/`);
+    if (!process.env.WEBHOOK_SECRET) console.log('WEBHOOK_SECRET not set: signatures are not checked.');
+  });
+}
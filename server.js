@@ -9,24 +9,62 @@ const authRouter=require('./controllers/auth');
 const usersRouter=require('./controllers/users');
 const locationsRouter=require('./controllers/locations');
 const listsRouter=require('./controllers/lists');
+const feedRouter=require('./controllers/feed');
+const subscriptionsRouter=require('./controllers/subscriptions');
+const notificationsRouter=require('./controllers/notifications');
+const jobsRouter=require('./controllers/jobs');
+const tripsRouter=require('./controllers/trips');
+const { startJobs } = require('./services/jobs');
+const User = require('./models/user');
+const List = require('./models/list');
+const { getTransport } = require('./services/mailer');
+const { storage, UPLOADS_BASE_URL } = require('./services/storage');
+
+// fail now rather than on the first password reset if mail isn't configured
+getTransport();
 
 mongoose.connect(process.env.MONGODB_URI);
 
 
 mongoose.connection.on('connected', () => {
   console.log(`Connected to MongoDB ${mongoose.connection.name}.`);
+
+  // Lists from before list visibility read as private until migrated
+  List.exists({ visibility: { $exists: false } })
+    .then((found) => {
+      if (found) console.warn('*** Some lists have no visibility yet. Run `npm run migrate:list-visibility`.');
+    })
+    .catch(() => {});
+});
+
+// Without the unique username index, sign-in by username may match the wrong account
+User.init().catch((err) => {
+  console.error(`\n*** User indexes could not be built: ${err.message}`);
+  console.error('*** Usernames are NOT unique. Run `npm run migrate:username-index` to fix duplicates.\n');
 });
 
 app.use(cors());
-app.use(express.json());
+// list imports parse their own, larger, JSON bodies (controllers/lists.js)
+const jsonBody = express.json();
+app.use((req, res, next) => (/^\/lists\/[^/]+\/import\/?$/.test(req.path) ? next() : jsonBody(req, res, next)));
 app.use(logger('dev'));
+// uploaded photos, when the storage backend is served by this app
+if (storage.serve) app.use(UPLOADS_BASE_URL, storage.serve());
 app.use('/auth', authRouter);
 app.use('/users', usersRouter);
 app.use('/locations', locationsRouter);
 app.use('/lists', listsRouter);
+app.use('/feed', feedRouter);
+app.use('/subscriptions', subscriptionsRouter);
+app.use('/notifications', notificationsRouter);
+app.use('/jobs', jobsRouter);
+app.use('/trips', tripsRouter);
 
 const PORT = process.env.PORT || 3000;
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+});
+
+// Scheduled background jobs: forecast pre-warming, subscription checks, photo cleanup (JOBS=off to disable)
+startJobs();
\ No newline at end of file
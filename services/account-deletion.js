@@ -0,0 +1,181 @@
+const User = require("../models/user.js");
+const List = require("../models/list.js");
+const Location = require("../models/location.js");
+const Session = require("../models/session.js");
+const UserToken = require("../models/user-token.js");
+const Follow = require("../models/follow.js");
+const Star = require("../models/star.js");
+const Subscription = require("../models/subscription.js");
+const SubscriptionMatch = require("../models/subscription-match.js");
+const Notification = require("../models/notification.js");
+const WebhookDelivery = require("../models/webhook-delivery.js");
+const Trip = require("../models/trip.js");
+const ConditionReport = require("../models/condition-report.js");
+const { removePhotoFiles } = require("./photos.js");
+const { removeCommentsBy } = require("./comment-threads.js");
+
+// ------------------------------
+// Account deletion cascade
+//
+// Steps run in order and are idempotent, and the User document goes last,
+// so a deletion interrupted halfway can simply be run again. Each step
+// returns a count for the summary.
+// ------------------------------
+
+const STEPS = [
+  // Stars the user gave (un-counted from each list), then stars on the
+  // user's own lists, which are about to go
+  [
+    "starsRemoved",
+    async (userId) => {
+      const starred = await Star.find({ user: userId }).distinct("list");
+      if (starred.length) {
+        await List.updateMany({ _id: { $in: starred }, starCount: { $gt: 0 } }, { $inc: { starCount: -1 } });
+      }
+      const given = (await Star.deleteMany({ user: userId })).deletedCount;
+      const owned = await List.find({ owner: userId }).distinct("_id");
+      const received = owned.length ? (await Star.deleteMany({ list: { $in: owned } })).deletedCount : 0;
+      return given + received;
+    },
+  ],
+
+  // Files of photos about to go with the user's activities, reports and
+  // locations (the photo-orphan-sweep job catches any this misses)
+  [
+    "photoFilesRemoved",
+    async (userId) => {
+      const photos = [];
+      const locations = await Location.find({ $or: [{ author: userId }, { "activities.author": userId }] })
+        .select("author activities.author activities.photos")
+        .lean();
+      for (const location of locations) {
+        const ownLocation = String(location.author) === String(userId);
+        for (const activity of location.activities) {
+          if (ownLocation || String(activity.author) === String(userId)) photos.push(...(activity.photos || []));
+        }
+      }
+      const ownLocationIds = locations.filter((l) => String(l.author) === String(userId)).map((l) => l._id);
+      const reports = await ConditionReport.find({ $or: [{ author: userId }, { location: { $in: ownLocationIds } }] })
+        .select("photos")
+        .lean();
+      for (const report of reports) photos.push(...(report.photos || []));
+      return removePhotoFiles(photos);
+    },
+  ],
+
+  // Lists the user owns go entirely (their comments with them), even shared
+  // ones — owners who want a list to live on transfer it first
+  ["listsDeleted", async (userId) => (await List.deleteMany({ owner: userId })).deletedCount],
+
+  // Locations the user authored are removed from everyone else's lists
+  // first, so no list is left pointing at a deleted Location
+  [
+    "listEntriesRemoved",
+    async (userId) => {
+      const ids = await Location.find({ author: userId }).distinct("_id");
+      if (!ids.length) return 0;
+      const result = await List.updateMany(
+        { "locations.location": { $in: ids } },
+        { $pull: { locations: { location: { $in: ids } } } }
+      );
+      return result.modifiedCount;
+    },
+  ],
+  // ...and from everyone else's trip stops
+  [
+    "tripStopsRemoved",
+    async (userId) => {
+      const ids = await Location.find({ author: userId }).distinct("_id");
+      if (!ids.length) return 0;
+      const result = await Trip.updateMany(
+        { "stops.location": { $in: ids } },
+        { $pull: { stops: { location: { $in: ids } } } }
+      );
+      return result.modifiedCount;
+    },
+  ],
+  // Condition reports the user filed, and everyone's reports on the user's locations
+  [
+    "conditionReportsDeleted",
+    async (userId) => {
+      const ids = await Location.find({ author: userId }).distinct("_id");
+      return (await ConditionReport.deleteMany({ $or: [{ author: userId }, { location: { $in: ids } }] })).deletedCount;
+    },
+  ],
+  ["locationsDeleted", async (userId) => (await Location.deleteMany({ author: userId })).deletedCount],
+
+  // The user's activities on other people's locations
+  [
+    "activitiesRemoved",
+    async (userId) =>
+      (await Location.updateMany({ "activities.author": userId }, { $pull: { activities: { author: userId } } }))
+        .modifiedCount,
+  ],
+
+  // The user's comments on other people's lists; ones with replies from
+  // others stay as ownerless tombstones so those threads keep their shape
+  [
+    "commentsRemoved",
+    async (userId) => {
+      let removed = 0;
+      for (const list of await List.find({ "comments.owner": userId })) {
+        removed += removeCommentsBy(list, userId);
+        await list.save();
+      }
+      return removed;
+    },
+  ],
+
+  // Memberships and invitations on other people's lists
+  [
+    "membershipsRemoved",
+    async (userId) =>
+      (
+        await List.updateMany(
+          { $or: [{ "members.user": userId }, { "invitations.user": userId }] },
+          { $pull: { members: { user: userId }, invitations: { user: userId } } }
+        )
+      ).modifiedCount,
+  ],
+
+  // Trips the user owns go; on other people's trips they just leave
+  ["tripsDeleted", async (userId) => (await Trip.deleteMany({ owner: userId })).deletedCount],
+  [
+    "tripParticipationsRemoved",
+    async (userId) =>
+      (await Trip.updateMany({ "participants.user": userId }, { $pull: { participants: { user: userId } } }))
+        .modifiedCount,
+  ],
+
+  [
+    "followsDeleted",
+    async (userId) => (await Follow.deleteMany({ $or: [{ follower: userId }, { following: userId }] })).deletedCount,
+  ],
+
+  [
+    "subscriptionsDeleted",
+    async (userId) => {
+      const ids = await Subscription.find({ user: userId }).distinct("_id");
+      if (ids.length) await SubscriptionMatch.deleteMany({ subscription: { $in: ids } });
+      return (await Subscription.deleteMany({ user: userId })).deletedCount;
+    },
+  ],
+  ["notificationsDeleted", async (userId) => (await Notification.deleteMany({ user: userId })).deletedCount],
+  ["webhookDeliveriesDeleted", async (userId) => (await WebhookDelivery.deleteMany({ user: userId })).deletedCount],
+
+  ["sessionsDeleted", async (userId) => (await Session.deleteMany({ user: userId })).deletedCount],
+  ["tokensDeleted", async (userId) => (await UserToken.deleteMany({ user: userId })).deletedCount],
+
+  ["userDeleted", async (userId) => (await User.deleteOne({ _id: userId })).deletedCount],
+];
+
+/* Delete a user and everything that belongs to them. Resolves to per-step counts. */
+const deleteAccount = async (userId) => {
+  const summary = {};
+  for (const [name, step] of STEPS) {
+    summary[name] = await step(userId);
+  }
+  return summary;
+};
+
+module.exports = { deleteAccount };
@@ -0,0 +1,155 @@
+const { createMemoryStore } = require("./memory-store.js");
+const { createMongoStore, createTieredStore } = require("./mongo-store.js");
+
+// ------------------------------
+// Cache subsystem
+//
+// createCache({ name, ttlMs, staleMs }) returns a cache whose `wrap(key, loader)`
+// serves fresh entries, serves stale entries while refreshing them in the
+// background (stale-while-revalidate), and only blocks on the loader for
+// true misses. Concurrent loads of the same key share one loader call.
+// `refresh(key, loader)` reloads unconditionally (e.g. to pre-warm an entry
+// before it expires).
+//
+// Storage is pluggable: a store is { get, set, delete, clear, stats } with
+// entries shaped { value, expiresAt, staleUntil } (ms timestamps).
+// CACHE_STORE picks the default backend: "mongo" (memory LRU in front of a
+// shared MongoDB collection; the default) or "memory" (per-process only).
+// ------------------------------
+
+const registry = new Map(); // name -> cache
+
+const defaultStore = (name, { maxEntries, maxBytes }) => {
+  const memory = createMemoryStore({ maxEntries, maxBytes });
+  if ((process.env.CACHE_STORE || "mongo") === "memory") return memory;
+  return createTieredStore(memory, createMongoStore({ namespace: name }));
+};
+
+const createCache = ({ name, ttlMs, staleMs = 0, maxEntries, maxBytes, store }) => {
+  const backend = store ?? defaultStore(name, { maxEntries, maxBytes });
+  const inflight = new Map(); // key -> Promise (one loader per key at a time)
+  const counters = { hits: 0, staleHits: 0, misses: 0, loads: 0, loadErrors: 0, storeErrors: 0 };
+
+  // Store failures (e.g. Mongo down) degrade to "no cache", never to an error
+  const safeGet = async (key) => {
+    try {
+      return await backend.get(key);
+    } catch {
+      counters.storeErrors += 1;
+      return null;
+    }
+  };
+
+  const safeSet = async (key, entry) => {
+    try {
+      await backend.set(key, entry);
+    } catch {
+      counters.storeErrors += 1;
+    }
+  };
+
+  const set = async (key, value) => {
+    const now = Date.now();
+    await safeSet(key, { value, expiresAt: now + ttlMs, staleUntil: now + ttlMs + staleMs });
+  };
+
+  const load = (key, loader) => {
+    if (inflight.has(key)) return inflight.get(key);
+
+    const p = (async () => {
+      counters.loads += 1;
+      try {
+        const value = await loader();
+        await set(key, value);
+        return value;
+      } catch (err) {
+        counters.loadErrors += 1;
+        throw err;
+      } finally {
+        inflight.delete(key);
+      }
+    })();
+
+    inflight.set(key, p);
+    return p;
+  };
+
+  const cache = {
+    name,
+
+    /* Fresh or stale value, or null */
+    async get(key) {
+      const entry = await safeGet(key);
+      return entry ? entry.value : null;
+    },
+
+    set,
+
+    async delete(key) {
+      try {
+        await backend.delete(key);
+      } catch {
+        counters.storeErrors += 1;
+      }
+    },
+
+    async clear() {
+      try {
+        await backend.clear();
+      } catch {
+        counters.storeErrors += 1;
+      }
+    },
+
+    /* When does the entry for `key` stop being fresh? (ms timestamp or null) */
+    async expiresAt(key) {
+      const entry = await safeGet(key);
+      return entry ? entry.expiresAt : null;
+    },
+
+    /* Reload now, whatever state the entry is in */
+    refresh(key, loader) {
+      return load(key, loader);
+    },
+
+    async wrap(key, loader) {
+      const entry = await safeGet(key);
+      const now = Date.now();
+
+      if (entry && entry.expiresAt > now) {
+        counters.hits += 1;
+        return entry.value;
+      }
+
+      if (entry && entry.staleUntil > now) {
+        counters.staleHits += 1;
+        load(key, loader).catch(() => {}); // revalidate in the background
+        return entry.value;
+      }
+
+      counters.misses += 1;
+      return load(key, loader);
+    },
+
+    stats() {
+      const lookups = counters.hits + counters.staleHits + counters.misses;
+      return {
+        name,
+        ttlMs,
+        staleMs,
+        ...counters,
+        hitRate: lookups ? (counters.hits + counters.staleHits) / lookups : null,
+        inflight: inflight.size,
+        store: backend.stats(),
+      };
+    },
+  };
+
+  registry.set(name, cache);
+  return cache;
+};
+
+/* Stats for every cache created in this process */
+const allCacheStats = () => [...registry.values()].map((c) => c.stats());
+
+module.exports = { createCache, allCacheStats, createMemoryStore, createMongoStore, createTieredStore };
@@ -0,0 +1,77 @@
+// ------------------------------
+// Size-bounded LRU memory store
+//
+// A Map keeps insertion order, so re-inserting on read makes the first key
+// the least recently used. Entries are evicted from the front until both
+// the entry count and the (approximate) byte size fit.
+// ------------------------------
+
+const approxBytes = (value) => {
+  try {
+    return Buffer.byteLength(JSON.stringify(value) ?? "", "utf8");
+  } catch {
+    return 0;
+  }
+};
+
+const createMemoryStore = ({ maxEntries = 1000, maxBytes = 5 * 1024 * 1024 } = {}) => {
+  const entries = new Map(); // key -> { entry, bytes }
+  let totalBytes = 0;
+  let evictions = 0;
+
+  const remove = (key) => {
+    const hit = entries.get(key);
+    if (!hit) return false;
+    entries.delete(key);
+    totalBytes -= hit.bytes;
+    return true;
+  };
+
+  const evict = () => {
+    while (entries.size > maxEntries || (totalBytes > maxBytes && entries.size > 1)) {
+      remove(entries.keys().next().value);
+      evictions += 1;
+    }
+  };
+
+  return {
+    kind: "memory",
+
+    async get(key) {
+      const hit = entries.get(key);
+      if (!hit) return null;
+      if (hit.entry.staleUntil <= Date.now()) {
+        remove(key);
+        return null;
+      }
+      // bump to most-recently-used
+      entries.delete(key);
+      entries.set(key, hit);
+      return hit.entry;
+    },
+
+    async set(key, entry) {
+      remove(key);
+      const bytes = approxBytes(entry.value);
+      if (bytes > maxBytes) return; // never cache something that can't fit
+      entries.set(key, { entry, bytes });
+      totalBytes += bytes;
+      evict();
+    },
+
+    async delete(key) {
+      remove(key);
+    },
+
+    async clear() {
+      entries.clear();
+      totalBytes = 0;
+    },
+
+    stats() {
+      return { kind: "memory", entries: entries.size, bytes: totalBytes, maxEntries, maxBytes, evictions };
+    },
+  };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+const CacheEntry = require("../../models/cache-entry.js");
+
+// ------------------------------
+// MongoDB store — shared between instances and survives restarts.
+// Expired documents are removed by the TTL index on `staleUntil`.
+//
+// While Mongo is disconnected every call fails at once instead of waiting in
+// Mongoose's command buffer (10 s by default), and queries are capped at
+// MAX_TIME_MS, so a Mongo outage costs a cache miss rather than a slow
+// response. createCache counts these failures as storeErrors.
+// ------------------------------
+
+const MAX_TIME_MS = 2000;
+
+const ensureConnected = () => {
+  if (mongoose.connection.readyState !== 1) throw new Error("MongoDB is not connected");
+};
+
+const createMongoStore = ({ namespace }) => ({
+  kind: "mongo",
+
+  async get(key) {
+    ensureConnected();
+    const doc = await CacheEntry.findOne({ namespace, key }).maxTimeMS(MAX_TIME_MS).lean();
+    if (!doc || doc.staleUntil.getTime() <= Date.now()) return null;
+    return {
+      value: doc.value,
+      expiresAt: doc.expiresAt.getTime(),
+      staleUntil: doc.staleUntil.getTime(),
+    };
+  },
+
+  async set(key, entry) {
+    ensureConnected();
+    await CacheEntry.updateOne(
+      { namespace, key },
+      {
+        $set: {
+          value: entry.value,
+          expiresAt: new Date(entry.expiresAt),
+          staleUntil: new Date(entry.staleUntil),
+        },
+      },
+      { upsert: true, maxTimeMS: MAX_TIME_MS }
+    );
+  },
+
+  async delete(key) {
+    ensureConnected();
+    await CacheEntry.deleteOne({ namespace, key }).maxTimeMS(MAX_TIME_MS);
+  },
+
+  async clear() {
+    ensureConnected();
+    await CacheEntry.deleteMany({ namespace }).maxTimeMS(MAX_TIME_MS);
+  },
+
+  stats() {
+    return { kind: "mongo", namespace };
+  },
+});
+
+/**
+ * Memory in front of Mongo: reads try memory first and backfill it from Mongo;
+ * writes go to both.
+ */
+const createTieredStore = (memory, mongo) => ({
+  kind: "tiered",
+
+  async get(key) {
+    const local = await memory.get(key);
+    if (local) return local;
+    const shared = await mongo.get(key);
+    if (shared) await memory.set(key, shared);
+    return shared;
+  },
+
+  async set(key, entry) {
+    await memory.set(key, entry);
+    await mongo.set(key, entry);
+  },
+
+  async delete(key) {
+    await memory.delete(key);
+    await mongo.delete(key);
+  },
+
+  async clear() {
+    await memory.clear();
+    await mongo.clear();
+  },
+
+  stats() {
+    return { kind: "tiered", memory: memory.stats(), mongo: mongo.stats() };
+  },
+});
+
+module.exports = { createMongoStore, createTieredStore };
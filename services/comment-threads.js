@@ -0,0 +1,124 @@
+// ------------------------------
+// List discussion threads
+//
+// Comments live embedded on the list; a reply points at its `parent`.
+// Threads are read per top-level comment (newest thread first) with every
+// reply underneath in posting order, whatever its depth — `parent` tells
+// the client where it hangs. A reply whose parent is gone is promoted to
+// the top level.
+//
+// Removed comments that still have replies stay behind as tombstones
+// (deleted: true, no text) so the thread keeps its shape; hidden comments
+// keep their text for the list owner only.
+// ------------------------------
+
+const idOf = (ref) => (ref ? String(ref._id ?? ref) : null);
+
+const byCreatedAt = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+
+/* Comment as a given reader may see it */
+const presentComment = (comment, { isModerator = false } = {}) => {
+  const c = typeof comment.toObject === "function" ? comment.toObject() : { ...comment };
+  const redacted = c.deleted || (c.hidden && !isModerator);
+  return {
+    _id: c._id,
+    parent: c.parent ?? null,
+    owner: c.deleted ? null : c.owner,
+    text: redacted ? null : c.text,
+    edited: Boolean(c.edited),
+    editedAt: c.editedAt ?? null,
+    hidden: Boolean(c.hidden),
+    deleted: Boolean(c.deleted),
+    createdAt: c.createdAt,
+    updatedAt: c.updatedAt,
+  };
+};
+
+/**
+ * Group comments into threads: [{ ...root, replyCount, replies: [...] }],
+ * newest root first.
+ */
+const threadComments = (comments, options) => {
+  const byId = new Map(comments.map((c) => [idOf(c._id), c]));
+
+  const rootOf = (c) => {
+    let current = c;
+    const seen = new Set();
+    while (current.parent && byId.has(idOf(current.parent)) && !seen.has(idOf(current._id))) {
+      seen.add(idOf(current._id));
+      current = byId.get(idOf(current.parent));
+    }
+    return idOf(current._id);
+  };
+
+  const replies = new Map();
+  const roots = [];
+  for (const c of comments) {
+    const rootId = rootOf(c);
+    if (rootId === idOf(c._id)) {
+      roots.push(c);
+    } else {
+      if (!replies.has(rootId)) replies.set(rootId, []);
+      replies.get(rootId).push(c);
+    }
+  }
+
+  return roots
+    .slice()
+    .sort((a, b) => byCreatedAt(b, a))
+    .map((root) => {
+      const thread = (replies.get(idOf(root._id)) || []).slice().sort(byCreatedAt);
+      return {
+        ...presentComment(root, options),
+        // top-level comments may point at a parent that no longer exists
+        parent: null,
+        replyCount: thread.length,
+        replies: thread.map((r) => presentComment(r, options)),
+      };
+    });
+};
+
+const hasReplies = (comments, commentId) => comments.some((c) => idOf(c.parent) === idOf(commentId));
+
+/**
+ * Remove a comment from `list.comments` (mutates; caller saves). Comments
+ * with replies become tombstones; tombstones left without replies are
+ * cleaned up along the way. Returns "deleted" | "tombstoned".
+ */
+const removeComment = (list, comment) => {
+  if (hasReplies(list.comments, comment._id)) {
+    comment.deleted = true;
+    comment.text = "";
+    comment.hidden = false;
+    return "tombstoned";
+  }
+
+  let parentId = idOf(comment.parent);
+  list.comments.pull(comment._id);
+
+  // walk up: a tombstone whose last reply just went can go too
+  while (parentId) {
+    const parent = list.comments.id(parentId);
+    if (!parent || !parent.deleted || hasReplies(list.comments, parent._id)) break;
+    parentId = idOf(parent.parent);
+    list.comments.pull(parent._id);
+  }
+  return "deleted";
+};
+
+/**
+ * Remove every comment `userId` wrote on `list` (mutates; caller saves), by
+ * the same rules as removeComment. Tombstones also drop their owner.
+ * Returns how many of the user's comments there were.
+ */
+const removeCommentsBy = (list, userId) => {
+  const own = list.comments.filter((c) => idOf(c.owner) === idOf(userId));
+  for (const comment of own) {
+    // may already be gone, cleaned up with its last reply
+    if (!list.comments.id(comment._id)) continue;
+    if (removeComment(list, comment) === "tombstoned") comment.owner = null;
+  }
+  return own.length;
+};
+
+module.exports = { presentComment, threadComments, removeComment, removeCommentsBy };
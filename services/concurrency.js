@@ -0,0 +1,19 @@
+/**
+ * Like Promise.all(items.map(worker)), but with at most `limit` workers in flight.
+ * Results keep the order of `items`.
+ */
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let idx = 0;
+  const runners = new Array(Math.min(limit, items.length)).fill(0).map(async () => {
+    while (true) {
+      const i = idx++;
+      if (i >= items.length) break;
+      results[i] = await worker(items[i], i);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+};
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+const Follow = require("../models/follow.js");
+const List = require("../models/list.js");
+const Location = require("../models/location.js");
+const User = require("../models/user.js");
+
+// ------------------------------
+// Activity feed: what the people you follow have been up to
+//
+// Three sources, merged newest first:
+//   - list:     public lists they created
+//   - location: locations they added
+//   - activity: activities they logged on any location
+//
+// Pagination is by cursor, an opaque string encoding the (time, id) of the
+// last item served. Each source is asked for items strictly older than
+// the cursor, so new items arriving between pages never cause repeats.
+// ------------------------------
+
+const encodeCursor = (item) =>
+  Buffer.from(JSON.stringify({ t: item.at.toISOString(), id: String(item.id) })).toString("base64url");
+
+/* Cursor string -> { t: Date, id: ObjectId }; throws 400 on garbage */
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    const at = new Date(t);
+    if (Number.isNaN(at.getTime()) || !mongoose.isValidObjectId(id)) throw new Error();
+    return { t: at, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    const err = new Error("Invalid cursor");
+    err.status = 400;
+    throw err;
+  }
+};
+
+/* Mongo condition for "older than the cursor" on a (time, id) pair of fields */
+const olderThan = (cursor, timeField, idField) =>
+  cursor
+    ? {
+        $or: [
+          { [timeField]: { $lt: cursor.t } },
+          { [timeField]: cursor.t, [idField]: { $lt: cursor.id } },
+        ],
+      }
+    : {};
+
+const newestFirst = (a, b) => b.at - a.at || (String(b.id) < String(a.id) ? -1 : String(b.id) > String(a.id) ? 1 : 0);
+
+const listItems = async (authors, cursor, limit) => {
+  const lists = await List.find({ owner: { $in: authors }, visibility: "public", ...olderThan(cursor, "createdAt", "_id") })
+    .select("name description owner createdAt locations")
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit)
+    .lean();
+
+  return lists.map((l) => ({
+    type: "list",
+    id: l._id,
+    at: l.createdAt,
+    actor: l.owner,
+    list: { _id: l._id, name: l.name, description: l.description, locationCount: l.locations.length },
+  }));
+};
+
+const locationItems = async (authors, cursor, limit) => {
+  const locations = await Location.find({ author: { $in: authors }, ...olderThan(cursor, "createdAt", "_id") })
+    .select("name description latitude longitude author createdAt")
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit)
+    .lean();
+
+  return locations.map((l) => ({
+    type: "location",
+    id: l._id,
+    at: l.createdAt,
+    actor: l.author,
+    location: { _id: l._id, name: l.name, description: l.description, latitude: l.latitude, longitude: l.longitude },
+  }));
+};
+
+const activityItems = async (authors, cursor, limit) => {
+  const rows = await Location.aggregate([
+    { $match: { "activities.author": { $in: authors } } },
+    { $unwind: "$activities" },
+    { $match: { "activities.author": { $in: authors }, ...olderThan(cursor, "activities.createdAt", "activities._id") } },
+    { $sort: { "activities.createdAt": -1, "activities._id": -1 } },
+    { $limit: limit },
+    { $project: { name: 1, activity: "$activities" } },
+  ]);
+
+  return rows.map((r) => ({
+    type: "activity",
+    id: r.activity._id,
+    at: r.activity.createdAt,
+    actor: r.activity.author,
+    activity: { _id: r.activity._id, text: r.activity.text, day: r.activity.day },
+    location: { _id: r._id, name: r.name },
+  }));
+};
+
+/**
+ * One page of the feed for `userId`.
+ * Resolves to { items, nextCursor } (nextCursor null on the last page).
+ */
+const getFeed = async (userId, { cursor, limit = 20 } = {}) => {
+  const after = cursor ? decodeCursor(cursor) : null;
+  const authors = await Follow.find({ follower: userId }).distinct("following");
+  if (!authors.length) return { items: [], nextCursor: null };
+
+  // one extra per source tells us whether anything is left after this page
+  const batches = await Promise.all([
+    listItems(authors, after, limit + 1),
+    locationItems(authors, after, limit + 1),
+    activityItems(authors, after, limit + 1),
+  ]);
+
+  const merged = batches.flat().sort(newestFirst);
+  const items = merged.slice(0, limit);
+  const nextCursor = merged.length > limit ? encodeCursor(items[items.length - 1]) : null;
+
+  const actors = await User.find({ _id: { $in: [...new Set(items.map((i) => String(i.actor)))] } })
+    .select("username")
+    .lean();
+  const actorById = new Map(actors.map((u) => [String(u._id), u]));
+
+  return {
+    items: items.map(({ id, ...item }) => ({ ...item, actor: actorById.get(String(item.actor)) ?? null })),
+    nextCursor,
+  };
+};
+
+module.exports = { getFeed, encodeCursor, decodeCursor };
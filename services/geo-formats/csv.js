@@ -0,0 +1,101 @@
+// Header names we recognize (lowercased)
+const COLUMNS = {
+  latitude: ["lat", "latitude", "y"],
+  longitude: ["lon", "lng", "long", "longitude", "x"],
+  name: ["name", "title"],
+  description: ["description", "desc", "notes"],
+};
+
+/* RFC 4180-ish CSV -> array of rows of fields (quoted fields, "" escapes, CRLF) */
+const parseCsvRows = (content) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const ch = content[i];
+    if (quoted) {
+      if (ch === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && content[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((f) => f.trim() !== ""));
+};
+
+/* CSV with a header row naming lat/lon (and optionally name/description) columns -> rows */
+const parseCsv = (content) => {
+  const [header, ...data] = parseCsvRows(String(content).replace(/^\uFEFF/, ""));
+  if (!header) return [];
+
+  const names = header.map((h) => h.trim().toLowerCase());
+  const index = Object.fromEntries(
+    Object.entries(COLUMNS).map(([key, aliases]) => [key, names.findIndex((n) => aliases.includes(n))])
+  );
+
+  if (index.latitude < 0 || index.longitude < 0) {
+    const err = new Error("CSV header must include latitude and longitude columns (e.g. lat, lon)");
+    err.status = 400;
+    throw err;
+  }
+
+  const cell = (r, key) => (index[key] < 0 ? "" : String(r[index[key]] ?? "").trim());
+
+  return data.map((r) => ({
+    name: cell(r, "name"),
+    description: cell(r, "description"),
+    latitude: cell(r, "latitude") === "" ? NaN : Number(cell(r, "latitude")),
+    longitude: cell(r, "longitude") === "" ? NaN : Number(cell(r, "longitude")),
+  }));
+};
+
+/* Quote when needed; neutralize spreadsheet formulas in text cells */
+const csvCell = (value, { text = true } = {}) => {
+  let out = value == null ? "" : String(value);
+  if (text && /^[=+\-@\t\r]/.test(out)) out = `'${out}`;
+  return /[",\r\n]/.test(out) ? `"${out.replace(/"/g, '""')}"` : out;
+};
+
+/* Waypoint rows -> CSV (forecast column only when any row has one) */
+const toCsv = (meta, rows) => {
+  const withForecast = rows.some((r) => r.forecast);
+  const header = ["name", "latitude", "longitude", "description", ...(withForecast ? ["forecast"] : [])];
+
+  const lines = rows.map((r) =>
+    [
+      csvCell(r.name),
+      csvCell(r.latitude, { text: false }),
+      csvCell(r.longitude, { text: false }),
+      csvCell(r.description),
+      ...(withForecast ? [csvCell(r.forecast?.summary)] : []),
+    ].join(",")
+  );
+
+  return [header.join(","), ...lines, ""].join("\r\n");
+};
+
+module.exports = { parseCsv, parseCsvRows, toCsv };
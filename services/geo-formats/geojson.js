@@ -0,0 +1,59 @@
+/* GeoJSON Point features (FeatureCollection, single Feature or bare Point) -> rows */
+const parseGeoJson = (content) => {
+  let doc = content;
+  if (typeof content === "string") {
+    try {
+      doc = JSON.parse(content);
+    } catch (e) {
+      const err = new Error(`Invalid GeoJSON: ${e.message}`);
+      err.status = 400;
+      throw err;
+    }
+  }
+
+  let features;
+  if (doc?.type === "FeatureCollection") features = doc.features ?? [];
+  else if (doc?.type === "Feature") features = [doc];
+  else if (doc?.type === "Point") features = [{ type: "Feature", geometry: doc, properties: {} }];
+  else {
+    const err = new Error("GeoJSON must be a FeatureCollection, Feature or Point");
+    err.status = 400;
+    throw err;
+  }
+
+  return features.map((f) => {
+    const props = f?.properties ?? {};
+    const row = {
+      name: String(props.name ?? props.title ?? "").trim(),
+      description: String(props.description ?? props.desc ?? "").trim(),
+    };
+    if (f?.geometry?.type !== "Point") return { ...row, error: "Feature is not a point" };
+
+    const [lon, lat] = f.geometry.coordinates ?? [];
+    return { ...row, latitude: Number(lat), longitude: Number(lon) };
+  });
+};
+
+/* Waypoint rows -> GeoJSON FeatureCollection */
+const toGeoJson = (meta, rows) =>
+  JSON.stringify(
+    {
+      type: "FeatureCollection",
+      name: meta.name,
+      description: meta.description || undefined,
+      features: rows.map((r, i) => ({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [r.longitude, r.latitude] },
+        properties: {
+          name: r.name,
+          description: r.description || "",
+          order: i,
+          ...(r.forecast ? { forecast: r.forecast } : {}),
+        },
+      })),
+    },
+    null,
+    2
+  );
+
+module.exports = { parseGeoJson, toGeoJson };
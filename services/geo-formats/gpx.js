@@ -0,0 +1,50 @@
+const { parseXml, text, escapeXml } = require("./xml.js");
+
+/* GPX <wpt lat lon><name/><desc/></wpt> -> waypoint rows */
+const parseGpx = (content) => {
+  const doc = parseXml(content);
+  if (!doc.gpx) {
+    const err = new Error("Not a GPX document (missing <gpx>)");
+    err.status = 400;
+    throw err;
+  }
+
+  return (doc.gpx.wpt ?? []).map((wpt) => ({
+    name: text(wpt.name),
+    description: text(wpt.desc) || text(wpt.cmt),
+    latitude: Number(wpt["@_lat"]),
+    longitude: Number(wpt["@_lon"]),
+  }));
+};
+
+/* Waypoint rows -> GPX 1.1 document (forecast summary goes in <cmt>) */
+const toGpx = (meta, rows) => {
+  const wpts = rows.map((r) =>
+    [
+      `  <wpt lat="${r.latitude}" lon="${r.longitude}">`,
+      `    <name>${escapeXml(r.name)}</name>`,
+      r.description ? `    <desc>${escapeXml(r.description)}</desc>` : null,
+      r.forecast ? `    <cmt>${escapeXml(r.forecast.summary)}</cmt>` : null,
+      "  </wpt>",
+    ]
+      .filter(Boolean)
+      .join("\n")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Trailcast" xmlns="http://www.topografix.com/GPX/1/1">',
+    "  <metadata>",
+    `    <name>${escapeXml(meta.name)}</name>`,
+    meta.description ? `    <desc>${escapeXml(meta.description)}</desc>` : null,
+    `    <time>${new Date().toISOString()}</time>`,
+    "  </metadata>",
+    ...wpts,
+    "</gpx>",
+    "",
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+};
+
+module.exports = { parseGpx, toGpx };
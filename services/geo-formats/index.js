@@ -0,0 +1,103 @@
+const { parseGpx, toGpx } = require("./gpx.js");
+const { parseKml, toKml } = require("./kml.js");
+const { parseGeoJson, toGeoJson } = require("./geojson.js");
+const { parseCsv, toCsv } = require("./csv.js");
+
+// ------------------------------
+// Waypoint file formats (GPX, KML, GeoJSON, CSV)
+// ------------------------------
+
+const FORMATS = ["gpx", "kml", "geojson", "csv"];
+
+const PARSERS = {
+  gpx: parseGpx,
+  kml: parseKml,
+  geojson: parseGeoJson,
+  csv: parseCsv,
+};
+
+// format -> { serialize(meta, rows), contentType, extension }
+const WRITERS = {
+  gpx: { serialize: toGpx, contentType: "application/gpx+xml", extension: "gpx" },
+  kml: { serialize: toKml, contentType: "application/vnd.google-earth.kml+xml", extension: "kml" },
+  geojson: { serialize: toGeoJson, contentType: "application/geo+json", extension: "geojson" },
+  csv: { serialize: toCsv, contentType: "text/csv; charset=utf-8", extension: "csv" },
+};
+
+const CONTENT_TYPES = {
+  "application/gpx+xml": "gpx",
+  "application/vnd.google-earth.kml+xml": "kml",
+  "application/geo+json": "geojson",
+  "text/csv": "csv",
+};
+
+/**
+ * Work out the format from an explicit value, the Content-Type, or by
+ * sniffing the content itself. Returns null when nothing matches.
+ */
+const detectFormat = ({ format, contentType, content }) => {
+  if (format) {
+    const f = String(format).toLowerCase();
+    return f === "json" ? "geojson" : FORMATS.includes(f) ? f : null;
+  }
+
+  const type = String(contentType || "").split(";")[0].trim().toLowerCase();
+  if (CONTENT_TYPES[type]) return CONTENT_TYPES[type];
+
+  if (content && typeof content === "object") return "geojson";
+  const head = String(content || "").trimStart().slice(0, 500);
+  if (head.startsWith("{")) return "geojson";
+  if (/<gpx[\s>]/i.test(head)) return "gpx";
+  if (/<kml[\s>]/i.test(head)) return "kml";
+  if (head.includes(",")) return "csv";
+  return null;
+};
+
+/**
+ * Parse `content` as `format` into numbered rows:
+ *   { row, name, description, latitude, longitude }  or  { row, name, error }
+ * Rows with missing or out-of-range coordinates come back with an `error`.
+ */
+const parseWaypoints = (format, content) => {
+  const parse = PARSERS[format];
+  if (!parse) {
+    const err = new Error(`format must be one of: ${FORMATS.join(", ")}`);
+    err.status = 400;
+    throw err;
+  }
+
+  return parse(content).map((r, i) => {
+    const row = { row: i + 1, ...r };
+    if (row.error) return row;
+
+    const { latitude: lat, longitude: lon } = row;
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+      return { ...row, error: "Missing or invalid coordinates" };
+    }
+    if (lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+      return { ...row, error: "Coordinates out of range" };
+    }
+    return row;
+  });
+};
+
+/**
+ * Serialize waypoint rows ({ name, description, latitude, longitude, forecast? })
+ * for download. `meta` is { name, description } of the collection.
+ * Returns { body, contentType, extension }.
+ */
+const serializeWaypoints = (format, meta, rows) => {
+  const writer = WRITERS[format];
+  if (!writer) {
+    const err = new Error(`format must be one of: ${FORMATS.join(", ")}`);
+    err.status = 400;
+    throw err;
+  }
+  return {
+    body: writer.serialize(meta, rows),
+    contentType: writer.contentType,
+    extension: writer.extension,
+  };
+};
+
+module.exports = { FORMATS, detectFormat, parseWaypoints, serializeWaypoints };
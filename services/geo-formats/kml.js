@@ -0,0 +1,67 @@
+const { parseXml, text, escapeXml } = require("./xml.js");
+
+/* Every Placemark in the document, however deeply nested in Documents/Folders */
+const collectPlacemarks = (node, out = []) => {
+  if (!node || typeof node !== "object") return out;
+  for (const pm of node.Placemark ?? []) out.push(pm);
+  for (const child of [...(node.Document ?? []), ...(node.Folder ?? [])]) collectPlacemarks(child, out);
+  return out;
+};
+
+/* KML <Placemark><Point><coordinates>lon,lat[,alt]</coordinates></Point></Placemark> -> rows */
+const parseKml = (content) => {
+  const doc = parseXml(content);
+  if (!doc.kml) {
+    const err = new Error("Not a KML document (missing <kml>)");
+    err.status = 400;
+    throw err;
+  }
+
+  return collectPlacemarks(doc.kml).map((pm) => {
+    const row = { name: text(pm.name), description: text(pm.description) };
+    if (!pm.Point) return { ...row, error: "Placemark is not a point" };
+
+    const [lon, lat] = text(pm.Point.coordinates).split(/[\s,]+/).map(Number);
+    return { ...row, latitude: lat, longitude: lon };
+  });
+};
+
+/* Waypoint rows -> KML document (forecast summary in description + ExtendedData) */
+const toKml = (meta, rows) => {
+  const placemarks = rows.map((r) => {
+    const description = [r.description, r.forecast && `Forecast: ${r.forecast.summary}`].filter(Boolean).join("\n\n");
+    return [
+      "    <Placemark>",
+      `      <name>${escapeXml(r.name)}</name>`,
+      description ? `      <description>${escapeXml(description)}</description>` : null,
+      r.forecast
+        ? [
+            "      <ExtendedData>",
+            `        <Data name="forecast"><value>${escapeXml(r.forecast.summary)}</value></Data>`,
+            `        <Data name="forecastProvider"><value>${escapeXml(r.forecast.provider)}</value></Data>`,
+            "      </ExtendedData>",
+          ].join("\n")
+        : null,
+      `      <Point><coordinates>${r.longitude},${r.latitude},0</coordinates></Point>`,
+      "    </Placemark>",
+    ]
+      .filter(Boolean)
+      .join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "  <Document>",
+    `    <name>${escapeXml(meta.name)}</name>`,
+    meta.description ? `    <description>${escapeXml(meta.description)}</description>` : null,
+    ...placemarks,
+    "  </Document>",
+    "</kml>",
+    "",
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+};
+
+module.exports = { parseKml, toKml };
@@ -0,0 +1,34 @@
+const { XMLParser } = require("fast-xml-parser");
+
+// Shared XML parsing for GPX and KML (namespaces stripped, attributes as "@_name")
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  removeNSPrefix: true,
+  parseTagValue: false,
+  trimValues: true,
+  isArray: (name) => ["wpt", "Placemark", "Folder", "Document"].includes(name),
+});
+
+const parseXml = (content) => {
+  try {
+    return parser.parse(content);
+  } catch (e) {
+    const err = new Error(`Invalid XML: ${e.message}`);
+    err.status = 400;
+    throw err;
+  }
+};
+
+/* Element text, whether it came back as a string, number or { "#text" } (CDATA) */
+const text = (node) => {
+  if (node == null) return "";
+  if (typeof node === "object") return String(node["#text"] ?? node.__cdata ?? "").trim();
+  return String(node).trim();
+};
+
+const XML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" };
+
+const escapeXml = (value) => String(value ?? "").replace(/[&<>"']/g, (ch) => XML_ESCAPES[ch]);
+
+module.exports = { parseXml, text, escapeXml };
@@ -0,0 +1,37 @@
+// ------------------------------
+// Coordinate helpers
+// ------------------------------
+
+const roundCoord = (v) => Number(v).toFixed(4);
+const toNum = (v) => (v === "" || v == null ? null : Number(v));
+
+/**
+ * Parse a lat/lon pair from query/body values.
+ * Throws an Error with status 400 when either value is missing or not a number.
+ */
+const parseLatLon = (lat, lon) => {
+  const latNum = toNum(lat);
+  const lonNum = toNum(lon);
+  if (latNum == null || lonNum == null || Number.isNaN(latNum) || Number.isNaN(lonNum)) {
+    const err = new Error("lat and lon must be valid numbers");
+    err.status = 400;
+    throw err;
+  }
+  return { lat: latNum, lon: lonNum };
+};
+
+/* Cache key for a coordinate (~11m precision) */
+const pointKey = (lat, lon) => `${roundCoord(lat)},${roundCoord(lon)}`;
+
+const EARTH_RADIUS_METERS = 6371008.8;
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+/* Great-circle (haversine) distance in meters between two { latitude, longitude } points */
+const distanceMeters = (a, b) => {
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+module.exports = { roundCoord, toNum, parseLatLon, pointKey, distanceMeters };
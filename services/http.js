@@ -0,0 +1,120 @@
+const {
+  sleep,
+  backoffDelay,
+  parseRetryAfter,
+  createSingleFlight,
+  createTokenBucket,
+  createCircuitBreaker,
+} = require("./resilience.js");
+
+// ------------------------------
+// Upstream HTTP helpers
+//
+// Every upstream call goes through fetchJson, which:
+//   - coalesces concurrent identical GETs into one request (single-flight)
+//   - waits for a token from the host's token bucket (global rate limit)
+//   - fails fast while the host's circuit breaker is open
+//   - retries network errors, 429s and 5xx with jittered exponential backoff,
+//     honoring Retry-After
+// ------------------------------
+
+const MAX_RETRIES = 3;
+const TIMEOUT_MS = 10 * 1000;
+const MAX_RETRY_AFTER_MS = 30 * 1000; // longer than this: give up instead of tying up the request
+
+const TRANSIENT_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// Requests per second per upstream host (NWS asks clients to be gentle)
+const RATE_LIMITS = {
+  "api.weather.gov": { ratePerSec: 5, burst: 10 },
+  "api.geoapify.com": { ratePerSec: 5, burst: 5 },
+  default: { ratePerSec: 10, burst: 20 },
+};
+
+const singleFlight = createSingleFlight();
+const upstreams = new Map(); // host -> { bucket, breaker }
+
+const upstreamFor = (host) => {
+  if (!upstreams.has(host)) {
+    upstreams.set(host, {
+      bucket: createTokenBucket(RATE_LIMITS[host] ?? RATE_LIMITS.default),
+      breaker: createCircuitBreaker({ name: host }),
+    });
+  }
+  return upstreams.get(host);
+};
+
+const fetchWithRetry = async (url, options) => {
+  const { retries = MAX_RETRIES, ...fetchOptions } = options;
+  const host = new URL(url).host;
+  const { bucket, breaker } = upstreamFor(host);
+
+  for (let attempt = 0; ; attempt++) {
+    breaker.check();
+    await bucket.take();
+
+    let res;
+    try {
+      res = await fetch(url, { ...fetchOptions, signal: AbortSignal.timeout(TIMEOUT_MS) });
+    } catch (e) {
+      breaker.failure();
+      if (attempt >= retries) {
+        const timedOut = e.name === "TimeoutError";
+        const err = new Error(`Request to ${host} ${timedOut ? "timed out" : "failed"}`);
+        err.status = timedOut ? 504 : 502;
+        err.details = e.message;
+        throw err;
+      }
+      await sleep(backoffDelay(attempt));
+      continue;
+    }
+
+    if (res.ok) {
+      breaker.success();
+      return res.json();
+    }
+
+    const text = await res.text().catch(() => "");
+    const err = new Error(`Request failed: ${res.status}`);
+    err.status = res.status;
+    err.details = text.slice(0, 300);
+
+    // A 4xx means the host is up; it just didn't like this request
+    if (!TRANSIENT_STATUSES.has(res.status)) {
+      breaker.success();
+      throw err;
+    }
+
+    breaker.failure();
+    const retryAfterMs = parseRetryAfter(res.headers.get("retry-after"));
+    if (attempt >= retries || (retryAfterMs != null && retryAfterMs > MAX_RETRY_AFTER_MS)) throw err;
+    await sleep(retryAfterMs ?? backoffDelay(attempt));
+  }
+};
+
+/**
+ * Fetch a URL and parse the JSON body.
+ * Non-2xx responses throw an Error carrying `status` and a short `details` excerpt.
+ * `options.retries` overrides the retry count for this call.
+ */
+const fetchJson = (url, options = {}) => {
+  const method = (options.method || "GET").toUpperCase();
+  if (method !== "GET") return fetchWithRetry(url, options);
+
+  // identical concurrent GETs share one upstream request (and one parsed body)
+  const headerKey = JSON.stringify(options.headers ?? {});
+  return singleFlight.run(`${url} ${headerKey}`, () => fetchWithRetry(url, options));
+};
+
+/* Rate limit / circuit state per upstream host */
+const upstreamStats = () => ({
+  singleFlight: singleFlight.stats(),
+  hosts: Object.fromEntries(
+    [...upstreams.entries()].map(([host, { bucket, breaker }]) => [
+      host,
+      { rateLimit: bucket.stats(), circuit: breaker.stats() },
+    ])
+  ),
+});
+
+module.exports = { fetchJson, upstreamStats };
@@ -0,0 +1,42 @@
+const { createScheduler } = require("./scheduler.js");
+const { prewarmForecasts, INTERVAL_MS: PREWARM_INTERVAL_MS } = require("./prewarm-forecasts.js");
+const { runEvaluatorOnce } = require("../subscriptions/evaluator.js");
+const { sweepOrphanPhotos, INTERVAL_MS: PHOTO_SWEEP_INTERVAL_MS } = require("./sweep-orphan-photos.js");
+
+// ------------------------------
+// The app's scheduled jobs
+//
+// JOBS=off disables the scheduler in this process (other instances still
+// run the jobs); SUBSCRIPTION_EVALUATOR=off leaves out the subscription job.
+// ------------------------------
+
+const SUBSCRIPTION_TICK_MS = Number(process.env.SUBSCRIPTION_EVAL_TICK_MS) || 60 * 1000;
+
+const scheduler = createScheduler();
+
+scheduler.register({
+  name: "forecast-prewarm",
+  intervalMs: PREWARM_INTERVAL_MS,
+  run: () => prewarmForecasts(),
+});
+
+scheduler.register({
+  name: "photo-orphan-sweep",
+  intervalMs: PHOTO_SWEEP_INTERVAL_MS,
+  run: () => sweepOrphanPhotos(),
+});
+
+if (process.env.SUBSCRIPTION_EVALUATOR !== "off") {
+  scheduler.register({
+    name: "subscription-evaluator",
+    intervalMs: SUBSCRIPTION_TICK_MS,
+    run: () => runEvaluatorOnce(),
+  });
+}
+
+const startJobs = () => {
+  if (process.env.JOBS === "off") return;
+  scheduler.start();
+};
+
+module.exports = { scheduler, startJobs };
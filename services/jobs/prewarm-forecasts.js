@@ -0,0 +1,74 @@
+const List = require("../../models/list.js");
+const Location = require("../../models/location.js");
+const { prewarmForecastForLatLon } = require("../weather/index.js");
+const { mapWithConcurrency } = require("../concurrency.js");
+const { pointKey } = require("../geo.js");
+
+// ------------------------------
+// Job: keep forecasts warm for every location saved in any list
+//
+// Each run refreshes the cached forecast of every distinct point whose
+// entry would stop being fresh before the next run (plus a margin), so
+// people opening a list hit a warm cache instead of a cold upstream call.
+// Points whose entry is still fresh for longer are left alone; the per-host
+// rate limits in services/http.js keep upstreams from being hammered.
+// ------------------------------
+
+const INTERVAL_MS = Number(process.env.PREWARM_INTERVAL_MS) || 5 * 60 * 1000;
+const MARGIN_MS = 60 * 1000;
+const CONCURRENCY = 4;
+const MAX_REPORTED_ERRORS = 10;
+
+/* Distinct points (rounded like the cache keys) of locations that are in some list */
+const listedPoints = async () => {
+  const ids = await List.distinct("locations.location");
+  if (!ids.length) return [];
+
+  const locations = await Location.find({ _id: { $in: ids } }).select("latitude longitude").lean();
+  const byKey = new Map();
+  for (const l of locations) {
+    const key = pointKey(l.latitude, l.longitude);
+    if (!byKey.has(key)) byKey.set(key, { lat: l.latitude, lon: l.longitude, locations: 0 });
+    byKey.get(key).locations += 1;
+  }
+  return [...byKey.entries()].map(([key, p]) => ({ key, ...p }));
+};
+
+/**
+ * One run. Resolves to a summary:
+ * { points, refreshed, fresh, skipped, failed, errors: [{ point, message }] }
+ */
+const prewarmForecasts = async ({ leadMs = INTERVAL_MS + MARGIN_MS } = {}) => {
+  const points = await listedPoints();
+
+  const outcomes = await mapWithConcurrency(points, CONCURRENCY, async (p) => {
+    try {
+      const { status } = await prewarmForecastForLatLon(p.lat, p.lon, { leadMs });
+      return { status };
+    } catch (err) {
+      // no provider with a cache to warm (e.g. fixtures only) isn't a failure
+      if (err.status === 404) return { status: "skipped" };
+      return { status: "failed", error: { point: p.key, message: err.message } };
+    }
+  });
+
+  const count = (status) => outcomes.filter((o) => o.status === status).length;
+  const errors = outcomes.filter((o) => o.error).map((o) => o.error);
+  const summary = {
+    points: points.length,
+    refreshed: count("refreshed"),
+    fresh: count("fresh"),
+    skipped: count("skipped"),
+    failed: errors.length,
+    errors: errors.slice(0, MAX_REPORTED_ERRORS),
+  };
+
+  // a run where nothing could be refreshed is worth flagging as a failure
+  if (points.length && summary.failed === points.length) {
+    const err = new Error(`All ${points.length} forecast refreshes failed (first: ${errors[0].message})`);
+    throw err;
+  }
+  return summary;
+};
+
+module.exports = { prewarmForecasts, listedPoints, INTERVAL_MS };
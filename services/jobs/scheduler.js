@@ -0,0 +1,188 @@
+const os = require("os");
+const crypto = require("crypto");
+const Job = require("../../models/job.js");
+const JobRun = require("../../models/job-run.js");
+
+// ------------------------------
+// In-process job scheduler
+//
+// Jobs are registered in code ({ name, intervalMs, run }) and their state
+// lives in MongoDB (Job), so every instance of the app agrees on when a job
+// is next due. On each tick an instance tries to take a due job's lock with
+// one atomic update; whoever wins runs it, everyone else skips it. A running
+// job keeps extending its lock (heartbeat), so a crashed instance's lock
+// simply expires and the job is picked up again.
+//
+// Every execution is recorded as a JobRun (status, duration, result or
+// error) for GET /jobs/runs.
+// ------------------------------
+
+const DEFAULT_TICK_MS = 15 * 1000;
+const DEFAULT_LOCK_MS = 5 * 60 * 1000;
+
+const defaultInstanceId = () => `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+
+const createScheduler = ({ instanceId = defaultInstanceId(), tickMs = DEFAULT_TICK_MS } = {}) => {
+  const definitions = new Map(); // name -> { name, intervalMs, lockMs, run }
+  const running = new Set();     // names this instance is executing right now
+  let timer = null;
+  let ready = null;
+
+  /* Create (or update the interval of) each registered job's state document */
+  const ensureJobs = () =>
+    Promise.all(
+      [...definitions.values()].map(async (def) => {
+        try {
+          await Job.updateOne(
+            { name: def.name },
+            { $setOnInsert: { name: def.name, nextRunAt: new Date() }, $set: { intervalMs: def.intervalMs } },
+            { upsert: true }
+          );
+        } catch (err) {
+          // another instance created it first
+          if (err.code !== 11000) throw err;
+        }
+      })
+    );
+
+  const acquire = (def) => {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+      {
+        name: def.name,
+        enabled: true,
+        nextRunAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+      },
+      { $set: { lockedBy: instanceId, lockedUntil: new Date(now.getTime() + def.lockMs) } },
+      { new: true }
+    );
+  };
+
+  const execute = async (def, job) => {
+    running.add(def.name);
+    const startedAt = new Date();
+    const trigger = job.runRequestedAt ? "manual" : "schedule";
+
+    const heartbeat = setInterval(() => {
+      Job.updateOne(
+        { name: def.name, lockedBy: instanceId },
+        { $set: { lockedUntil: new Date(Date.now() + def.lockMs) } }
+      ).catch(() => {});
+    }, Math.max(1000, def.lockMs / 3));
+    heartbeat.unref();
+
+    let run = null;
+    let status = "succeeded";
+    let result = null;
+    let error = null;
+    try {
+      run = await JobRun.create({ job: def.name, instance: instanceId, trigger, startedAt });
+      result = (await def.run()) ?? null;
+    } catch (err) {
+      status = "failed";
+      error = err.message;
+      console.error(`Job ${def.name} failed:`, err.message);
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    const finishedAt = new Date();
+    const durationMs = finishedAt - startedAt;
+    try {
+      if (run) {
+        await JobRun.updateOne({ _id: run._id }, { $set: { status, finishedAt, durationMs, result, error } });
+      }
+      // "run now" pressed while this run was going: go again right away
+      const requestedDuringRun = await Job.exists({ name: def.name, runRequestedAt: { $gt: startedAt } });
+      const nextRunAt = requestedDuringRun
+        ? finishedAt
+        : // a run that overran its interval doesn't get to go again immediately
+          new Date(Math.max(startedAt.getTime() + def.intervalMs, finishedAt.getTime() + 1000));
+
+      await Job.updateOne(
+        { name: def.name, lockedBy: instanceId },
+        {
+          $set: {
+            lockedBy: null,
+            lockedUntil: null,
+            ...(requestedDuringRun ? {} : { runRequestedAt: null }),
+            lastRunAt: startedAt,
+            lastFinishedAt: finishedAt,
+            lastStatus: status,
+            lastError: error,
+            lastDurationMs: durationMs,
+            nextRunAt,
+          },
+          $inc: { runCount: 1, failureCount: status === "failed" ? 1 : 0 },
+        }
+      );
+    } finally {
+      running.delete(def.name);
+    }
+    return { status, result, error, durationMs };
+  };
+
+  const tick = async () => {
+    await ready;
+    for (const def of definitions.values()) {
+      if (running.has(def.name)) continue;
+      const job = await acquire(def).catch(() => null);
+      // jobs run side by side; the tick doesn't wait for them
+      if (job) execute(def, job).catch((err) => console.error(`Job ${def.name} bookkeeping failed:`, err.message));
+    }
+  };
+
+  return {
+    instanceId,
+
+    /* register({ name, intervalMs, run, lockMs? }) — run() resolves to a JSON-able summary */
+    register({ name, intervalMs, run, lockMs = DEFAULT_LOCK_MS }) {
+      if (definitions.has(name)) throw new Error(`Job already registered: ${name}`);
+      definitions.set(name, { name, intervalMs, run, lockMs });
+      return this;
+    },
+
+    names() {
+      return [...definitions.keys()];
+    },
+
+    has(name) {
+      return definitions.has(name);
+    },
+
+    start() {
+      if (timer) return;
+      ready = ensureJobs().catch((err) => console.error("Job scheduler setup failed:", err.message));
+      const loop = () => tick().catch((err) => console.error("Job scheduler tick failed:", err.message));
+      timer = setInterval(loop, tickMs);
+      timer.unref();
+      loop();
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+
+    /**
+     * Ask for a job to run as soon as possible. Whichever instance ticks
+     * next picks it up (unless it is running right now, in which case it
+     * runs again afterwards). Resolves to the job state, or null if unknown.
+     */
+    async runNow(name) {
+      if (!definitions.has(name)) return null;
+      await ensureJobs();
+      const now = new Date();
+      const job = await Job.findOneAndUpdate(
+        { name },
+        { $set: { nextRunAt: now, runRequestedAt: now } },
+        { new: true }
+      );
+      if (timer) setImmediate(() => tick().catch(() => {}));
+      return job;
+    },
+  };
+};
+
+module.exports = { createScheduler };
@@ -0,0 +1,65 @@
+const Location = require("../../models/location.js");
+const ConditionReport = require("../../models/condition-report.js");
+const { storage } = require("../storage/index.js");
+const { KEY_PREFIX } = require("../photos.js");
+
+// ------------------------------
+// Job: remove stored photo files nothing points at any more
+//
+// Routes remove a photo's files as soon as its activity, report or location
+// goes, but a crash between the database write and the file removal (or a
+// bulk delete such as account deletion) can leave files behind. Files
+// younger than GRACE_MS are left alone, since an upload may be between storing
+// its files and saving the document that references them.
+// ------------------------------
+
+const INTERVAL_MS = Number(process.env.PHOTO_SWEEP_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+const GRACE_MS = 60 * 60 * 1000;
+
+/* Every storage key referenced by a saved photo */
+const referencedKeys = async () => {
+  const keys = new Set();
+  const collect = (photos = []) => {
+    for (const p of photos) {
+      keys.add(p.key);
+      keys.add(p.thumbnailKey);
+    }
+  };
+
+  for await (const location of Location.find({ "activities.photos.0": { $exists: true } })
+    .select("activities.photos.key activities.photos.thumbnailKey")
+    .lean()
+    .cursor()) {
+    for (const activity of location.activities) collect(activity.photos);
+  }
+  for await (const report of ConditionReport.find({ "photos.0": { $exists: true } })
+    .select("photos.key photos.thumbnailKey")
+    .lean()
+    .cursor()) {
+    collect(report.photos);
+  }
+  return keys;
+};
+
+/** One run. Resolves to { scanned, removed, failed }. */
+const sweepOrphanPhotos = async ({ now = Date.now() } = {}) => {
+  // list before reading references, so a photo saved mid-run is never mistaken for an orphan
+  const files = await storage.list(KEY_PREFIX);
+  const referenced = await referencedKeys();
+
+  let removed = 0;
+  let failed = 0;
+  for (const { key, modifiedAt } of files) {
+    if (referenced.has(key) || now - new Date(modifiedAt).getTime() < GRACE_MS) continue;
+    try {
+      if (await storage.remove(key)) removed++;
+    } catch (err) {
+      failed++;
+      console.error(`Could not remove orphaned file ${key}:`, err.message);
+    }
+  }
+
+  return { scanned: files.length, removed, failed };
+};
+
+module.exports = { sweepOrphanPhotos, INTERVAL_MS };
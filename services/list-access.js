@@ -0,0 +1,89 @@
+const crypto = require("crypto");
+
+// ------------------------------
+// Who may read (and write) a list
+//
+// Members have a role: the owner (`list.owner`), then editors and viewers
+// (`list.members`). Editors change locations; viewers only read. Members
+// can always read the list. Everyone else depends on its visibility:
+//
+//   - private:  members only
+//   - unlisted: members, plus anyone holding a live share link
+//   - public:   everyone, and it shows up in search
+//
+// Share links are random tokens; only their sha256 is stored on the list,
+// so the raw token is shown once (when the link is created). Revoking a
+// link stamps revokedAt. Links keep existing while a list is private but
+// only grant access while it is unlisted or public.
+// ------------------------------
+
+const VISIBILITIES = ["private", "unlisted", "public"];
+
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+const MEMBER_ROLES = ["editor", "viewer"];
+
+const hashShareToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/* New raw share token + the hash to store */
+const createShareToken = () => {
+  const token = crypto.randomBytes(24).toString("base64url");
+  return { token, tokenHash: hashShareToken(token) };
+};
+
+/* Live (unrevoked) share link matching a raw token, or null */
+const findShareLink = (list, token) => {
+  if (!token) return null;
+  const tokenHash = hashShareToken(token);
+  return (list.shareLinks || []).find((l) => l.tokenHash === tokenHash && !l.revokedAt) || null;
+};
+
+const idOf = (ref) => String(ref?._id ?? ref);
+
+const isListOwner = (list, userId) => Boolean(userId) && idOf(list.owner) === String(userId);
+
+/* "owner" | "editor" | "viewer" | null */
+const roleFor = (list, userId) => {
+  if (!userId) return null;
+  if (isListOwner(list, userId)) return "owner";
+  const member = (list.members || []).find((m) => idOf(m.user) === String(userId));
+  return member ? member.role : null;
+};
+
+/* Does the user hold at least `minRole` on the list? */
+const hasListRole = (list, userId, minRole) => {
+  const role = roleFor(list, userId);
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minRole];
+};
+
+/* Can this viewer (signed in or not, maybe carrying a share token) read the list? */
+const canViewList = (list, { userId, shareToken } = {}) => {
+  if (roleFor(list, userId)) return true;
+  const visibility = list.visibility || "private";
+  if (visibility === "public") return true;
+  if (visibility === "unlisted") return Boolean(findShareLink(list, shareToken));
+  return false;
+};
+
+/* Mongo filter for lists a viewer may discover by search */
+const discoverableListsFilter = (userId) =>
+  userId
+    ? { $or: [{ visibility: "public" }, { owner: userId }, { "members.user": userId }] }
+    : { visibility: "public" };
+
+/* Share token from ?share= or the X-Share-Token header */
+const shareTokenFrom = (req) => req.query.share || req.get("x-share-token") || undefined;
+
+module.exports = {
+  VISIBILITIES,
+  ROLE_RANK,
+  MEMBER_ROLES,
+  hashShareToken,
+  createShareToken,
+  findShareLink,
+  isListOwner,
+  roleFor,
+  hasListRole,
+  canViewList,
+  discoverableListsFilter,
+  shareTokenFrom,
+};
@@ -0,0 +1,93 @@
+const User = require("../models/user.js");
+
+// ------------------------------
+// Failed sign-in throttling
+//
+// Per account: consecutive failures are stored on the User document, and
+// MAX_ACCOUNT_FAILURES in a row locks the account for ACCOUNT_LOCK_MS.
+// Per IP: failures are counted in memory over a sliding window; too many
+// and that IP is blocked until the oldest failure ages out.
+// ------------------------------
+
+const MAX_ACCOUNT_FAILURES = 5;
+const ACCOUNT_LOCK_MS = 15 * 60 * 1000;
+
+const IP_WINDOW_MS = 15 * 60 * 1000;
+const MAX_IP_FAILURES = 20;
+const MAX_TRACKED_IPS = 10000;
+
+const ipFailures = new Map(); // ip -> [timestamps]
+
+const recentFailures = (ip) => {
+  const cutoff = Date.now() - IP_WINDOW_MS;
+  const times = (ipFailures.get(ip) ?? []).filter((t) => t > cutoff);
+  if (times.length) ipFailures.set(ip, times);
+  else ipFailures.delete(ip);
+  return times;
+};
+
+/* ms until this IP may try again, or 0 */
+const ipRetryAfterMs = (ip) => {
+  const times = recentFailures(ip);
+  if (times.length < MAX_IP_FAILURES) return 0;
+  return times[times.length - MAX_IP_FAILURES] + IP_WINDOW_MS - Date.now();
+};
+
+const recordIpFailure = (ip) => {
+  const times = recentFailures(ip);
+  times.push(Date.now());
+  ipFailures.set(ip, times);
+
+  // Bound memory: forget the least recently failing IPs
+  while (ipFailures.size > MAX_TRACKED_IPS) ipFailures.delete(ipFailures.keys().next().value);
+};
+
+/* ms until this account may try again, or 0 */
+const accountRetryAfterMs = (user) =>
+  user.lockedUntil ? Math.max(0, user.lockedUntil.getTime() - Date.now()) : 0;
+
+/**
+ * Count a failed password for `user`, locking it once the limit is hit.
+ * The count is incremented in the database so parallel attempts can't all
+ * write back the same value.
+ */
+const recordAccountFailure = async (user) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: { failedLoginAttempts: 1, lockedUntil: 1 } }
+  );
+  if (!updated) return;
+  user.failedLoginAttempts = updated.failedLoginAttempts;
+
+  if (updated.failedLoginAttempts >= MAX_ACCOUNT_FAILURES) {
+    const lockedUntil = new Date(Date.now() + ACCOUNT_LOCK_MS);
+    const locked = await User.updateOne(
+      { _id: user._id, failedLoginAttempts: { $gte: MAX_ACCOUNT_FAILURES } },
+      { $set: { lockedUntil, failedLoginAttempts: 0 } }
+    );
+    if (locked.modifiedCount) {
+      user.lockedUntil = lockedUntil;
+      user.failedLoginAttempts = 0;
+    }
+  }
+};
+
+const clearAccountFailures = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockedUntil) return;
+  await User.updateOne({ _id: user._id }, { $set: { failedLoginAttempts: 0, lockedUntil: null } });
+  user.failedLoginAttempts = 0;
+  user.lockedUntil = null;
+};
+
+module.exports = {
+  MAX_ACCOUNT_FAILURES,
+  ACCOUNT_LOCK_MS,
+  IP_WINDOW_MS,
+  MAX_IP_FAILURES,
+  ipRetryAfterMs,
+  recordIpFailure,
+  accountRetryAfterMs,
+  recordAccountFailure,
+  clearAccountFailures,
+};
@@ -0,0 +1,64 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// ------------------------------
+// Mailer
+//
+// A transport is { name, send(message) } where message is
+// { to, subject, text, html? }. MAIL_TRANSPORT picks one:
+//   - "console" (default outside production): prints the message — handy for
+//     local development. With NODE_ENV=production MAIL_TRANSPORT must be set,
+//     so password-reset and verification mail isn't quietly logged instead.
+//   - "file": writes each message as JSON into MAIL_DIR (default ./tmp/mail),
+//     so tests can read what would have been sent
+// A real SMTP/API transport only needs to implement the same send().
+// ------------------------------
+
+const MAIL_FROM = process.env.MAIL_FROM || "Trailcast <no-reply@trailcast.local>";
+
+const consoleTransport = {
+  name: "console",
+  async send(message) {
+    console.log(
+      [`--- mail to ${message.to} ---`, `Subject: ${message.subject}`, "", message.text, "--- end mail ---"].join("\n")
+    );
+    return { id: null };
+  },
+};
+
+const createFileTransport = (dir = process.env.MAIL_DIR || path.join(process.cwd(), "tmp", "mail")) => ({
+  name: "file",
+  dir,
+  async send(message) {
+    await fs.mkdir(dir, { recursive: true });
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({ id, ...message }, null, 2));
+    return { id };
+  },
+});
+
+const TRANSPORTS = {
+  console: () => consoleTransport,
+  file: () => createFileTransport(),
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? null : "console");
+    if (!name) throw new Error("MAIL_TRANSPORT must be set when NODE_ENV=production");
+    if (!TRANSPORTS[name]) throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+};
+
+/* Swap the transport (tests, or wiring a real provider at startup) */
+const setTransport = (t) => {
+  transport = t;
+};
+
+const sendMail = (message) => getTransport().send({ from: MAIL_FROM, ...message });
+
+module.exports = { sendMail, getTransport, setTransport, createFileTransport, consoleTransport };
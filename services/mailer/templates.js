@@ -0,0 +1,36 @@
+// Plain-text account emails. Links point at the web app (APP_URL).
+
+const APP_URL = (process.env.APP_URL || "http://localhost:5173").replace(/\/+$/, "");
+
+const link = (pathname, token) => `${APP_URL}${pathname}?token=${encodeURIComponent(token)}`;
+
+const passwordResetEmail = (user, token) => ({
+  to: user.email,
+  subject: "Reset your Trailcast password",
+  text: [
+    `Hi ${user.username},`,
+    "",
+    "Someone (hopefully you) asked to reset your Trailcast password.",
+    "Use this link within the next hour to choose a new one:",
+    "",
+    link("/reset-password", token),
+    "",
+    "If you didn't ask for this, you can ignore this email; your password won't change.",
+  ].join("\n"),
+});
+
+const verificationEmail = (user, token) => ({
+  to: user.email,
+  subject: "Confirm your Trailcast email address",
+  text: [
+    `Hi ${user.username},`,
+    "",
+    "Please confirm this is your email address:",
+    "",
+    link("/verify-email", token),
+    "",
+    "The link is valid for 48 hours.",
+  ].join("\n"),
+});
+
+module.exports = { passwordResetEmail, verificationEmail };
@@ -0,0 +1,23 @@
+// ------------------------------
+// Page/limit query parsing shared by list-style endpoints
+// ------------------------------
+
+/**
+ * ?page=&limit= -> { page, limit, skip }.
+ * page is 1-based; limit is clamped to [1, maxLimit].
+ */
+const parsePaging = (query = {}, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const page = Math.max(1, Number.parseInt(query.page, 10) || 1);
+  const limit = Math.min(maxLimit, Math.max(1, Number.parseInt(query.limit, 10) || defaultLimit));
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/* Standard paging envelope for responses */
+const pageInfo = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  hasMore: page * limit < total,
+});
+
+module.exports = { parsePaging, pageInfo };
@@ -0,0 +1,18 @@
+const bcrypt = require("bcrypt");
+
+const saltRounds = 12; // Random string of characters is added to the password before hashing it.
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const hashPassword = (password) => bcrypt.hashSync(password, saltRounds);
+
+const checkPassword = (password, hashedPassword) =>
+  typeof password === "string" && bcrypt.compareSync(password, hashedPassword);
+
+/* Error message for an unacceptable new password, or null */
+const newPasswordProblem = (password) =>
+  typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH
+    ? `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`
+    : null;
+
+module.exports = { MIN_PASSWORD_LENGTH, hashPassword, checkPassword, newPasswordProblem };
@@ -0,0 +1,144 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { storage } = require("./storage/index.js");
+
+// ------------------------------
+// Photo processing
+//
+// Uploads are decoded and re-encoded with sharp rather than stored as sent,
+// so only real JPEG/PNG/WebP images get through (whatever the declared
+// type) and the stored file is always well-formed. Each photo is stored
+// auto-rotated, with a THUMBNAIL_SIZE thumbnail (always metadata-free).
+//
+// EXIF is kept unless the uploader asks to strip GPS: sharp can't drop the
+// GPS block on its own, so stripGps drops all EXIF (the ICC colour profile
+// stays).
+// ------------------------------
+
+const ALLOWED_TYPES = {
+  jpeg: { contentType: "image/jpeg", ext: "jpg" },
+  png: { contentType: "image/png", ext: "png" },
+  webp: { contentType: "image/webp", ext: "webp" },
+};
+const ALLOWED_CONTENT_TYPES = Object.values(ALLOWED_TYPES).map((t) => t.contentType);
+
+const MAX_PHOTO_BYTES = Number(process.env.PHOTO_MAX_BYTES) || 10 * 1024 * 1024;
+const MAX_PHOTOS_PER_UPLOAD = 5;
+const MAX_PHOTOS_PER_ITEM = 10;
+const MAX_PIXELS = 40 * 1000 * 1000;
+const THUMBNAIL_SIZE = 400;
+const KEY_PREFIX = "photos";
+
+const badRequest = (msg) => {
+  const err = new Error(msg);
+  err.status = 400;
+  return err;
+};
+
+const encode = (pipeline, format) => {
+  if (format === "jpeg") return pipeline.jpeg({ quality: 88, mozjpeg: true });
+  if (format === "png") return pipeline.png();
+  return pipeline.webp({ quality: 85 });
+};
+
+const newKeyBase = () => {
+  const id = crypto.randomBytes(12).toString("hex");
+  return `${KEY_PREFIX}/${id.slice(0, 2)}/${id}`;
+};
+
+/**
+ * Decode, re-encode and store one uploaded image with its thumbnail.
+ * `file` is a multer memory-storage file ({ buffer, originalname }).
+ * Resolves to the fields of a photo subdocument (models/photo-schema.js).
+ * Throws 400 for anything that isn't a supported image.
+ */
+const storePhoto = async (file, { stripGps = false, uploadedBy } = {}) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer, { limitInputPixels: MAX_PIXELS }).metadata();
+  } catch {
+    throw badRequest(`${file.originalname || "File"} is not a readable image`);
+  }
+  const type = ALLOWED_TYPES[metadata.format];
+  if (!type) throw badRequest(`${file.originalname || "File"} must be a JPEG, PNG or WebP image`);
+
+  const source = () => sharp(file.buffer, { limitInputPixels: MAX_PIXELS }).rotate();
+
+  let original = source();
+  original = stripGps ? original.keepIccProfile() : original.keepMetadata();
+  const { data, info } = await encode(original, metadata.format).toBuffer({ resolveWithObject: true });
+
+  const thumbnail = await source()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside", withoutEnlargement: true })
+    .jpeg({ quality: 80, mozjpeg: true })
+    .toBuffer();
+
+  const base = newKeyBase();
+  const stored = await storage.put(`${base}.${type.ext}`, data, { contentType: type.contentType });
+  let thumb;
+  try {
+    thumb = await storage.put(`${base}_thumb.jpg`, thumbnail, { contentType: "image/jpeg" });
+  } catch (err) {
+    await storage.remove(stored.key).catch(() => {});
+    throw err;
+  }
+
+  return {
+    key: stored.key,
+    thumbnailKey: thumb.key,
+    url: stored.url,
+    thumbnailUrl: thumb.url,
+    contentType: type.contentType,
+    size: data.length,
+    width: info.width,
+    height: info.height,
+    gpsStripped: Boolean(stripGps),
+    uploadedBy,
+  };
+};
+
+/**
+ * Store several uploads; all or nothing (files already stored are removed
+ * again when a later one fails).
+ */
+const storePhotos = async (files, options) => {
+  const stored = [];
+  try {
+    for (const file of files) stored.push(await storePhoto(file, options));
+  } catch (err) {
+    await removePhotoFiles(stored);
+    throw err;
+  }
+  return stored;
+};
+
+/* Best-effort removal of photos' files; resolves to how many files went */
+const removePhotoFiles = async (photos = []) => {
+  let removed = 0;
+  for (const photo of photos) {
+    for (const key of [photo.key, photo.thumbnailKey]) {
+      if (!key) continue;
+      try {
+        if (await storage.remove(key)) removed++;
+      } catch (err) {
+        // the orphan sweep gets another go at it
+        console.error(`Could not remove stored file ${key}:`, err.message);
+      }
+    }
+  }
+  return removed;
+};
+
+/* "true"/"1"/true -> true (multipart fields arrive as strings) */
+const parseStripGps = (value) => value === true || value === "true" || value === "1";
+
+module.exports = {
+  ALLOWED_CONTENT_TYPES,
+  MAX_PHOTO_BYTES,
+  MAX_PHOTOS_PER_UPLOAD,
+  MAX_PHOTOS_PER_ITEM,
+  KEY_PREFIX,
+  storePhotos,
+  removePhotoFiles,
+  parseStripGps,
+};
@@ -0,0 +1,202 @@
+const { getForecastForLatLon } = require("./weather/index.js");
+const { mapWithConcurrency } = require("./concurrency.js");
+const { scorePeriod } = require("./scoring.js");
+const { summarizePeriod } = require("./weather/periods.js");
+
+// ------------------------------
+// "Best day, best place" planner
+//
+// Scores every (location, day) pair in a list with the hike scoring engine
+// and ranks them, explaining each pick in plain words.
+// ------------------------------
+
+/**
+ * Activity types tweak the default thresholds (a saved hike profile still
+ * wins) and decide which periods count.
+ * `overnight` activities also need the following night to be acceptable.
+ */
+const ACTIVITIES = {
+  hike: { thresholds: {}, overnight: false },
+  "trail-run": { thresholds: { maxTempF: 80, maxPrecipChance: 40 }, overnight: false },
+  backpack: { thresholds: { minTempF: 25, maxWindMph: 20, noThunderstorms: true }, overnight: true },
+  climb: { thresholds: { maxWindMph: 15, maxGustMph: 25, maxPrecipChance: 10 }, overnight: false },
+  snowshoe: { thresholds: { minTempF: 5, maxTempF: 40, maxPrecipChance: 60 }, overnight: false },
+  "mountain-bike": { thresholds: { maxPrecipChance: 20, maxWindMph: 25 }, overnight: false },
+};
+
+const DATE_RX = /^\d{4}-\d{2}-\d{2}$/;
+
+/* Validate ?activity=&from=&to= -> { activity, from, to }, throwing 400s */
+const parsePlanQuery = (query = {}) => {
+  const activity = String(query.activity || "hike").toLowerCase();
+  if (!ACTIVITIES[activity]) {
+    const err = new Error(`activity must be one of: ${Object.keys(ACTIVITIES).join(", ")}`);
+    err.status = 400;
+    throw err;
+  }
+
+  const from = query.from ? String(query.from) : null;
+  const to = query.to ? String(query.to) : null;
+  for (const [key, value] of [["from", from], ["to", to]]) {
+    if (value && (!DATE_RX.test(value) || Number.isNaN(Date.parse(value)))) {
+      const err = new Error(`${key} must be a date (YYYY-MM-DD)`);
+      err.status = 400;
+      throw err;
+    }
+  }
+  if (from && to && from > to) {
+    const err = new Error("from must be on or before to");
+    err.status = 400;
+    throw err;
+  }
+
+  return { activity, from, to };
+};
+
+/* Local calendar date of a period ("2025-06-02T06:00:00-06:00" -> "2025-06-02") */
+const periodDate = (p) => String(p.startTime).slice(0, 10);
+
+/* Group periods into { date, day, night } for each calendar date */
+const groupByDate = (periods) => {
+  const days = new Map();
+  for (const p of periods) {
+    const date = periodDate(p);
+    if (!days.has(date)) days.set(date, { date, day: null, night: null });
+    days.get(date)[p.isDaytime ? "day" : "night"] = p;
+  }
+  return [...days.values()];
+};
+
+/* Score one (location, date) candidate for an activity */
+const scoreCandidate = ({ day, night }, activityDef, thresholds) => {
+  const dayScore = scorePeriod(day, thresholds);
+  if (!activityDef.overnight) return { ...dayScore, periods: [day] };
+
+  // Overnight trips are only as good as their worse half
+  if (!night) {
+    return {
+      score: dayScore.score,
+      verdict: dayScore.verdict === "go" ? "caution" : dayScore.verdict,
+      reasons: [...dayScore.reasons, { factor: "overnight", status: "warn", message: "No overnight forecast available" }],
+      periods: [day],
+    };
+  }
+
+  const nightScore = scorePeriod(night, thresholds);
+  const verdicts = ["go", "caution", "no-go"];
+  return {
+    score: Math.min(dayScore.score, nightScore.score),
+    verdict: verdicts[Math.max(verdicts.indexOf(dayScore.verdict), verdicts.indexOf(nightScore.verdict))],
+    reasons: [
+      ...dayScore.reasons.filter((r) => r.status !== "ok"),
+      ...nightScore.reasons.filter((r) => r.status !== "ok").map((r) => ({ ...r, message: `Overnight: ${r.message}` })),
+    ],
+    periods: [day, night],
+  };
+};
+
+const VERDICT_RANK = { go: 0, caution: 1, "no-go": 2 };
+
+/* Higher score first; then better verdict, drier, earlier, list order */
+const compareCandidates = (a, b) =>
+  b.score - a.score ||
+  VERDICT_RANK[a.verdict] - VERDICT_RANK[b.verdict] ||
+  (a.periods[0].probabilityOfPrecipitation?.value ?? 0) - (b.periods[0].probabilityOfPrecipitation?.value ?? 0) ||
+  a.date.localeCompare(b.date) ||
+  a.listOrder - b.listOrder;
+
+const explain = (c, rank, best) => {
+  const where = `${c.dayName} at ${c.location.name}`;
+  const conditions = summarizePeriod(c.periods[0]);
+  const issues = c.reasons.filter((r) => r.status !== "ok").map((r) => r.message.toLowerCase());
+
+  let why;
+  if (c.verdict === "go") why = "all conditions are within your limits";
+  else if (c.verdict === "caution") why = `watch out: ${issues.join("; ")}`;
+  else why = `not recommended: ${issues.join("; ")}`;
+
+  let position = "Best option";
+  if (rank > 0) {
+    const gap = best.score - c.score;
+    position = gap
+      ? `#${rank + 1}, ${gap} points behind ${best.dayName} at ${best.location.name}`
+      : `#${rank + 1}, tied on score with ${best.dayName} at ${best.location.name}`;
+  }
+
+  return `${position}. ${where} scores ${c.score}/100 (${conditions}); ${why}.`;
+};
+
+/**
+ * Rank every (location, day) in `locations` ([{ _id, name, latitude, longitude }]).
+ * Forecasts come through the cached provider path; failures are reported per
+ * location instead of failing the whole plan.
+ */
+const planLocations = async (locations, { activity, from, to, thresholds }) => {
+  const activityDef = ACTIVITIES[activity];
+
+  const forecasts = await mapWithConcurrency(locations, 6, async (location) => {
+    try {
+      const { provider, periods } = await getForecastForLatLon(location.latitude, location.longitude);
+      return { location, provider, periods };
+    } catch (e) {
+      return { location, provider: null, periods: [], error: e.message };
+    }
+  });
+
+  const candidates = [];
+  forecasts.forEach(({ location, provider, periods }, listOrder) => {
+    for (const group of groupByDate(periods)) {
+      if (!group.day) continue; // partial first day (only "Tonight" left)
+      if (from && group.date < from) continue;
+      if (to && group.date > to) continue;
+
+      const scored = scoreCandidate(group, activityDef, thresholds);
+      candidates.push({
+        location: { _id: location._id, name: location.name, latitude: location.latitude, longitude: location.longitude },
+        provider,
+        date: group.date,
+        dayName: group.day.name,
+        listOrder,
+        ...scored,
+      });
+    }
+  });
+
+  candidates.sort(compareCandidates);
+  const best = candidates[0] ?? null;
+
+  const ranked = candidates.map((c, rank) => ({
+    rank: rank + 1,
+    location: c.location,
+    provider: c.provider,
+    date: c.date,
+    dayName: c.dayName,
+    score: c.score,
+    verdict: c.verdict,
+    reasons: c.reasons,
+    periods: c.periods,
+    explanation: explain(c, rank, best),
+  }));
+
+  // First (best) entry per date / per location, keeping rank order
+  const firstBy = (keyOf) => {
+    const seen = new Map();
+    for (const entry of ranked) {
+      const key = keyOf(entry);
+      if (!seen.has(key)) seen.set(key, entry);
+    }
+    return [...seen.values()];
+  };
+
+  return {
+    best: ranked[0] ?? null,
+    bestByDate: firstBy((e) => e.date).sort((a, b) => a.date.localeCompare(b.date)),
+    bestByLocation: firstBy((e) => String(e.location._id)),
+    ranked,
+    errors: forecasts
+      .filter((f) => f.error)
+      .map((f) => ({ locationId: f.location._id, name: f.location.name, error: f.error })),
+  };
+};
+
+module.exports = { ACTIVITIES, parsePlanQuery, planLocations, groupByDate };
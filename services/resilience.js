@@ -0,0 +1,143 @@
+// ------------------------------
+// Building blocks for talking to flaky upstreams:
+// single-flight, retry backoff, token-bucket rate limiting, circuit breaking.
+// ------------------------------
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Coalesce concurrent calls with the same key into one in-flight promise.
+ * `run(key, fn)` calls fn() only if no call for `key` is already running.
+ */
+const createSingleFlight = () => {
+  const inflight = new Map();
+  let coalesced = 0;
+
+  return {
+    run(key, fn) {
+      if (inflight.has(key)) {
+        coalesced += 1;
+        return inflight.get(key);
+      }
+      const p = Promise.resolve()
+        .then(fn)
+        .finally(() => inflight.delete(key));
+      inflight.set(key, p);
+      return p;
+    },
+    stats() {
+      return { inflight: inflight.size, coalesced };
+    },
+  };
+};
+
+/**
+ * Delay before retry number `attempt` (0-based): exponential backoff with
+ * full jitter, capped at `maxMs`.
+ */
+const backoffDelay = (attempt, { baseMs = 250, maxMs = 5000 } = {}) =>
+  Math.random() * Math.min(maxMs, baseMs * 2 ** attempt);
+
+/* Retry-After header (delta-seconds or HTTP date) -> ms, or null */
+const parseRetryAfter = (header) => {
+  if (header == null || header === "") return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(header);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+};
+
+/**
+ * Token bucket: `ratePerSec` tokens refill continuously up to `burst`.
+ * `take()` resolves once a token is available.
+ */
+const createTokenBucket = ({ ratePerSec, burst = ratePerSec }) => {
+  let tokens = burst;
+  let last = Date.now();
+  let waited = 0;
+  let queue = Promise.resolve(); // keeps waiters first-come, first-served
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - last) / 1000) * ratePerSec);
+    last = now;
+  };
+
+  const takeNow = async () => {
+    refill();
+    if (tokens < 1) {
+      const waitMs = ((1 - tokens) / ratePerSec) * 1000;
+      waited += 1;
+      await sleep(waitMs);
+      refill();
+    }
+    tokens -= 1;
+  };
+
+  return {
+    take() {
+      const turn = queue.then(takeNow);
+      queue = turn.catch(() => {});
+      return turn;
+    },
+    stats() {
+      refill();
+      return { ratePerSec, burst, tokens: Math.floor(tokens), throttled: waited };
+    },
+  };
+};
+
+/**
+ * Circuit breaker: after `failureThreshold` consecutive failures the circuit
+ * opens and calls fail fast for `cooldownMs`; then one trial call is let
+ * through ("half-open") — success closes the circuit, failure re-opens it.
+ */
+const createCircuitBreaker = ({ name, failureThreshold = 5, cooldownMs = 30 * 1000 }) => {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+  let opens = 0;
+
+  const open = () => {
+    state = "open";
+    openedAt = Date.now();
+    opens += 1;
+  };
+
+  return {
+    /* Throws (status 503, code CIRCUIT_OPEN) when calls should not go out */
+    check() {
+      if (state === "open" && Date.now() - openedAt >= cooldownMs) state = "half-open";
+      if (state === "open" || (state === "half-open" && trialInFlight)) {
+        const err = new Error(`${name} is temporarily unavailable (circuit open)`);
+        err.status = 503;
+        err.code = "CIRCUIT_OPEN";
+        throw err;
+      }
+      if (state === "half-open") trialInFlight = true;
+    },
+    success() {
+      state = "closed";
+      failures = 0;
+      trialInFlight = false;
+    },
+    failure() {
+      trialInFlight = false;
+      failures += 1;
+      if (state === "half-open" || failures >= failureThreshold) open();
+    },
+    stats() {
+      return { state, consecutiveFailures: failures, opens, openedAt: openedAt ? new Date(openedAt) : null };
+    },
+  };
+};
+
+module.exports = {
+  sleep,
+  backoffDelay,
+  parseRetryAfter,
+  createSingleFlight,
+  createTokenBucket,
+  createCircuitBreaker,
+};
@@ -0,0 +1,116 @@
+const { distanceMeters } = require("./geo.js");
+
+// ------------------------------
+// Route ordering for a list's locations
+//
+// Finds a short open path (no return leg) through a set of points:
+// nearest-neighbour builds a first path, then 2-opt reverses segments while
+// that makes the path shorter. Either end can be pinned. Without a pinned
+// start every point is tried as the first one and the shortest few greedy
+// paths are refined, which stays quick at list sizes (MAX_ROUTE_STOPS).
+//
+// Distances are great-circle, so they ignore roads and terrain — good
+// enough to decide an order, not to estimate drive times.
+// ------------------------------
+
+const MAX_ROUTE_STOPS = 200;
+const MAX_2OPT_PASSES = 50;
+const TWO_OPT_CANDIDATES = 5;
+
+/* Symmetric matrix of great-circle distances in meters */
+const distanceMatrix = (points) =>
+  points.map((a, i) => points.map((b, j) => (i === j ? 0 : distanceMeters(a, b))));
+
+/* Length of the open path `order` (indexes into the matrix) */
+const pathLength = (matrix, order) => {
+  let total = 0;
+  for (let i = 1; i < order.length; i++) total += matrix[order[i - 1]][order[i]];
+  return total;
+};
+
+/* Greedy path from `start`, keeping `end` (if any) for last */
+const nearestNeighbour = (matrix, start, end = null) => {
+  const n = matrix.length;
+  const visited = new Array(n).fill(false);
+  const order = [start];
+  visited[start] = true;
+  if (end !== null) visited[end] = true;
+
+  let current = start;
+  for (;;) {
+    let next = -1;
+    for (let j = 0; j < n; j++) {
+      if (!visited[j] && (next === -1 || matrix[current][j] < matrix[current][next])) next = j;
+    }
+    if (next === -1) break;
+    visited[next] = true;
+    order.push(next);
+    current = next;
+  }
+
+  if (end !== null && end !== start) order.push(end);
+  return order;
+};
+
+/**
+ * Improve an open path in place by reversing segments (2-opt). Pinned ends
+ * stay put. Returns the same array.
+ */
+const twoOpt = (matrix, order, { fixedStart = false, fixedEnd = false } = {}) => {
+  const n = order.length;
+  const first = fixedStart ? 1 : 0;
+  const last = fixedEnd ? n - 2 : n - 1;
+  const d = (a, b) => (a === undefined || b === undefined ? 0 : matrix[a][b]);
+
+  for (let pass = 0; pass < MAX_2OPT_PASSES; pass++) {
+    let improved = false;
+    for (let i = first; i < last; i++) {
+      for (let k = i + 1; k <= last; k++) {
+        const before = d(order[i - 1], order[i]) + d(order[k], order[k + 1]);
+        const after = d(order[i - 1], order[k]) + d(order[i], order[k + 1]);
+        if (after < before - 1e-6) {
+          for (let a = i, b = k; a < b; a++, b--) [order[a], order[b]] = [order[b], order[a]];
+          improved = true;
+        }
+      }
+    }
+    if (!improved) break;
+  }
+  return order;
+};
+
+/**
+ * Suggest an order for `points` ({ latitude, longitude }).
+ * `start` / `end` are optional indexes to pin. Resolves to
+ * { order: [indexes], totalMeters, legs: [meters to each point from the previous] }.
+ */
+const optimizeOrder = (points, { start = null, end = null } = {}) => {
+  const n = points.length;
+  if (n === 0) return { order: [], totalMeters: 0, legs: [] };
+
+  const matrix = distanceMatrix(points);
+  const fixedEnd = end !== null && end !== start && n > 1;
+
+  // greedy paths from every candidate start are cheap; only the best few get 2-opt
+  const starts = start !== null ? [start] : [...Array(n).keys()].filter((i) => !fixedEnd || i !== end);
+  const candidates = starts
+    .map((s) => nearestNeighbour(matrix, s, fixedEnd ? end : null))
+    .map((order) => ({ order, length: pathLength(matrix, order) }))
+    .sort((a, b) => a.length - b.length)
+    .slice(0, TWO_OPT_CANDIDATES);
+
+  let best = null;
+  for (const { order } of candidates) {
+    twoOpt(matrix, order, { fixedStart: start !== null, fixedEnd });
+    const length = pathLength(matrix, order);
+    if (!best || length < best.length) best = { order, length };
+  }
+
+  return {
+    order: best.order,
+    totalMeters: best.length,
+    legs: best.order.map((idx, i) => (i === 0 ? 0 : matrix[best.order[i - 1]][idx])),
+  };
+};
+
+module.exports = { MAX_ROUTE_STOPS, distanceMatrix, pathLength, nearestNeighbour, twoOpt, optimizeOrder };
@@ -0,0 +1,176 @@
+const User = require("../models/user.js");
+
+// ------------------------------
+// Hike go/no-go scoring
+//
+// Each forecast period is rated 0-100 against a set of thresholds and given a
+// verdict: "go" (everything comfortably inside the limits), "caution" (close
+// to a limit) or "no-go" (a limit is exceeded). Reasons explain the verdict.
+// ------------------------------
+
+const DEFAULT_THRESHOLDS = {
+  maxWindMph: 20,
+  maxGustMph: 35,
+  maxPrecipChance: 30,
+  minTempF: 32,
+  maxTempF: 90,
+  noThunderstorms: true,
+};
+
+// Field -> kind, used to coerce query-string / JSON overrides
+const THRESHOLD_FIELDS = {
+  maxWindMph: "number",
+  maxGustMph: "number",
+  maxPrecipChance: "number",
+  minTempF: "number",
+  maxTempF: "number",
+  noThunderstorms: "boolean",
+};
+
+const PENALTY = { fail: 40, warn: 10 };
+const NEAR_LIMIT = 0.8;  // within 80% of a max limit -> caution
+const NEAR_TEMP_F = 5;   // within 5°F of a temperature bound -> caution
+
+const THUNDER_RX = /thunder|t-storm/i;
+
+/* "10 mph", "10 to 15 mph" -> 15 (highest number mentioned) */
+const parseMph = (text) => {
+  if (typeof text === "number") return text;
+  const nums = String(text ?? "").match(/\d+(\.\d+)?/g);
+  return nums ? Math.max(...nums.map(Number)) : null;
+};
+
+const toFahrenheit = (temp, unit) => {
+  if (temp == null) return null;
+  return unit === "C" ? temp * 9 / 5 + 32 : temp;
+};
+
+/**
+ * Coerce user-supplied thresholds (query string or JSON) into a partial
+ * thresholds object. Unknown keys are ignored; bad values throw a 400.
+ */
+const parseThresholds = (source = {}) => {
+  const out = {};
+  for (const [key, kind] of Object.entries(THRESHOLD_FIELDS)) {
+    const raw = source[key];
+    if (raw === undefined || raw === "") continue;
+
+    if (kind === "boolean") {
+      if (raw === true || raw === "true" || raw === "1") out[key] = true;
+      else if (raw === false || raw === "false" || raw === "0") out[key] = false;
+      else {
+        const err = new Error(`${key} must be true or false`);
+        err.status = 400;
+        throw err;
+      }
+    } else {
+      const n = Number(raw);
+      if (!Number.isFinite(n)) {
+        const err = new Error(`${key} must be a number`);
+        err.status = 400;
+        throw err;
+      }
+      out[key] = n;
+    }
+  }
+  return out;
+};
+
+/* Compare a value against a max limit -> reason or null */
+const checkMax = (factor, label, value, limit, format) => {
+  if (value == null || limit == null) return null;
+  if (value > limit) {
+    return { factor, status: "fail", message: `${label} ${format(value)} exceeds your limit of ${format(limit)}` };
+  }
+  if (value > limit * NEAR_LIMIT) {
+    return { factor, status: "warn", message: `${label} ${format(value)} is close to your limit of ${format(limit)}` };
+  }
+  return null;
+};
+
+/**
+ * Rate one forecast period (NWS-shaped; hourly periods also work).
+ * Returns { score, verdict, reasons }.
+ */
+const scorePeriod = (period, thresholds = DEFAULT_THRESHOLDS) => {
+  const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const reasons = [];
+  const text = `${period.shortForecast ?? ""} ${period.detailedForecast ?? ""}`;
+
+  if (t.noThunderstorms && THUNDER_RX.test(text)) {
+    reasons.push({ factor: "thunderstorms", status: "fail", message: "Thunderstorms in the forecast" });
+  }
+
+  const mph = (v) => `${Math.round(v)} mph`;
+  const pct = (v) => `${Math.round(v)}%`;
+  const pop = period.probabilityOfPrecipitation?.value ?? null;
+  reasons.push(checkMax("wind", "Wind", parseMph(period.windSpeed), t.maxWindMph, mph));
+  reasons.push(checkMax("gusts", "Gusts", parseMph(period.windGust), t.maxGustMph, mph));
+  reasons.push(checkMax("precipitation", "Precipitation chance", pop, t.maxPrecipChance, pct));
+
+  const tempF = toFahrenheit(period.temperature, period.temperatureUnit);
+  if (tempF != null) {
+    const deg = (v) => `${Math.round(v)}°F`;
+    if (t.minTempF != null && tempF < t.minTempF) {
+      reasons.push({ factor: "temperature", status: "fail", message: `${deg(tempF)} is below your minimum of ${deg(t.minTempF)}` });
+    } else if (t.maxTempF != null && tempF > t.maxTempF) {
+      reasons.push({ factor: "temperature", status: "fail", message: `${deg(tempF)} is above your maximum of ${deg(t.maxTempF)}` });
+    } else if (
+      (t.minTempF != null && tempF < t.minTempF + NEAR_TEMP_F) ||
+      (t.maxTempF != null && tempF > t.maxTempF - NEAR_TEMP_F)
+    ) {
+      reasons.push({ factor: "temperature", status: "warn", message: `${deg(tempF)} is close to your temperature limits` });
+    }
+  }
+
+  const found = reasons.filter(Boolean);
+  const hasThunder = found.some((r) => r.factor === "thunderstorms");
+  const penalty = found.reduce((sum, r) => sum + PENALTY[r.status], 0);
+  const score = hasThunder ? 0 : Math.max(0, 100 - penalty);
+
+  let verdict = "go";
+  if (found.some((r) => r.status === "fail")) verdict = "no-go";
+  else if (found.length) verdict = "caution";
+
+  return {
+    score,
+    verdict,
+    reasons: found.length
+      ? found
+      : [{ factor: "overall", status: "ok", message: "All conditions are within your limits" }],
+  };
+};
+
+/* Attach `hikeScore` to every period */
+const scorePeriods = (periods, thresholds) =>
+  (periods ?? []).map((p) => ({ ...p, hikeScore: scorePeriod(p, thresholds) }));
+
+/**
+ * Effective thresholds: defaults (with `defaults` on top, e.g. an activity
+ * preset), then the user's saved profile (if signed in), then any
+ * per-request overrides.
+ */
+const resolveThresholds = async (userId, overrides = {}, { defaults = {} } = {}) => {
+  let saved = {};
+  if (userId) {
+    const user = await User.findById(userId).select("hikeProfile").lean();
+    saved = user?.hikeProfile ?? {};
+  }
+
+  const merged = { ...DEFAULT_THRESHOLDS, ...defaults };
+  for (const key of Object.keys(THRESHOLD_FIELDS)) {
+    if (saved[key] != null) merged[key] = saved[key];
+  }
+  return { ...merged, ...parseThresholds(overrides) };
+};
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  THRESHOLD_FIELDS,
+  parseMph,
+  toFahrenheit,
+  parseThresholds,
+  scorePeriod,
+  scorePeriods,
+  resolveThresholds,
+};
@@ -0,0 +1,168 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/session.js");
+
+// ------------------------------
+// Access/refresh tokens and server-side sessions
+//
+// Access tokens are short-lived JWTs ({ payload, sid }). Refresh tokens are
+// opaque "<sessionId>.<secret>" strings; only a hash of the secret is stored,
+// and it is replaced on every refresh. Presenting an already-rotated refresh
+// token revokes the whole session (it was probably stolen).
+// ------------------------------
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_MS = (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+/* Error with an HTTP status and a machine-readable code */
+const authError = (status, code, message) => {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+};
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+const signAccessToken = (user, sessionId) => {
+  const payload = { username: user.username, _id: user._id };
+  return jwt.sign({ payload, sid: String(sessionId) }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+};
+
+const tokenPair = (user, session, secret) => {
+  const token = signAccessToken(user, session._id);
+  return {
+    token,
+    refreshToken: `${session._id}.${secret}`,
+    expiresAt: new Date(jwt.decode(token).exp * 1000),
+    refreshExpiresAt: session.expiresAt,
+  };
+};
+
+/* Start a session for a user who just proved who they are */
+const startSession = async (user, req) => {
+  const secret = crypto.randomBytes(32).toString("hex");
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashSecret(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    userAgent: String(req?.headers?.["user-agent"] || "").slice(0, 300),
+    ip: req?.ip || "",
+  });
+  return tokenPair(user, session, secret);
+};
+
+/* "<sessionId>.<secret>" -> { sessionId, secret } (format only) */
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) {
+    throw authError(401, "REFRESH_TOKEN_INVALID", "Invalid refresh token.");
+  }
+  return { sessionId, secret };
+};
+
+/**
+ * Throw the right error for a refresh token that didn't match a usable
+ * session. A token for a live session that doesn't match its current hash
+ * is an old (already rotated) one — someone else may hold the current
+ * one — so the session is revoked.
+ */
+const rejectRefresh = async (sessionId) => {
+  const session = await Session.findById(sessionId).select("revokedAt expiresAt");
+  if (!session) throw authError(401, "REFRESH_TOKEN_INVALID", "Invalid refresh token.");
+  if (session.revokedAt) throw authError(401, "SESSION_REVOKED", "Session has been signed out.");
+  if (session.expiresAt <= new Date()) throw authError(401, "REFRESH_TOKEN_EXPIRED", "Refresh token expired.");
+
+  await revokeSession(sessionId, "refresh-token-reuse");
+  throw authError(401, "REFRESH_TOKEN_REUSED", "Refresh token was already used; session signed out.");
+};
+
+/* "<sessionId>.<secret>" -> session, validating the session is usable */
+const findRefreshSession = async (refreshToken) => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+
+  const session = await Session.findOne({
+    _id: sessionId,
+    refreshTokenHash: hashSecret(secret),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!session) await rejectRefresh(sessionId);
+
+  return session;
+};
+
+/**
+ * Exchange a refresh token for a new access token + rotated refresh token.
+ * The swap is a single compare-and-set on the current hash, so of two
+ * concurrent refreshes with the same token only one wins; the other counts
+ * as reuse and signs the session out.
+ */
+const rotateSession = async (refreshToken, loadUser) => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+
+  const nextSecret = crypto.randomBytes(32).toString("hex");
+  const now = new Date();
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: hashSecret(secret), revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { refreshTokenHash: hashSecret(nextSecret), lastUsedAt: now } },
+    { new: true }
+  );
+  if (!session) await rejectRefresh(sessionId);
+
+  const user = await loadUser(session.user);
+  if (!user) throw authError(401, "REFRESH_TOKEN_INVALID", "Invalid refresh token.");
+
+  return tokenPair(user, session, nextSecret);
+};
+
+const revokeSession = (sessionId, reason = "sign-out") =>
+  Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+
+const revokeAllSessions = (userId, reason = "sign-out-everywhere") =>
+  Session.updateMany({ user: userId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+
+/* Sign out every session but `keepSessionId` (e.g. after a password change) */
+const revokeOtherSessions = (userId, keepSessionId, reason = "password-change") =>
+  Session.updateMany(
+    { user: userId, _id: { $ne: keepSessionId }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+/**
+ * Validate a bearer access token and its session.
+ * Resolves to { user, sessionId } or throws with code
+ * TOKEN_EXPIRED | TOKEN_INVALID | SESSION_REVOKED.
+ */
+const authenticate = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err.name === "TokenExpiredError") throw authError(401, "TOKEN_EXPIRED", "Token expired.");
+    throw authError(401, "TOKEN_INVALID", "Invalid token.");
+  }
+
+  // Tokens minted before sessions existed never expire; make them sign in again
+  if (!decoded.sid || !decoded.exp) throw authError(401, "TOKEN_INVALID", "Invalid token.");
+
+  const session = await Session.findById(decoded.sid).select("revokedAt expiresAt").lean();
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    throw authError(401, "SESSION_REVOKED", "Session has been signed out.");
+  }
+
+  return { user: decoded.payload, sessionId: decoded.sid };
+};
+
+module.exports = {
+  authError,
+  startSession,
+  rotateSession,
+  findRefreshSession,
+  revokeSession,
+  revokeAllSessions,
+  revokeOtherSessions,
+  authenticate,
+};
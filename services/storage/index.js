@@ -0,0 +1,31 @@
+const path = require("path");
+const { createLocalStore } = require("./local-store.js");
+
+// ------------------------------
+// File storage
+//
+// A store is { driver, put(key, buffer, { contentType }) -> { key, url },
+// remove(key) -> boolean, urlFor(key), list(prefix) -> [{ key, modifiedAt }] }
+// plus, for stores the app serves itself, serve() -> Express middleware to
+// mount at the public base URL.
+//
+// STORAGE_DRIVER picks the backend; only "local" (the default) exists so
+// far: files under UPLOAD_DIR (default ./uploads) served at
+// UPLOADS_BASE_URL (default /uploads).
+// ------------------------------
+
+const UPLOADS_BASE_URL = process.env.UPLOADS_BASE_URL || "/uploads";
+
+const createStore = (driver = process.env.STORAGE_DRIVER || "local") => {
+  if (driver === "local") {
+    return createLocalStore({
+      root: path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, "..", "..", "uploads")),
+      baseUrl: UPLOADS_BASE_URL,
+    });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+};
+
+const storage = createStore();
+
+module.exports = { storage, createStore, UPLOADS_BASE_URL };
@@ -0,0 +1,74 @@
+const fs = require("fs/promises");
+const path = require("path");
+const express = require("express");
+
+/**
+ * File storage on local disk under `root`, served by the app itself at
+ * `baseUrl` (see serve()). Keys are relative paths like "photos/ab/cd.jpg".
+ */
+const createLocalStore = ({ root, baseUrl }) => {
+  const base = baseUrl.replace(/\/+$/, "");
+
+  // Keys come from our own code, but never let one escape the root
+  const pathFor = (key) => {
+    const full = path.resolve(root, key);
+    if (!full.startsWith(path.resolve(root) + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return full;
+  };
+
+  const put = async (key, buffer) => {
+    const full = pathFor(key);
+    await fs.mkdir(path.dirname(full), { recursive: true });
+    // write-then-rename so a crash never leaves a half-written file behind a key
+    const tmp = `${full}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, buffer);
+    await fs.rename(tmp, full);
+    return { key, url: urlFor(key) };
+  };
+
+  /* Resolves to true when something was removed; missing files are fine */
+  const remove = async (key) => {
+    try {
+      await fs.unlink(pathFor(key));
+      return true;
+    } catch (err) {
+      if (err.code === "ENOENT") return false;
+      throw err;
+    }
+  };
+
+  const urlFor = (key) => `${base}/${key.split("/").map(encodeURIComponent).join("/")}`;
+
+  /* Every key under `prefix`, with its last-modified time */
+  const list = async (prefix = "") => {
+    const start = prefix ? pathFor(prefix) : path.resolve(root);
+    const out = [];
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (err) {
+        if (err.code === "ENOENT") return;
+        throw err;
+      }
+      for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(full);
+        } else if (entry.isFile() && !entry.name.endsWith(".tmp")) {
+          const { mtime } = await fs.stat(full);
+          out.push({ key: path.relative(root, full).split(path.sep).join("/"), modifiedAt: mtime });
+        }
+      }
+    };
+    await walk(start);
+    return out;
+  };
+
+  /* Express middleware serving the stored files (mount it at baseUrl) */
+  const serve = () => express.static(root, { index: false, dotfiles: "deny", maxAge: "7d", immutable: true });
+
+  return { driver: "local", put, remove, urlFor, list, serve };
+};
+
+module.exports = { createLocalStore };
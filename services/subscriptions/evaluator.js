@@ -0,0 +1,216 @@
+const Subscription = require("../../models/subscription.js");
+const SubscriptionMatch = require("../../models/subscription-match.js");
+const Notification = require("../../models/notification.js");
+const List = require("../../models/list.js");
+const Location = require("../../models/location.js");
+const { getForecastForLatLon } = require("../weather/index.js");
+const { getAlertsForLatLon } = require("../weather/alerts.js");
+const { resolveThresholds } = require("../scoring.js");
+const { mapWithConcurrency } = require("../concurrency.js");
+const { canViewList } = require("../list-access.js");
+const { enqueueWebhook, processDueDeliveries } = require("../webhooks.js");
+const { evaluateRules } = require("./rules.js");
+
+// ------------------------------
+// Subscription evaluator
+//
+// Re-checks each active subscription against the same forecast/alerts path
+// the API serves (so it shares the cache and provider failover), and turns
+// matches it hasn't announced before into one in-app notification plus,
+// when configured, one signed webhook delivery.
+//
+// runEvaluatorOnce() is the "subscription-evaluator" scheduled job (see
+// services/jobs): every SUBSCRIPTION_EVAL_TICK_MS (default 1 min) it evaluates
+// subscriptions last checked more than SUBSCRIPTION_EVAL_INTERVAL_MS ago
+// (default 15 min) and retries due webhook deliveries.
+// ------------------------------
+
+const EVAL_INTERVAL_MS = Number(process.env.SUBSCRIPTION_EVAL_INTERVAL_MS) || 15 * 60 * 1000;
+const BATCH_SIZE = 100;
+const MAX_SUMMARY_LINES = 10;
+
+/* Signing secret for a delivery's subscription (null once the webhook is gone) */
+const webhookSecretFor = async (delivery) => {
+  const sub = await Subscription.findById(delivery.subscription).select("webhook").lean();
+  return sub?.webhook?.url ? sub.webhook.secret : null;
+};
+
+/**
+ * The locations a subscription watches, with a display name for the
+ * target. Resolves to null when the target is gone or the user can no
+ * longer see it.
+ */
+const targetLocations = async (sub) => {
+  if (sub.target.kind === "location") {
+    const location = await Location.findById(sub.target.id).select("name latitude longitude").lean();
+    return location ? { name: location.name, locations: [location] } : null;
+  }
+
+  const list = await List.findById(sub.target.id).populate("locations.location", "name latitude longitude");
+  if (!list || !canViewList(list, { userId: sub.user })) return null;
+
+  const locations = list.locations
+    .slice()
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+    .map((e) => e.location)
+    .filter(Boolean);
+  return { name: list.name, locations };
+};
+
+/* Keep only matches not announced before, and remember them */
+const claimNewMatches = async (sub, matches) => {
+  if (!matches.length) return [];
+
+  const seen = new Set(
+    await SubscriptionMatch.find({ subscription: sub._id, key: { $in: matches.map((m) => m.key) } }).distinct("key")
+  );
+  const fresh = matches.filter((m) => !seen.has(m.key));
+  if (!fresh.length) return [];
+
+  try {
+    await SubscriptionMatch.insertMany(
+      fresh.map((m) => ({ subscription: sub._id, key: m.key })),
+      { ordered: false }
+    );
+  } catch (err) {
+    // a concurrent evaluation recorded some of these first; announcing twice beats never
+    if (err.code !== 11000) throw err;
+  }
+  return fresh;
+};
+
+/**
+ * Evaluate one subscription now.
+ * Resolves to { matches, fresh, errors, notification, delivery } where
+ * `fresh` are the matches announced by this run.
+ */
+const evaluateSubscription = async (sub) => {
+  const target = await targetLocations(sub);
+  if (!target) {
+    sub.active = false;
+    sub.lastEvaluatedAt = new Date();
+    sub.lastError = `The ${sub.target.kind} this subscription watches is no longer available`;
+    await sub.save();
+    return { matches: [], fresh: [], errors: [{ message: sub.lastError }], notification: null, delivery: null };
+  }
+
+  const wantsForecast = sub.rules.some((r) => r.kind === "forecast");
+  const wantsAlerts = sub.rules.some((r) => r.kind === "alert");
+  const wantsScore = sub.rules.some((r) => r.field === "hikeScore" || r.field === "verdict");
+  const thresholds = wantsScore ? await resolveThresholds(sub.user) : undefined;
+
+  const results = await mapWithConcurrency(target.locations, 4, async (location) => {
+    try {
+      const [forecast, alerts] = await Promise.all([
+        wantsForecast ? getForecastForLatLon(location.latitude, location.longitude) : null,
+        wantsAlerts ? getAlertsForLatLon(location.latitude, location.longitude) : null,
+      ]);
+      const matches = evaluateRules(sub.rules, {
+        periods: forecast?.periods,
+        alerts: alerts?.alerts,
+        thresholds,
+      }).map((m) => ({
+        ...m,
+        key: `${location._id}:${m.key}`,
+        location: { _id: location._id, name: location.name, latitude: location.latitude, longitude: location.longitude },
+      }));
+      return { matches };
+    } catch (e) {
+      return { matches: [], error: { locationId: location._id, name: location.name, message: e.message } };
+    }
+  });
+
+  const matches = results.flatMap((r) => r.matches);
+  const errors = results.filter((r) => r.error).map((r) => r.error);
+  const fresh = await claimNewMatches(sub, matches);
+
+  let notification = null;
+  let delivery = null;
+  if (fresh.length) {
+    const title = `${sub.name || target.name}: ${fresh.length} new weather ${fresh.length === 1 ? "match" : "matches"}`;
+    const lines = fresh.slice(0, MAX_SUMMARY_LINES).map((m) => `${m.location.name} — ${m.summary}`);
+    if (fresh.length > MAX_SUMMARY_LINES) lines.push(`…and ${fresh.length - MAX_SUMMARY_LINES} more`);
+
+    notification = await Notification.create({
+      user: sub.user,
+      kind: "subscription.matched",
+      title,
+      body: lines.join("\n"),
+      subscription: sub._id,
+      data: { target: { kind: sub.target.kind, id: sub.target.id, name: target.name }, matches: fresh },
+    });
+
+    if (sub.webhook?.url) {
+      delivery = await enqueueWebhook(
+        {
+          user: sub.user,
+          subscription: sub._id,
+          url: sub.webhook.url,
+          payload: {
+            event: "subscription.matched",
+            subscription: { _id: sub._id, name: sub.name, target: { kind: sub.target.kind, id: sub.target.id, name: target.name } },
+            notificationId: notification._id,
+            matches: fresh,
+            createdAt: new Date().toISOString(),
+          },
+        },
+        webhookSecretFor
+      );
+    }
+  }
+
+  sub.lastEvaluatedAt = new Date();
+  if (fresh.length) sub.lastMatchedAt = sub.lastEvaluatedAt;
+  sub.lastError = errors.length ? errors.map((e) => `${e.name}: ${e.message}`).join("; ") : null;
+  await sub.save();
+
+  return { matches, fresh, errors, notification, delivery };
+};
+
+let running = false;
+
+/**
+ * One pass: evaluate due subscriptions and retry due webhook deliveries.
+ * Overlapping passes in one process are skipped.
+ */
+const runEvaluatorOnce = async ({ intervalMs = EVAL_INTERVAL_MS, limit = BATCH_SIZE } = {}) => {
+  if (running) return { skipped: true };
+  running = true;
+  try {
+    const dueBefore = new Date(Date.now() - intervalMs);
+    const due = await Subscription.find({
+      active: true,
+      $or: [{ lastEvaluatedAt: null }, { lastEvaluatedAt: { $lte: dueBefore } }],
+    })
+      .sort({ lastEvaluatedAt: 1 })
+      .limit(limit);
+
+    const results = await mapWithConcurrency(due, 2, (sub) =>
+      evaluateSubscription(sub).catch(async (err) => {
+        console.error(`Subscription ${sub._id} evaluation failed:`, err.message);
+        // wait the normal interval like a successful run, so a subscription
+        // that keeps failing can't sit at the front of every batch
+        await Subscription.updateOne(
+          { _id: sub._id },
+          { $set: { lastEvaluatedAt: new Date(), lastError: `${err.name}: ${err.message}` } }
+        ).catch((e) => console.error(`Subscription ${sub._id} could not be marked as failed:`, e.message));
+        return null;
+      })
+    );
+    const retried = await processDueDeliveries(webhookSecretFor);
+
+    return {
+      evaluated: due.length,
+      notified: results.filter((r) => r?.notification).length,
+      webhookRetries: retried,
+    };
+  } finally {
+    running = false;
+  }
+};
+
+module.exports = {
+  evaluateSubscription,
+  runEvaluatorOnce,
+  webhookSecretFor,
+};
@@ -0,0 +1,210 @@
+const crypto = require("crypto");
+const { parseMph, toFahrenheit, scorePeriod } = require("../scoring.js");
+const { SEVERITY_RANK } = require("../weather/alerts.js");
+
+// ------------------------------
+// Subscription rules
+//
+// A forecast rule compares one number from each forecast period:
+//   { kind: "forecast", field: "precipChance", op: "lt", value: 20, day: "saturday" }
+//     field: precipChance | windMph | gustMph | tempF | hikeScore | verdict
+//     op:    lt | lte | gt | gte | eq  (verdict only supports eq)
+//     day:   any | weekend | monday..sunday | YYYY-MM-DD   (default any)
+//     daytimeOnly: only check daytime periods (default true)
+//
+// An alert rule matches active weather alerts:
+//   { kind: "alert", event: "Wind Advisory", minSeverity: "Moderate" }
+//     event: "any" or a case-insensitive substring of the alert's event name
+//
+// Every match has a stable `key` (same rule content + same period / alert
+// -> same key), which is what keeps the evaluator from announcing the same
+// thing twice. Keys come from what a rule says, not its `_id`, so saving a
+// subscription with rules unchanged doesn't re-announce current matches.
+// ------------------------------
+
+const FORECAST_FIELDS = ["precipChance", "windMph", "gustMph", "tempF", "hikeScore", "verdict"];
+const OPS = { lt: (a, b) => a < b, lte: (a, b) => a <= b, gt: (a, b) => a > b, gte: (a, b) => a >= b, eq: (a, b) => a === b };
+const OP_LABELS = { lt: "below", lte: "at most", gt: "above", gte: "at least", eq: "" };
+const VERDICTS = ["go", "caution", "no-go"];
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const SEVERITIES = Object.keys(SEVERITY_RANK);
+
+const FIELD_LABELS = {
+  precipChance: ["Precipitation chance", (v) => `${Math.round(v)}%`],
+  windMph: ["Wind", (v) => `${Math.round(v)} mph`],
+  gustMph: ["Gusts", (v) => `${Math.round(v)} mph`],
+  tempF: ["Temperature", (v) => `${Math.round(v)}°F`],
+  hikeScore: ["Hike score", (v) => String(v)],
+  verdict: ["Verdict", (v) => v],
+};
+
+const badRule = (index, msg) => {
+  const err = new Error(`rules[${index}]: ${msg}`);
+  err.status = 400;
+  return err;
+};
+
+const parseDay = (raw, index) => {
+  const day = String(raw ?? "any").trim().toLowerCase();
+  if (day === "any" || day === "weekend" || WEEKDAYS.includes(day)) return day;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(day) && !Number.isNaN(Date.parse(`${day}T00:00:00Z`))) return day;
+  throw badRule(index, "day must be any, weekend, a weekday name or YYYY-MM-DD");
+};
+
+/**
+ * Validate and normalize user-supplied rules. Throws a 400 on the first
+ * bad one. At least one rule is required.
+ */
+const parseRules = (rules) => {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    const err = new Error("rules must be a non-empty array");
+    err.status = 400;
+    throw err;
+  }
+  if (rules.length > 20) {
+    const err = new Error("At most 20 rules per subscription");
+    err.status = 400;
+    throw err;
+  }
+
+  return rules.map((rule, i) => {
+    if (!rule || typeof rule !== "object") throw badRule(i, "must be an object");
+
+    if (rule.kind === "alert") {
+      const event = String(rule.event ?? "any").trim() || "any";
+      const minSeverity = rule.minSeverity ?? null;
+      if (minSeverity != null && !SEVERITIES.includes(minSeverity)) {
+        throw badRule(i, `minSeverity must be one of: ${SEVERITIES.join(", ")}`);
+      }
+      return { kind: "alert", event, minSeverity };
+    }
+
+    if (rule.kind !== "forecast") throw badRule(i, 'kind must be "forecast" or "alert"');
+
+    if (!FORECAST_FIELDS.includes(rule.field)) {
+      throw badRule(i, `field must be one of: ${FORECAST_FIELDS.join(", ")}`);
+    }
+    if (!OPS[rule.op]) throw badRule(i, `op must be one of: ${Object.keys(OPS).join(", ")}`);
+
+    let value;
+    if (rule.field === "verdict") {
+      if (rule.op !== "eq") throw badRule(i, "verdict only supports op eq");
+      if (!VERDICTS.includes(rule.value)) throw badRule(i, `verdict value must be one of: ${VERDICTS.join(", ")}`);
+      value = rule.value;
+    } else {
+      value = Number(rule.value);
+      if (rule.value === null || rule.value === "" || !Number.isFinite(value)) throw badRule(i, "value must be a number");
+    }
+
+    return {
+      kind: "forecast",
+      field: rule.field,
+      op: rule.op,
+      value,
+      day: parseDay(rule.day, i),
+      daytimeOnly: rule.daytimeOnly !== false,
+    };
+  });
+};
+
+/* Local calendar date of a period, from its offset-qualified startTime */
+const periodDate = (period) => String(period.startTime ?? "").slice(0, 10);
+
+const dayMatches = (day, period) => {
+  if (day === "any") return true;
+  const date = periodDate(period);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(day)) return date === day;
+
+  const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+  if (day === "weekend") return weekday === "saturday" || weekday === "sunday";
+  return weekday === day;
+};
+
+const fieldValue = (field, period, thresholds) => {
+  switch (field) {
+    case "precipChance":
+      return period.probabilityOfPrecipitation?.value ?? 0;
+    case "windMph":
+      return parseMph(period.windSpeed);
+    case "gustMph":
+      return parseMph(period.windGust);
+    case "tempF":
+      return toFahrenheit(period.temperature, period.temperatureUnit);
+    case "hikeScore":
+      return scorePeriod(period, thresholds).score;
+    case "verdict":
+      return scorePeriod(period, thresholds).verdict;
+    default:
+      return null;
+  }
+};
+
+const describeForecastMatch = (rule, period, actual) => {
+  const [label, format] = FIELD_LABELS[rule.field];
+  if (rule.field === "verdict") return `${period.name}: hike verdict is ${actual}`;
+  return `${period.name}: ${label} ${format(actual)} (${OP_LABELS[rule.op]} ${format(rule.value)})`;
+};
+
+/* Short hash of what a rule checks; the prefix of its match keys */
+const ruleKey = (rule) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify(
+        rule.kind === "alert"
+          ? ["alert", rule.event.toLowerCase(), rule.minSeverity ?? null]
+          : ["forecast", rule.field, rule.op, rule.value, rule.day, Boolean(rule.daytimeOnly)]
+      )
+    )
+    .digest("hex")
+    .slice(0, 16);
+
+/**
+ * Check rules against one location's weather.
+ * Match keys start with the rule's content hash (ruleKey).
+ * Returns [{ key, ruleId, kind, summary, period?, alert? }].
+ */
+const evaluateRules = (rules, { periods = [], alerts = [], thresholds } = {}) => {
+  const matches = [];
+
+  for (const rule of rules) {
+    const ruleId = String(rule._id ?? "");
+    const prefix = ruleKey(rule);
+
+    if (rule.kind === "alert") {
+      const needle = rule.event.toLowerCase();
+      for (const alert of alerts) {
+        if (needle !== "any" && !String(alert.event ?? "").toLowerCase().includes(needle)) continue;
+        if (rule.minSeverity && (SEVERITY_RANK[alert.severity] ?? 0) < SEVERITY_RANK[rule.minSeverity]) continue;
+        matches.push({
+          key: `${prefix}:alert:${alert.id ?? `${alert.event}|${alert.onset}`}`,
+          ruleId,
+          kind: "alert",
+          summary: alert.headline || `${alert.event} (${alert.severity})`,
+          alert: { id: alert.id, event: alert.event, severity: alert.severity, onset: alert.onset, expires: alert.expires },
+        });
+      }
+      continue;
+    }
+
+    for (const period of periods) {
+      if (rule.daytimeOnly && period.isDaytime === false) continue;
+      if (!dayMatches(rule.day, period)) continue;
+
+      const actual = fieldValue(rule.field, period, thresholds);
+      if (actual == null || !OPS[rule.op](actual, rule.value)) continue;
+
+      matches.push({
+        key: `${prefix}:forecast:${period.startTime}`,
+        ruleId,
+        kind: "forecast",
+        summary: describeForecastMatch(rule, period, actual),
+        period: { name: period.name, startTime: period.startTime, endTime: period.endTime, value: actual },
+      });
+    }
+  }
+
+  return matches;
+};
+
+module.exports = { FORECAST_FIELDS, parseRules, evaluateRules, ruleKey, dayMatches };
@@ -0,0 +1,168 @@
+const { LEVELS, OBSTRUCTIONS } = require("../models/condition-values.js");
+
+// ------------------------------
+// Trail condition reports
+//
+// Reports rate mud, snow, ice and crowding on one scale (LEVELS) and give
+// an overall 1–5 rating, plus any obstructions seen. Every field but
+// `overall` may be left out ("didn't notice"), which is not the same as
+// "none" and is left out of that field's summary.
+//
+// The current-conditions summary weights each report by how long ago it was
+// observed: weight = 0.5 ^ (age / HALF_LIFE_HOURS), so a two-day-old report
+// counts half as much as one from just now. Reports older than
+// SUMMARY_WINDOW_DAYS are ignored.
+// ------------------------------
+
+const CONDITION_FIELDS = ["mud", "snow", "ice", "crowding"];
+
+const MAX_TEXT_LENGTH = 2000;
+const HALF_LIFE_HOURS = 48;
+const SUMMARY_WINDOW_DAYS = 14;
+const STALE_AFTER_HOURS = 72;
+const MIN_OBSTRUCTION_SHARE = 0.25;
+const FUTURE_SKEW_MS = 5 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const badRequest = (msg) => {
+  const err = new Error(msg);
+  err.status = 400;
+  return err;
+};
+
+/**
+ * Validate a report body. With `partial` only the fields present are
+ * checked and returned (for updates). Throws an Error with status 400.
+ */
+const parseReport = (body = {}, { partial = false, now = Date.now() } = {}) => {
+  const report = {};
+
+  if (body.observedAt !== undefined || !partial) {
+    const observedAt = body.observedAt === undefined || body.observedAt === null ? new Date(now) : new Date(body.observedAt);
+    if (Number.isNaN(observedAt.getTime())) throw badRequest("observedAt must be a date");
+    if (observedAt.getTime() > now + FUTURE_SKEW_MS) throw badRequest("observedAt can't be in the future");
+    report.observedAt = observedAt;
+  }
+
+  for (const field of CONDITION_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && !LEVELS.includes(body[field])) {
+      throw badRequest(`${field} must be one of ${LEVELS.join(", ")} (or null)`);
+    }
+    report[field] = body[field];
+  }
+
+  if (body.obstructions !== undefined) {
+    const list = Array.isArray(body.obstructions) ? body.obstructions : [body.obstructions];
+    const unknown = list.filter((o) => !OBSTRUCTIONS.includes(o));
+    if (unknown.length) throw badRequest(`obstructions must be among ${OBSTRUCTIONS.join(", ")}`);
+    report.obstructions = [...new Set(list)];
+  }
+
+  if (body.overall !== undefined || !partial) {
+    const overall = Number(body.overall);
+    if (!Number.isInteger(overall) || overall < 1 || overall > 5) throw badRequest("overall must be a whole number from 1 to 5");
+    report.overall = overall;
+  }
+
+  if (body.text !== undefined) {
+    const text = String(body.text ?? "").trim();
+    if (text.length > MAX_TEXT_LENGTH) throw badRequest(`text must be at most ${MAX_TEXT_LENGTH} characters`);
+    report.text = text;
+  }
+
+  return report;
+};
+
+const recencyWeight = (observedAt, now) =>
+  0.5 ** (Math.max(0, now - new Date(observedAt).getTime()) / HOUR_MS / HALF_LIFE_HOURS);
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Recency-weighted current conditions from a location's reports.
+ * Resolves to { reportCount, latestObservedAt, stale, overall,
+ * conditions: { mud: { level, score, reports }, ... }, obstructions: [...] }
+ * where `score` is the weighted mean on the LEVELS scale (0 = none) and
+ * `reports` how many reports noted that field.
+ */
+const summarizeConditions = (reports, { now = Date.now() } = {}) => {
+  const cutoff = now - SUMMARY_WINDOW_DAYS * 24 * HOUR_MS;
+  const recent = reports
+    .filter((r) => new Date(r.observedAt).getTime() >= cutoff)
+    .map((r) => ({ report: r, weight: recencyWeight(r.observedAt, now) }));
+
+  if (!recent.length) {
+    return {
+      reportCount: 0,
+      windowDays: SUMMARY_WINDOW_DAYS,
+      latestObservedAt: null,
+      stale: true,
+      overall: null,
+      conditions: Object.fromEntries(CONDITION_FIELDS.map((f) => [f, { level: null, score: null, reports: 0 }])),
+      obstructions: [],
+    };
+  }
+
+  const weighted = (pick) => {
+    let sum = 0;
+    let weights = 0;
+    let count = 0;
+    for (const { report, weight } of recent) {
+      const value = pick(report);
+      if (value === null || value === undefined) continue;
+      sum += value * weight;
+      weights += weight;
+      count++;
+    }
+    return count ? { mean: sum / weights, count } : null;
+  };
+
+  const conditions = {};
+  for (const field of CONDITION_FIELDS) {
+    const result = weighted((r) => (r[field] ? LEVELS.indexOf(r[field]) : null));
+    conditions[field] = result
+      ? { level: LEVELS[Math.round(result.mean)], score: round(result.mean), reports: result.count }
+      : { level: null, score: null, reports: 0 };
+  }
+
+  const totalWeight = recent.reduce((s, { weight }) => s + weight, 0);
+  const obstructions = OBSTRUCTIONS.map((kind) => {
+    const seen = recent.filter(({ report }) => (report.obstructions || []).includes(kind));
+    const lastReportedAt = seen.reduce((latest, { report }) => {
+      const at = new Date(report.observedAt);
+      return !latest || at > latest ? at : latest;
+    }, null);
+    return {
+      kind,
+      share: round(seen.reduce((s, { weight }) => s + weight, 0) / totalWeight),
+      reports: seen.length,
+      lastReportedAt,
+    };
+  })
+    .filter((o) => o.reports && o.share >= MIN_OBSTRUCTION_SHARE)
+    .sort((a, b) => b.share - a.share);
+
+  const latest = recent.reduce((max, { report }) => Math.max(max, new Date(report.observedAt).getTime()), 0);
+  const overall = weighted((r) => r.overall);
+
+  return {
+    reportCount: recent.length,
+    windowDays: SUMMARY_WINDOW_DAYS,
+    latestObservedAt: new Date(latest),
+    stale: now - latest > STALE_AFTER_HOURS * HOUR_MS,
+    overall: overall ? round(overall.mean, 1) : null,
+    conditions,
+    obstructions,
+  };
+};
+
+module.exports = {
+  LEVELS,
+  CONDITION_FIELDS,
+  OBSTRUCTIONS,
+  SUMMARY_WINDOW_DAYS,
+  parseReport,
+  summarizeConditions,
+};
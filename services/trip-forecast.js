@@ -0,0 +1,140 @@
+const { getForecastForLatLon, getHourlyForLatLon } = require("./weather/index.js");
+const { scorePeriod } = require("./scoring.js");
+const { mapWithConcurrency } = require("./concurrency.js");
+const { pointKey } = require("./geo.js");
+
+// ------------------------------
+// Forecasts for trip stops
+//
+// Stops carry a local date ("YYYY-MM-DD") and maybe a local time ("HH:MM").
+// Forecast periods carry offset-qualified local timestamps
+// ("2025-06-07T06:00:00-06:00"), so matching is done on the local
+// wall-clock text and never needs to know the location's time zone.
+//
+//   - with a time: the hourly period covering it, else the day/night
+//     period covering it
+//   - without: that date's daytime period (or whatever period that date has)
+//
+// Stops dated past the last forecast period get an
+// OUTSIDE_FORECAST_HORIZON warning; stops dated before the first one get
+// IN_PAST.
+// ------------------------------
+
+const localDate = (timestamp) => String(timestamp ?? "").slice(0, 10);
+const localDateTime = (timestamp) => String(timestamp ?? "").slice(0, 16);
+
+/* Does the period's local [start, end) cover `date` at `time`? */
+const covers = (period, date, time) => {
+  const at = `${date}T${time}`;
+  return localDateTime(period.startTime) <= at && at < localDateTime(period.endTime);
+};
+
+/* First and last local dates the periods cover, or null when there are none */
+const forecastHorizon = (periods) => {
+  if (!periods?.length) return null;
+  return { from: localDate(periods[0].startTime), to: localDate(periods[periods.length - 1].startTime) };
+};
+
+/* Period for a stop from NWS-shaped day/night periods, or null */
+const matchDailyPeriod = (periods, date, time) => {
+  if (time) {
+    const hit = periods.find((p) => covers(p, date, time));
+    if (hit) return hit;
+  }
+  const sameDay = periods.filter((p) => localDate(p.startTime) === date);
+  return sameDay.find((p) => p.isDaytime !== false) ?? sameDay[0] ?? null;
+};
+
+/* Hourly period covering the stop's time, or null */
+const matchHourlyPeriod = (periods, date, time) =>
+  time ? periods.find((p) => covers(p, date, time)) ?? null : null;
+
+const horizonWarnings = (date, horizon) => {
+  if (!horizon) return [];
+  if (date > horizon.to) {
+    return [
+      {
+        code: "OUTSIDE_FORECAST_HORIZON",
+        message: `The forecast only reaches ${horizon.to}; check back closer to ${date}.`,
+      },
+    ];
+  }
+  if (date < horizon.from) {
+    return [{ code: "IN_PAST", message: `${date} has already passed.` }];
+  }
+  return [];
+};
+
+/**
+ * Forecast for every stop. `stops` have `location` populated with
+ * { _id, name, latitude, longitude }. Each point is fetched once.
+ * Resolves to [{ stopId, date, time, location, provider, source, period,
+ * warnings, error? }] in the order given.
+ */
+const forecastForStops = async (stops, { thresholds } = {}) => {
+  const points = new Map(); // pointKey -> { lat, lon, wantsHourly }
+  for (const stop of stops) {
+    if (!stop.location) continue;
+    const key = pointKey(stop.location.latitude, stop.location.longitude);
+    const point = points.get(key) ?? { lat: stop.location.latitude, lon: stop.location.longitude, wantsHourly: false };
+    point.wantsHourly ||= Boolean(stop.time);
+    points.set(key, point);
+  }
+
+  const fetched = new Map();
+  await mapWithConcurrency([...points.entries()], 4, async ([key, point]) => {
+    try {
+      const [daily, hourly] = await Promise.all([
+        getForecastForLatLon(point.lat, point.lon),
+        // hourly is a refinement; the daily forecast still answers without it
+        point.wantsHourly ? getHourlyForLatLon(point.lat, point.lon).catch(() => null) : null,
+      ]);
+      fetched.set(key, { daily, hourly });
+    } catch (err) {
+      fetched.set(key, { error: err.message });
+    }
+  });
+
+  return stops.map((stop) => {
+    const base = {
+      stopId: stop._id,
+      date: stop.date,
+      time: stop.time ?? null,
+      location: stop.location
+        ? { _id: stop.location._id, name: stop.location.name, latitude: stop.location.latitude, longitude: stop.location.longitude }
+        : null,
+    };
+    if (!stop.location) {
+      return { ...base, provider: null, source: null, period: null, warnings: [], error: "Location no longer exists" };
+    }
+
+    const result = fetched.get(pointKey(stop.location.latitude, stop.location.longitude));
+    if (result.error) return { ...base, provider: null, source: null, period: null, warnings: [], error: result.error };
+
+    const { daily, hourly } = result;
+    const warnings = horizonWarnings(stop.date, forecastHorizon(daily.periods));
+
+    let source = "daily";
+    let provider = daily.provider;
+    let period = hourly ? matchHourlyPeriod(hourly.periods, stop.date, stop.time) : null;
+    if (period) {
+      source = "hourly";
+      provider = hourly.provider;
+    } else {
+      period = matchDailyPeriod(daily.periods, stop.date, stop.time);
+      if (period && stop.time) {
+        warnings.push({ code: "HOURLY_UNAVAILABLE", message: "No hourly forecast for that time yet; showing the day/night period." });
+      }
+    }
+
+    return {
+      ...base,
+      provider,
+      source: period ? source : null,
+      period: period ? { ...period, hikeScore: scorePeriod(period, thresholds) } : null,
+      warnings,
+    };
+  });
+};
+
+module.exports = { forecastForStops, forecastHorizon, matchDailyPeriod, matchHourlyPeriod };
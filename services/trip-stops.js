@@ -0,0 +1,33 @@
+const { addDays } = require("./weather/periods.js");
+
+// ------------------------------
+// Seeding a trip's stops from a list
+//
+// The list's locations keep their list order and are spread over the trip's
+// days, `stopsPerDay` at a time (default: as evenly as the count allows).
+// Whatever doesn't fit lands on the last day. `order` counts up from 0
+// within each day, like stops added one by one.
+// ------------------------------
+
+/* Whole days from a to b ("YYYY-MM-DD") */
+const daysBetween = (a, b) => Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / 86400000);
+
+/* [{ location, date, order }] for the list's locations over startDate..endDate */
+const stopsFromList = (list, { startDate, endDate }, stopsPerDay) => {
+  const locations = list.locations
+    .slice()
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+    .map((e) => e.location);
+
+  const dayCount = daysBetween(startDate, endDate) + 1;
+  const perDay = stopsPerDay || Math.max(1, Math.ceil(locations.length / dayCount));
+
+  const dayOrders = {};
+  return locations.map((location, i) => {
+    const date = addDays(startDate, Math.min(dayCount - 1, Math.floor(i / perDay)));
+    dayOrders[date] = (dayOrders[date] ?? -1) + 1;
+    return { location, date, order: dayOrders[date] };
+  });
+};
+
+module.exports = { daysBetween, stopsFromList };
@@ -0,0 +1,61 @@
+const crypto = require("crypto");
+const UserToken = require("../models/user-token.js");
+const { sendMail } = require("./mailer");
+const { verificationEmail } = require("./mailer/templates");
+
+// ------------------------------
+// Single-use, expiring tokens that get emailed to users
+// ------------------------------
+
+const TTL = {
+  "password-reset": 60 * 60 * 1000,          // 1h
+  "email-verification": 48 * 60 * 60 * 1000, // 48h
+};
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Issue a new token for `purpose`, invalidating any earlier unused ones.
+ * Returns the raw token (only ever sent to the user, never stored).
+ */
+const issueUserToken = async (userId, purpose, { email } = {}) => {
+  await UserToken.updateMany({ user: userId, purpose, usedAt: null }, { $set: { usedAt: new Date() } });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await UserToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    email,
+    expiresAt: new Date(Date.now() + TTL[purpose]),
+  });
+  return token;
+};
+
+/**
+ * Atomically mark a token used. Resolves to the token doc, or null when the
+ * token is unknown, already used, expired, or for another purpose.
+ */
+const consumeUserToken = (token, purpose) => {
+  if (!token) return null;
+  return UserToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * Issue and email a verification link for the user's current address.
+ * Mail problems are logged, never surfaced: the account action itself succeeded.
+ */
+const sendVerification = async (user) => {
+  try {
+    const token = await issueUserToken(user._id, "email-verification", { email: user.email });
+    await sendMail(verificationEmail(user, token));
+  } catch (err) {
+    console.error("Failed to send verification email:", err.message);
+  }
+};
+
+module.exports = { issueUserToken, consumeUserToken, sendVerification };
@@ -0,0 +1,76 @@
+const { parseLatLon } = require("../geo.js");
+const { providersFor, withFailover } = require("./index.js");
+
+// ------------------------------
+// Active weather alerts (watches, warnings, advisories)
+//
+// Providers expose getAlerts(lat, lon) -> NWS alert `properties` objects and
+// cache them briefly themselves. Here we normalize, de-duplicate and order
+// them so the most dangerous alert always comes first.
+// ------------------------------
+
+const SEVERITY_RANK = { Extreme: 4, Severe: 3, Moderate: 2, Minor: 1, Unknown: 0 };
+const URGENCY_RANK = { Immediate: 4, Expected: 3, Future: 2, Past: 1, Unknown: 0 };
+
+const normalizeAlert = (a) => ({
+  id: a.id ?? a["@id"] ?? null,
+  event: a.event ?? null,
+  headline: a.headline ?? null,
+  severity: a.severity ?? "Unknown",
+  urgency: a.urgency ?? "Unknown",
+  certainty: a.certainty ?? "Unknown",
+  category: a.category ?? null,
+  areaDesc: a.areaDesc ?? null,
+  sent: a.sent ?? null,
+  effective: a.effective ?? null,
+  onset: a.onset ?? null,
+  expires: a.expires ?? null,
+  ends: a.ends ?? null,
+  senderName: a.senderName ?? null,
+  description: a.description ?? null,
+  instruction: a.instruction ?? null,
+});
+
+/* Most severe first, then most urgent, then soonest onset */
+const compareAlerts = (a, b) =>
+  (SEVERITY_RANK[b.severity] ?? 0) - (SEVERITY_RANK[a.severity] ?? 0) ||
+  (URGENCY_RANK[b.urgency] ?? 0) - (URGENCY_RANK[a.urgency] ?? 0) ||
+  (Date.parse(a.onset || a.effective) || 0) - (Date.parse(b.onset || b.effective) || 0);
+
+const sortAlerts = (alerts) => alerts.slice().sort(compareAlerts);
+
+/**
+ * Active alerts for a coordinate.
+ * Resolves to { provider, alerts }. Places no provider covers (e.g. outside
+ * the US for NWS) resolve to { provider: null, alerts: [] } rather than failing.
+ */
+const getAlertsForLatLon = async (lat, lon) => {
+  const coords = parseLatLon(lat, lon);
+
+  const covered = providersFor(coords.lat, coords.lon).some((p) => typeof p.getAlerts === "function");
+  if (!covered) return { provider: null, alerts: [] };
+
+  const { provider, value } = await withFailover(coords.lat, coords.lon, "getAlerts");
+  return { provider, alerts: sortAlerts(value.map(normalizeAlert)) };
+};
+
+/**
+ * Merge per-location alert results into one list.
+ * `entries` is [{ location: { _id, name }, alerts }]; the same alert reported
+ * for several locations appears once, with every affected location attached.
+ */
+const rollUpAlerts = (entries) => {
+  const byId = new Map();
+
+  for (const { location, alerts } of entries) {
+    for (const alert of alerts ?? []) {
+      const key = alert.id ?? `${alert.event}|${alert.onset}|${alert.areaDesc}`;
+      if (!byId.has(key)) byId.set(key, { ...alert, locations: [] });
+      byId.get(key).locations.push({ locationId: location._id, name: location.name });
+    }
+  }
+
+  return sortAlerts([...byId.values()]);
+};
+
+module.exports = { getAlertsForLatLon, rollUpAlerts, sortAlerts, normalizeAlert, SEVERITY_RANK };
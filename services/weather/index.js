@@ -0,0 +1,141 @@
+const { parseLatLon } = require("../geo.js");
+const nws = require("./providers/nws.js");
+const openMeteo = require("./providers/open-meteo.js");
+const local = require("./providers/local.js");
+
+// ------------------------------
+// Weather provider layer
+//
+// A provider is { name, supports(lat, lon), getForecast(lat, lon) -> periods[] },
+// optionally with getHourlyForecast(lat, lon) -> hourly periods[],
+// getGridData(lat, lon) -> NWS gridpoint properties, getAlerts(lat, lon) ->
+// NWS alert properties[], peekForecast(lat, lon) -> cached periods[] | null and
+// prewarmForecast(lat, lon, { leadMs }) -> "fresh" | "refreshed".
+// Periods are always NWS-shaped, whichever provider produced them; hourly
+// periods also carry `windGust` and `skyCover`.
+//
+// WEATHER_PROVIDERS sets the preference order (default "nws,open-meteo").
+// For each coordinate we try, in order, every configured provider that
+// supports it, falling over to the next one when a provider errors.
+// ------------------------------
+
+const PROVIDERS = {
+  [nws.name]: nws,
+  [openMeteo.name]: openMeteo,
+  [local.name]: local,
+};
+
+const DEFAULT_ORDER = "nws,open-meteo";
+
+const configuredProviders = () =>
+  (process.env.WEATHER_PROVIDERS || DEFAULT_ORDER)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((name) => {
+      const provider = PROVIDERS[name];
+      if (!provider) throw new Error(`Unknown weather provider: ${name}`);
+      return provider;
+    });
+
+/* Providers that can answer for this coordinate, in preference order */
+const providersFor = (lat, lon) => configuredProviders().filter((p) => p.supports(lat, lon));
+
+/**
+ * Run `method` on the first provider that answers for (lat, lon); extra
+ * arguments are passed through. Resolves to { provider, value }; rejects
+ * with the last provider's error (plus `attempts`) when every candidate fails.
+ */
+const withFailover = async (lat, lon, method, ...args) => {
+  const candidates = providersFor(lat, lon).filter((p) => typeof p[method] === "function");
+  if (!candidates.length) {
+    const err = new Error("No weather provider covers this location");
+    err.status = 404;
+    throw err;
+  }
+
+  const attempts = [];
+  let lastErr;
+  for (const provider of candidates) {
+    try {
+      const value = await provider[method](lat, lon, ...args);
+      return { provider: provider.name, value };
+    } catch (err) {
+      attempts.push({ provider: provider.name, status: err.status ?? null, error: err.message });
+      lastErr = err;
+    }
+  }
+
+  lastErr.attempts = attempts;
+  throw lastErr;
+};
+
+/**
+ * Forecast periods for a coordinate.
+ * Resolves to { provider, periods }.
+ */
+const getForecastForLatLon = async (lat, lon) => {
+  const coords = parseLatLon(lat, lon);
+  const { provider, value } = await withFailover(coords.lat, coords.lon, "getForecast");
+  return { provider, periods: value };
+};
+
+/**
+ * Whatever forecast is already cached for a coordinate, without any upstream call.
+ * Resolves to { provider, periods } or null.
+ */
+const peekForecastForLatLon = async (lat, lon) => {
+  const coords = parseLatLon(lat, lon);
+  for (const provider of providersFor(coords.lat, coords.lon)) {
+    if (typeof provider.peekForecast !== "function") continue;
+    try {
+      const periods = await provider.peekForecast(coords.lat, coords.lon);
+      if (periods) return { provider: provider.name, periods };
+    } catch {
+      // a cache miss in one provider shouldn't hide another's cached copy
+    }
+  }
+  return null;
+};
+
+/**
+ * Make sure the forecast cache for a coordinate stays fresh for at least
+ * `leadMs` more, reloading it from upstream if not.
+ * Resolves to { provider, status: "fresh" | "refreshed" }.
+ */
+const prewarmForecastForLatLon = async (lat, lon, { leadMs = 0 } = {}) => {
+  const coords = parseLatLon(lat, lon);
+  const { provider, value } = await withFailover(coords.lat, coords.lon, "prewarmForecast", { leadMs });
+  return { provider, status: value };
+};
+
+/**
+ * Hourly periods for a coordinate.
+ * Resolves to { provider, periods }.
+ */
+const getHourlyForLatLon = async (lat, lon) => {
+  const coords = parseLatLon(lat, lon);
+  const { provider, value } = await withFailover(coords.lat, coords.lon, "getHourlyForecast");
+  return { provider, periods: value };
+};
+
+/**
+ * Raw gridpoint layers for a coordinate (only providers with NWS-style grids).
+ * Resolves to { provider, grid }.
+ */
+const getGridDataForLatLon = async (lat, lon) => {
+  const coords = parseLatLon(lat, lon);
+  const { provider, value } = await withFailover(coords.lat, coords.lon, "getGridData");
+  return { provider, grid: value };
+};
+
+module.exports = {
+  getForecastForLatLon,
+  peekForecastForLatLon,
+  prewarmForecastForLatLon,
+  getHourlyForLatLon,
+  getGridDataForLatLon,
+  withFailover,
+  providersFor,
+  PROVIDERS,
+};
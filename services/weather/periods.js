@@ -0,0 +1,56 @@
+// ------------------------------
+// Helpers for building NWS-shaped forecast periods
+// ------------------------------
+
+const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+/* "YYYY-MM-DD" + n days -> "YYYY-MM-DD" */
+const addDays = (isoDate, n) => {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+};
+
+/* NWS-style period name ("Today", "Tonight", "Monday", "Monday Night") */
+const periodName = (isoDate, dayIndex, isDaytime) => {
+  if (dayIndex === 0) return isDaytime ? "Today" : "Tonight";
+  const dayName = DAY_NAMES[new Date(`${isoDate}T12:00:00Z`).getUTCDay()];
+  return isDaytime ? dayName : `${dayName} Night`;
+};
+
+/* ISO 8601 duration ("PT3H", "P1DT6H") -> milliseconds */
+const durationMs = (duration) => {
+  const m = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/.exec(duration || "");
+  if (!m) return 0;
+  const [, d = 0, h = 0, min = 0] = m;
+  return ((Number(d) * 24 + Number(h)) * 60 + Number(min)) * 60 * 1000;
+};
+
+/**
+ * Look up the value of an NWS gridpoint layer ({ values: [{ validTime, value }] })
+ * at a given time. `validTime` is "start/duration", e.g. "2025-06-02T06:00:00+00:00/PT3H".
+ */
+const seriesValueAt = (layer, time) => {
+  const t = Date.parse(time);
+  if (!layer?.values || Number.isNaN(t)) return null;
+
+  for (const { validTime, value } of layer.values) {
+    const [start, duration] = String(validTime).split("/");
+    const startMs = Date.parse(start);
+    if (t >= startMs && t < startMs + durationMs(duration)) return value;
+  }
+  return null;
+};
+
+/* One-line description of a period: "Sunny, 78°F, wind 5 to 10 mph, 0% precip" */
+const summarizePeriod = (p) =>
+  [
+    p.shortForecast,
+    p.temperature != null ? `${p.temperature}°${p.temperatureUnit || "F"}` : null,
+    p.windSpeed ? `wind ${p.windSpeed}` : null,
+    p.probabilityOfPrecipitation?.value != null ? `${p.probabilityOfPrecipitation.value}% precip` : null,
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+module.exports = { addDays, periodName, durationMs, seriesValueAt, summarizePeriod };
@@ -0,0 +1,136 @@
+const fs = require("fs");
+const path = require("path");
+const { pointKey } = require("../../geo.js");
+const { addDays, periodName } = require("../periods.js");
+
+// ------------------------------
+// Fixture-backed provider for local development and tests.
+// Never touches the network. Fixture dates are shifted so the first
+// period always lands on today, and names are recomputed to match.
+//
+// Fixture shape:
+//   {
+//     "forecast": [periods...],
+//     "hourly": [hourly periods...],
+//     "gridData": { validTimes, <layer>: { uom, values: [{ validTime, value }] } },
+//     "alerts": [NWS alert properties...],
+//     "points": { "lat,lon": { "forecast": [...], ... } | { "error": { status, message } } }
+//   }
+// ------------------------------
+
+const DEFAULT_FIXTURE = path.join(__dirname, "..", "fixtures", "forecast.json");
+
+let fixture = null;
+
+const loadFixture = () => {
+  if (!fixture) {
+    const file = process.env.WEATHER_FIXTURE_PATH || DEFAULT_FIXTURE;
+    fixture = JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+  return fixture;
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+
+/* Move the date part of an ISO timestamp by `days`, keeping time and offset */
+const shiftIso = (iso, days) => addDays(iso.slice(0, 10), days) + iso.slice(10);
+
+/* Shift every period by whole days so the first one starts today */
+const rebase = (periods) => {
+  if (!periods.length) return periods;
+
+  const shift = daysBetween(periods[0].startTime.slice(0, 10), today());
+
+  return periods.map((p) => {
+    const startTime = shiftIso(p.startTime, shift);
+    return {
+      ...p,
+      // hourly periods are unnamed, like NWS
+      name: p.name ? periodName(startTime.slice(0, 10), daysBetween(today(), startTime.slice(0, 10)), p.isDaytime) : p.name,
+      startTime,
+      endTime: shiftIso(p.endTime, shift),
+    };
+  });
+};
+
+/* Same idea for gridpoint layers: "start/duration" validTimes move to today */
+const rebaseGrid = (grid) => {
+  if (!grid?.validTimes) return grid ?? {};
+
+  const shift = daysBetween(grid.validTimes.slice(0, 10), today());
+  const shiftValidTime = (vt) => {
+    const [start, duration] = vt.split("/");
+    return `${shiftIso(start, shift)}/${duration}`;
+  };
+
+  const out = { ...grid, validTimes: shiftValidTime(grid.validTimes) };
+  for (const [key, layer] of Object.entries(grid)) {
+    if (Array.isArray(layer?.values)) {
+      out[key] = {
+        ...layer,
+        values: layer.values.map((v) => ({ ...v, validTime: shiftValidTime(v.validTime) })),
+      };
+    }
+  }
+  return out;
+};
+
+const ALERT_TIME_FIELDS = ["sent", "effective", "onset", "expires", "ends"];
+
+/* Alerts move with the forecast they were written against */
+const rebaseAlerts = (alerts, forecast) => {
+  const base = forecast?.[0]?.startTime?.slice(0, 10);
+  const shift = base ? daysBetween(base, today()) : 0;
+
+  return alerts.map((a) => {
+    const out = { ...a };
+    for (const field of ALERT_TIME_FIELDS) {
+      if (a[field]) out[field] = shiftIso(a[field], shift);
+    }
+    return out;
+  });
+};
+
+/* Per-point entry if the fixture has one, else the fixture defaults */
+const entryFor = (lat, lon) => {
+  const data = loadFixture();
+  const entry = data.points?.[pointKey(lat, lon)];
+  if (entry?.error) {
+    const err = new Error(entry.error.message || `Request failed: ${entry.error.status}`);
+    err.status = entry.error.status || 502;
+    throw err;
+  }
+  return { ...data, ...entry };
+};
+
+const supports = () => true;
+
+const getForecast = async (lat, lon) => rebase(entryFor(lat, lon).forecast ?? []);
+
+const getHourlyForecast = async (lat, lon) => rebase(entryFor(lat, lon).hourly ?? []);
+
+const getGridData = async (lat, lon) => rebaseGrid(entryFor(lat, lon).gridData);
+
+const getAlerts = async (lat, lon) => {
+  const entry = entryFor(lat, lon);
+  return rebaseAlerts(entry.alerts ?? [], entry.forecast);
+};
+
+/* Drop the memoized fixture (tests that swap WEATHER_FIXTURE_PATH) */
+const reset = () => {
+  fixture = null;
+};
+
+module.exports = {
+  name: "local",
+  supports,
+  getForecast,
+  peekForecast: getForecast, // fixtures are always "cached"
+  getHourlyForecast,
+  getGridData,
+  getAlerts,
+  reset,
+  rebase,
+  entryFor,
+};
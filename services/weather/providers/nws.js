@@ -0,0 +1,169 @@
+const { fetchJson } = require("../../http.js");
+const { createCache } = require("../../cache/index.js");
+const { pointKey } = require("../../geo.js");
+const { seriesValueAt } = require("../periods.js");
+
+// ------------------------------
+// National Weather Service (api.weather.gov) — US coverage only
+// ------------------------------
+
+const TTL = {
+  points: 7 * 24 * 60 * 60 * 1000, // 7d (points -> forecast URLs rarely change)
+  forecast: 10 * 60 * 1000,        // 10m (forecast refresh cadence)
+  alerts: 2 * 60 * 1000,           // 2m (alerts are time-critical)
+};
+
+// How long past TTL an entry may still be served while it is refreshed
+const STALE = {
+  points: 7 * 24 * 60 * 60 * 1000, // another week: survives deploys and NWS hiccups
+  forecast: 60 * 60 * 1000,        // 1h
+  alerts: 0,                       // never show outdated alerts
+};
+
+// key: "lat,lon" -> { forecast, forecastHourly, forecastGridData } URLs
+const pointsCache = createCache({ name: "nws:points", ttlMs: TTL.points, staleMs: STALE.points });
+// key: forecast/hourly URL -> periods[]
+const forecastCache = createCache({ name: "nws:forecast", ttlMs: TTL.forecast, staleMs: STALE.forecast });
+// key: gridData URL -> grid properties
+const gridCache = createCache({ name: "nws:grid", ttlMs: TTL.forecast, staleMs: STALE.forecast });
+// key: "lat,lon" -> alert properties[]
+const alertsCache = createCache({ name: "nws:alerts", ttlMs: TTL.alerts, staleMs: STALE.alerts });
+
+const NWS_HEADERS = {
+  "User-Agent":
+    process.env.NWS_USER_AGENT ||
+    "Trailcast (example@example.com)", // set NWS_USER_AGENT in prod
+  Accept: "application/geo+json, application/json",
+  "Accept-Language": "en-US",
+};
+
+// Rough [minLat, maxLat, minLon, maxLon] boxes for the areas NWS issues forecasts for
+const COVERAGE = [
+  [24.4, 49.5, -125.0, -66.9],   // contiguous US
+  [51.0, 71.5, -180.0, -129.9],  // Alaska
+  [51.0, 53.0, 172.0, 180.0],    // western Aleutians
+  [18.5, 22.5, -160.5, -154.5],  // Hawaii
+  [17.5, 18.6, -67.5, -64.5],    // Puerto Rico / USVI
+  [13.0, 21.0, 144.0, 146.5],    // Guam / Northern Marianas
+  [-14.6, -11.0, -171.2, -168.0], // American Samoa
+];
+
+const KMH_TO_MPH = 0.621371;
+
+const supports = (lat, lon) =>
+  COVERAGE.some(([minLat, maxLat, minLon, maxLon]) =>
+    lat >= minLat && lat <= maxLat && lon >= minLon && lon <= maxLon
+  );
+
+/* points -> { forecast, forecastHourly, forecastGridData } URLs (cache long) */
+const getPoint = (lat, lon) =>
+  pointsCache.wrap(pointKey(lat, lon), async () => {
+    const pointsData = await fetchJson(
+      `https://api.weather.gov/points/${lat},${lon}`,
+      { headers: NWS_HEADERS }
+    );
+
+    const props = pointsData?.properties ?? {};
+    if (!props.forecast) {
+      const err = new Error("NWS points response missing forecast URL");
+      err.status = 502;
+      throw err;
+    }
+
+    return {
+      forecast: props.forecast,
+      forecastHourly: props.forecastHourly ?? null,
+      forecastGridData: props.forecastGridData ?? null,
+    };
+  });
+
+/* Resolve one of the point URLs, failing with 502 when NWS didn't provide it */
+const pointUrl = async (lat, lon, field) => {
+  const point = await getPoint(lat, lon);
+  if (!point[field]) {
+    const err = new Error(`NWS points response missing ${field} URL`);
+    err.status = 502;
+    throw err;
+  }
+  return point[field];
+};
+
+const fetchPeriods = async (url) => {
+  const forecastData = await fetchJson(url, { headers: NWS_HEADERS });
+  return forecastData?.properties?.periods ?? [];
+};
+
+/* forecast URL -> periods (cache short) */
+const getPeriods = (url) => forecastCache.wrap(url, () => fetchPeriods(url));
+
+const getForecast = async (lat, lon) => getPeriods(await pointUrl(lat, lon, "forecast"));
+
+/**
+ * Reload the cached forecast if it stops being fresh within `leadMs`.
+ * Resolves to "fresh" (left alone) or "refreshed".
+ */
+const prewarmForecast = async (lat, lon, { leadMs = 0 } = {}) => {
+  const url = await pointUrl(lat, lon, "forecast");
+  const expiresAt = await forecastCache.expiresAt(url);
+  if (expiresAt && expiresAt - Date.now() > leadMs) return "fresh";
+
+  await forecastCache.refresh(url, () => fetchPeriods(url));
+  return "refreshed";
+};
+
+/* Cached forecast only (fresh or stale) — never calls NWS; null if nothing cached */
+const peekForecast = async (lat, lon) => {
+  const point = await pointsCache.get(pointKey(lat, lon));
+  return point ? forecastCache.get(point.forecast) : null;
+};
+
+const getGridData = async (lat, lon) => {
+  const url = await pointUrl(lat, lon, "forecastGridData");
+
+  return gridCache.wrap(url, async () => {
+    const data = await fetchJson(url, { headers: NWS_HEADERS });
+    return data?.properties ?? {};
+  });
+};
+
+/**
+ * Hourly periods, enriched with wind gusts and sky cover from the gridpoint
+ * layers (the hourly product itself doesn't carry them).
+ */
+const getHourlyForecast = async (lat, lon) => {
+  const [periods, grid] = await Promise.all([
+    getPeriods(await pointUrl(lat, lon, "forecastHourly")),
+    getGridData(lat, lon).catch(() => null), // gusts/sky cover are a bonus, not a requirement
+  ]);
+
+  return periods.map((p) => {
+    const gustKmh = grid ? seriesValueAt(grid.windGust, p.startTime) : null;
+    const sky = grid ? seriesValueAt(grid.skyCover, p.startTime) : null;
+    return {
+      ...p,
+      windGust: gustKmh == null ? null : `${Math.round(gustKmh * KMH_TO_MPH)} mph`,
+      skyCover: { unitCode: "wmoUnit:percent", value: sky },
+    };
+  });
+};
+
+/* Active watches/warnings/advisories covering the point (cache very short) */
+const getAlerts = (lat, lon) =>
+  alertsCache.wrap(pointKey(lat, lon), async () => {
+    const data = await fetchJson(
+      `https://api.weather.gov/alerts/active?point=${lat},${lon}`,
+      { headers: NWS_HEADERS }
+    );
+    return (data?.features ?? []).map((f) => f.properties).filter(Boolean);
+  });
+
+module.exports = {
+  name: "nws",
+  supports,
+  getForecast,
+  peekForecast,
+  prewarmForecast,
+  getHourlyForecast,
+  getGridData,
+  getAlerts,
+};
@@ -0,0 +1,207 @@
+const { fetchJson } = require("../../http.js");
+const { createCache } = require("../../cache/index.js");
+const { pointKey } = require("../../geo.js");
+const { addDays, periodName } = require("../periods.js");
+
+// ------------------------------
+// Open-Meteo — global coverage, no API key.
+// Daily data is reshaped into NWS-style day/night periods so clients
+// don't need to care which provider answered.
+// ------------------------------
+
+const BASE_URL = process.env.OPEN_METEO_URL || "https://api.open-meteo.com/v1/forecast";
+
+const TTL = {
+  forecast: 10 * 60 * 1000, // 10m (same cadence as NWS)
+};
+
+const STALE = {
+  forecast: 60 * 60 * 1000, // 1h
+};
+
+// key: "lat,lon" -> periods[]
+const forecastCache = createCache({ name: "open-meteo:forecast", ttlMs: TTL.forecast, staleMs: STALE.forecast });
+// key: "lat,lon" -> hourly periods[]
+const hourlyCache = createCache({ name: "open-meteo:hourly", ttlMs: TTL.forecast, staleMs: STALE.forecast });
+
+// WMO weather interpretation codes -> short text
+const WMO_TEXT = {
+  0: "Clear",
+  1: "Mostly Clear",
+  2: "Partly Cloudy",
+  3: "Cloudy",
+  45: "Fog",
+  48: "Freezing Fog",
+  51: "Light Drizzle",
+  53: "Drizzle",
+  55: "Heavy Drizzle",
+  56: "Light Freezing Drizzle",
+  57: "Freezing Drizzle",
+  61: "Light Rain",
+  63: "Rain",
+  65: "Heavy Rain",
+  66: "Light Freezing Rain",
+  67: "Freezing Rain",
+  71: "Light Snow",
+  73: "Snow",
+  75: "Heavy Snow",
+  77: "Snow Grains",
+  80: "Rain Showers",
+  81: "Rain Showers",
+  82: "Heavy Rain Showers",
+  85: "Snow Showers",
+  86: "Heavy Snow Showers",
+  95: "Thunderstorms",
+  96: "Thunderstorms With Hail",
+  99: "Thunderstorms With Hail",
+};
+
+const COMPASS = ["N", "NNE", "NE", "ENE", "E", "ESE", "SE", "SSE", "S", "SSW", "SW", "WSW", "W", "WNW", "NW", "NNW"];
+
+const toCompass = (deg) => (deg == null ? null : COMPASS[Math.round(deg / 22.5) % 16]);
+
+/* utc_offset_seconds -> "+HH:MM" / "-HH:MM" */
+const formatOffset = (seconds = 0) => {
+  const sign = seconds < 0 ? "-" : "+";
+  const abs = Math.abs(seconds);
+  const hh = String(Math.floor(abs / 3600)).padStart(2, "0");
+  const mm = String(Math.floor((abs % 3600) / 60)).padStart(2, "0");
+  return `${sign}${hh}:${mm}`;
+};
+
+/* Convert an Open-Meteo daily payload into NWS-shaped periods */
+const toPeriods = (data) => {
+  const daily = data?.daily;
+  if (!daily || !Array.isArray(daily.time)) return [];
+
+  const offset = formatOffset(data.utc_offset_seconds);
+  const periods = [];
+
+  daily.time.forEach((date, i) => {
+    const text = WMO_TEXT[daily.weather_code?.[i]] ?? "Unknown";
+    const wind = daily.wind_speed_10m_max?.[i];
+    const windSpeed = wind == null ? null : `${Math.round(wind)} mph`;
+    const windDirection = toCompass(daily.wind_direction_10m_dominant?.[i]);
+    const pop = daily.precipitation_probability_max?.[i] ?? null;
+
+    const shared = {
+      temperatureUnit: "F",
+      temperatureTrend: null,
+      probabilityOfPrecipitation: { unitCode: "wmoUnit:percent", value: pop },
+      windSpeed,
+      windDirection,
+      icon: null,
+      shortForecast: text,
+      detailedForecast: text,
+    };
+
+    periods.push({
+      ...shared,
+      number: periods.length + 1,
+      name: periodName(date, i, true),
+      startTime: `${date}T06:00:00${offset}`,
+      endTime: `${date}T18:00:00${offset}`,
+      isDaytime: true,
+      temperature: daily.temperature_2m_max?.[i] == null ? null : Math.round(daily.temperature_2m_max[i]),
+    });
+
+    periods.push({
+      ...shared,
+      number: periods.length + 1,
+      name: periodName(date, i, false),
+      startTime: `${date}T18:00:00${offset}`,
+      endTime: `${addDays(date, 1)}T06:00:00${offset}`,
+      isDaytime: false,
+      temperature: daily.temperature_2m_min?.[i] == null ? null : Math.round(daily.temperature_2m_min[i]),
+    });
+  });
+
+  return periods;
+};
+
+/* Convert an Open-Meteo hourly payload into NWS-shaped hourly periods */
+const toHourlyPeriods = (data) => {
+  const hourly = data?.hourly;
+  if (!hourly || !Array.isArray(hourly.time)) return [];
+
+  const offset = formatOffset(data.utc_offset_seconds);
+  const mph = (v) => (v == null ? null : `${Math.round(v)} mph`);
+
+  return hourly.time.map((time, i) => {
+    // shift the naive local time as if it were UTC, then re-attach the offset
+    const end = new Date(Date.parse(`${time}:00Z`) + 60 * 60 * 1000).toISOString().slice(0, 19);
+    const text = WMO_TEXT[hourly.weather_code?.[i]] ?? "Unknown";
+    return {
+      number: i + 1,
+      name: "",
+      startTime: `${time}:00${offset}`,
+      endTime: `${end}${offset}`,
+      isDaytime: hourly.is_day?.[i] === 1,
+      temperature: hourly.temperature_2m?.[i] == null ? null : Math.round(hourly.temperature_2m[i]),
+      temperatureUnit: "F",
+      temperatureTrend: null,
+      probabilityOfPrecipitation: { unitCode: "wmoUnit:percent", value: hourly.precipitation_probability?.[i] ?? null },
+      windSpeed: mph(hourly.wind_speed_10m?.[i]),
+      windGust: mph(hourly.wind_gusts_10m?.[i]),
+      windDirection: toCompass(hourly.wind_direction_10m?.[i]),
+      skyCover: { unitCode: "wmoUnit:percent", value: hourly.cloud_cover?.[i] ?? null },
+      icon: null,
+      shortForecast: text,
+      detailedForecast: "",
+    };
+  });
+};
+
+const supports = () => true;
+
+const fetchForecast = async (lat, lon) => {
+  const url =
+    `${BASE_URL}?` +
+    `latitude=${lat}&longitude=${lon}` +
+    `&daily=weather_code,temperature_2m_max,temperature_2m_min,` +
+    `precipitation_probability_max,wind_speed_10m_max,wind_direction_10m_dominant` +
+    `&temperature_unit=fahrenheit&wind_speed_unit=mph` +
+    `&timezone=auto&forecast_days=7`;
+
+  return toPeriods(await fetchJson(url));
+};
+
+const getForecast = (lat, lon) => forecastCache.wrap(pointKey(lat, lon), () => fetchForecast(lat, lon));
+
+/* Cached forecast only — never calls Open-Meteo; null if nothing cached */
+const peekForecast = (lat, lon) => forecastCache.get(pointKey(lat, lon));
+
+/* Reload the cached forecast if it stops being fresh within `leadMs` -> "fresh" | "refreshed" */
+const prewarmForecast = async (lat, lon, { leadMs = 0 } = {}) => {
+  const key = pointKey(lat, lon);
+  const expiresAt = await forecastCache.expiresAt(key);
+  if (expiresAt && expiresAt - Date.now() > leadMs) return "fresh";
+
+  await forecastCache.refresh(key, () => fetchForecast(lat, lon));
+  return "refreshed";
+};
+
+const getHourlyForecast = (lat, lon) =>
+  hourlyCache.wrap(pointKey(lat, lon), async () => {
+    const url =
+      `${BASE_URL}?` +
+      `latitude=${lat}&longitude=${lon}` +
+      `&hourly=weather_code,temperature_2m,precipitation_probability,wind_speed_10m,` +
+      `wind_gusts_10m,wind_direction_10m,cloud_cover,is_day` +
+      `&temperature_unit=fahrenheit&wind_speed_unit=mph` +
+      `&timezone=auto&forecast_days=7`;
+
+    return toHourlyPeriods(await fetchJson(url));
+  });
+
+module.exports = {
+  name: "open-meteo",
+  supports,
+  getForecast,
+  peekForecast,
+  prewarmForecast,
+  getHourlyForecast,
+  WMO_TEXT,
+  toCompass,
+  formatOffset,
+};
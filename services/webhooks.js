@@ -0,0 +1,297 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const WebhookDelivery = require("../models/webhook-delivery.js");
+const { backoffDelay, parseRetryAfter } = require("./resilience.js");
+const { mapWithConcurrency } = require("./concurrency.js");
+
+// ------------------------------
+// Outgoing webhooks
+//
+// Each POST carries a JSON body and these headers:
+//   X-Webhook-Id:        delivery id (the same on every retry, for de-duping)
+//   X-Webhook-Event:     e.g. "subscription.matched"
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// Receivers recompute the HMAC with the subscription's secret (see
+// verifySignature, or scripts/webhook-receiver.js for a runnable one) and
+// should reject stale timestamps.
+//
+// Any 2xx is success. Anything else (or no answer within the timeout) is
+// retried with jittered exponential backoff, honoring Retry-After, until
+// MAX_ATTEMPTS, after which the delivery is marked failed. Deliveries are
+// persisted, so retries survive restarts: processDueDeliveries() picks up
+// whatever is due.
+//
+// Deliveries never reach loopback, private or link-local addresses (checked
+// on the URL and again on every resolved address) unless
+// WEBHOOK_ALLOW_PRIVATE_HOSTS=true.
+// ------------------------------
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const TIMEOUT_MS = 10 * 1000;
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const STUCK_AFTER_MS = 5 * 60 * 1000; // a "delivering" row this old was orphaned by a crash
+const SIGNATURE_TOLERANCE_SEC = 5 * 60;
+
+// Loopback, private, link-local, CGNAT, unspecified, multicast and reserved ranges
+const PRIVATE_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  PRIVATE_RANGES.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 127], // :: and ::1
+  ["64:ff9b::", 96], // NAT64 of (possibly private) IPv4
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE_RANGES.addSubnet(address, prefix, "ipv6");
+}
+// (IPv4-mapped IPv6 such as ::ffff:127.0.0.1 is checked against the IPv4 ranges)
+
+const PRIVATE_NAME_RX = /(^|\.)(localhost|local|internal|localdomain|home\.arpa)$/i;
+
+const allowPrivateHosts = () => process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === "true";
+
+/* Is `address` (an IP literal) loopback/private/reserved? */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return PRIVATE_RANGES.check(address, family === 6 ? "ipv6" : "ipv4");
+};
+
+/* Is the URL hostname (name or IP literal) obviously not public? DNS is checked at delivery. */
+const isPrivateHostname = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, "");
+  return isPrivateAddress(host) || PRIVATE_NAME_RX.test(host.replace(/\.$/, ""));
+};
+
+/**
+ * dns.lookup replacement for outgoing webhook connections: refuses names
+ * that resolve to a private address, so a public-looking name (or one
+ * re-pointed after validation) can't reach internal hosts.
+ */
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find((a) => isPrivateAddress(a.address));
+    if (blocked) {
+      const refused = new Error(`${hostname} resolves to a private address (${blocked.address})`);
+      refused.code = "EPRIVATEHOST";
+      return callback(refused);
+    }
+    callback(null, address, family);
+  });
+};
+
+const createWebhookSecret = () => crypto.randomBytes(32).toString("hex");
+
+const sign = (secret, timestamp, body) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+const signatureHeader = (secret, body, now = Date.now()) => {
+  const t = Math.floor(now / 1000);
+  return `t=${t},v1=${sign(secret, t, body)}`;
+};
+
+/**
+ * Check an X-Webhook-Signature header against the raw request body.
+ * Returns true only for a matching signature with a fresh timestamp.
+ */
+const verifySignature = (secret, header, body, { toleranceSec = SIGNATURE_TOLERANCE_SEC, now = Date.now() } = {}) => {
+  const parts = Object.fromEntries(
+    String(header ?? "")
+      .split(",")
+      .map((p) => p.trim().split("="))
+      .filter((kv) => kv.length === 2)
+  );
+  const t = Number(parts.t);
+  if (!Number.isFinite(t) || !parts.v1) return false;
+  if (Math.abs(now / 1000 - t) > toleranceSec) return false;
+
+  const expected = Buffer.from(sign(secret, t, body), "hex");
+  const given = Buffer.from(parts.v1, "hex");
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+/**
+ * Validate a user-supplied webhook URL (throws 400). Loopback, private and
+ * otherwise internal hosts are refused unless WEBHOOK_ALLOW_PRIVATE_HOSTS=true
+ * (for local receivers in development and tests). Names are resolved again
+ * at delivery time, see publicOnlyLookup.
+ */
+const validateWebhookUrl = (raw) => {
+  let url;
+  try {
+    url = new URL(String(raw));
+  } catch {
+    url = null;
+  }
+  const fail = (msg) => {
+    const err = new Error(msg);
+    err.status = 400;
+    return err;
+  };
+  if (!url || !["http:", "https:"].includes(url.protocol)) throw fail("webhook url must be an http(s) URL");
+  if (url.username || url.password) throw fail("webhook url must not contain credentials");
+
+  if (!allowPrivateHosts() && isPrivateHostname(url.hostname)) throw fail("webhook url must be publicly reachable");
+
+  return url.toString();
+};
+
+/* One HTTP(S) POST; resolves to { status, headers } (no redirects are followed) */
+const request = (url, headers, body) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === "https:" ? https : http;
+    const req = client.request(
+      target,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: allowPrivateHosts() ? undefined : publicOnlyLookup,
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      },
+      (res) => {
+        res.resume(); // the body is ignored
+        res.on("end", () => resolve({ status: res.statusCode, headers: res.headers }));
+        res.on("error", reject);
+      }
+    );
+    req.on("error", reject);
+    req.end(body);
+  });
+
+/* POST once; resolves to { ok, status, retryAfterMs, error } (never throws) */
+const postWebhook = async (delivery, secret) => {
+  const body = JSON.stringify(delivery.payload);
+  try {
+    // IP literals never go through the lookup, so check them here
+    if (!allowPrivateHosts() && isPrivateHostname(new URL(delivery.url).hostname)) {
+      return { ok: false, status: null, retryAfterMs: null, error: "Webhook host is not publicly reachable" };
+    }
+
+    const res = await request(
+      delivery.url,
+      {
+        "Content-Type": "application/json",
+        "User-Agent": "Trailcast-Webhooks/1.0",
+        "X-Webhook-Id": String(delivery._id),
+        "X-Webhook-Event": delivery.payload.event,
+        "X-Webhook-Signature": signatureHeader(secret, body),
+      },
+      body
+    );
+    const ok = res.status >= 200 && res.status < 300;
+    return {
+      ok,
+      status: res.status,
+      retryAfterMs: parseRetryAfter(res.headers["retry-after"]),
+      error: ok ? null : `Receiver answered ${res.status}`,
+    };
+  } catch (e) {
+    const timedOut = e.name === "TimeoutError" || e.name === "AbortError";
+    return { ok: false, status: null, retryAfterMs: null, error: timedOut ? "Timed out" : e.message };
+  }
+};
+
+/**
+ * Make one attempt at a delivery, if it is still pending (or stuck) and
+ * nobody else grabbed it first. `getSecret(delivery)` resolves to the
+ * signing secret (null cancels the delivery, e.g. the webhook was removed).
+ * Resolves to the updated delivery, or null when there was nothing to do.
+ */
+const attemptDelivery = async (deliveryId, getSecret) => {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    {
+      _id: deliveryId,
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "delivering", lastAttemptAt: { $lte: new Date(now - STUCK_AFTER_MS) } },
+      ],
+    },
+    { $set: { status: "delivering", lastAttemptAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const secret = await getSecret(delivery);
+  if (!secret) {
+    return WebhookDelivery.findByIdAndUpdate(
+      delivery._id,
+      { $set: { status: "failed", lastError: "Webhook no longer configured" } },
+      { new: true }
+    );
+  }
+
+  const result = await postWebhook(delivery, secret);
+
+  const update = { responseStatus: result.status, lastError: result.error };
+  if (result.ok) {
+    update.status = "delivered";
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    update.status = "failed";
+  } else {
+    const wait = Math.max(result.retryAfterMs ?? 0, backoffDelay(delivery.attempts, { baseMs: RETRY_BASE_MS, maxMs: RETRY_MAX_MS }));
+    update.status = "pending";
+    update.nextAttemptAt = new Date(Date.now() + wait);
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, { $set: update }, { new: true });
+};
+
+/* Persist a delivery and make the first attempt right away */
+const enqueueWebhook = async ({ user, subscription, url, payload }, getSecret) => {
+  const delivery = await WebhookDelivery.create({ user, subscription, url, payload });
+  return (await attemptDelivery(delivery._id, getSecret)) ?? delivery;
+};
+
+/* Retry everything that is due. Resolves to the number of attempts made. */
+const processDueDeliveries = async (getSecret, { limit = 50 } = {}) => {
+  const now = new Date();
+  const due = await WebhookDelivery.find({
+    $or: [
+      { status: "pending", nextAttemptAt: { $lte: now } },
+      { status: "delivering", lastAttemptAt: { $lte: new Date(now - STUCK_AFTER_MS) } },
+    ],
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .select("_id")
+    .lean();
+
+  const results = await mapWithConcurrency(due, 4, (d) => attemptDelivery(d._id, getSecret));
+  return results.filter(Boolean).length;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  createWebhookSecret,
+  signatureHeader,
+  verifySignature,
+  validateWebhookUrl,
+  isPrivateHostname,
+  publicOnlyLookup,
+  postWebhook,
+  attemptDelivery,
+  enqueueWebhook,
+  processDueDeliveries,
+};
@@ -0,0 +1,129 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { createCache, createMemoryStore } = require("../services/cache/index.js");
+const { createMongoStore, createTieredStore } = require("../services/cache/mongo-store.js");
+
+let n = 0;
+const newCache = (options = {}) =>
+  createCache({ name: `test:${++n}`, ttlMs: 1000, staleMs: 1000, store: createMemoryStore(), ...options });
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("createCache", () => {
+  test("wrap loads misses once and serves hits from the store", async () => {
+    const cache = newCache();
+    let calls = 0;
+    const loader = async () => ++calls;
+
+    assert.equal(await cache.wrap("k", loader), 1);
+    assert.equal(await cache.wrap("k", loader), 1);
+    assert.equal(calls, 1);
+    assert.equal(cache.stats().hits, 1);
+    assert.equal(cache.stats().misses, 1);
+  });
+
+  test("concurrent misses share one loader call", async () => {
+    const cache = newCache();
+    let calls = 0;
+    const loader = async () => {
+      calls += 1;
+      await sleep(20);
+      return "value";
+    };
+
+    const results = await Promise.all([cache.wrap("k", loader), cache.wrap("k", loader), cache.wrap("k", loader)]);
+    assert.deepEqual(results, ["value", "value", "value"]);
+    assert.equal(calls, 1);
+  });
+
+  test("stale entries are served while refreshing in the background", async () => {
+    const cache = newCache({ ttlMs: 20, staleMs: 1000 });
+    let version = 0;
+    const loader = async () => ++version;
+
+    await cache.wrap("k", loader);
+    await sleep(30);
+
+    assert.equal(await cache.wrap("k", loader), 1); // stale, served as-is
+    assert.equal(cache.stats().staleHits, 1);
+    await sleep(10);
+    assert.equal(await cache.wrap("k", loader), 2); // refreshed meanwhile
+  });
+
+  test("expired entries block on the loader again", async () => {
+    const cache = newCache({ ttlMs: 10, staleMs: 10 });
+    let version = 0;
+    await cache.wrap("k", async () => ++version);
+    await sleep(30);
+    assert.equal(await cache.wrap("k", async () => ++version), 2);
+    assert.equal(cache.stats().misses, 2);
+  });
+
+  test("loader errors are not cached", async () => {
+    const cache = newCache();
+    await assert.rejects(cache.wrap("k", async () => Promise.reject(new Error("upstream down"))), /upstream down/);
+    assert.equal(await cache.wrap("k", async () => "ok"), "ok");
+    assert.equal(cache.stats().loadErrors, 1);
+  });
+
+  test("refresh reloads a fresh entry", async () => {
+    const cache = newCache();
+    await cache.set("k", "old");
+    assert.equal(await cache.refresh("k", async () => "new"), "new");
+    assert.equal(await cache.get("k"), "new");
+  });
+
+  test("a failing store degrades to no cache", async () => {
+    const broken = {
+      get: async () => Promise.reject(new Error("store down")),
+      set: async () => Promise.reject(new Error("store down")),
+      delete: async () => Promise.reject(new Error("store down")),
+      clear: async () => Promise.reject(new Error("store down")),
+      stats: () => ({}),
+    };
+    const cache = newCache({ store: broken });
+    let calls = 0;
+    assert.equal(await cache.wrap("k", async () => ++calls), 1);
+    assert.equal(await cache.wrap("k", async () => ++calls), 2);
+    await cache.delete("k");
+    await cache.clear();
+    assert.ok(cache.stats().storeErrors >= 4);
+  });
+});
+
+describe("createMemoryStore", () => {
+  test("evicts the least recently used entry beyond maxEntries", async () => {
+    const store = createMemoryStore({ maxEntries: 2 });
+    const entry = (value) => ({ value, expiresAt: Date.now() + 1000, staleUntil: Date.now() + 1000 });
+    await store.set("a", entry(1));
+    await store.set("b", entry(2));
+    await store.get("a"); // a is now most recent
+    await store.set("c", entry(3));
+
+    assert.equal((await store.get("b")) ?? null, null);
+    assert.equal((await store.get("a")).value, 1);
+    assert.equal((await store.get("c")).value, 3);
+  });
+});
+
+// no mongoose.connect() in tests, so these exercise the disconnected path
+describe("createMongoStore while MongoDB is disconnected", () => {
+  test("fails at once instead of waiting on the command buffer", async () => {
+    const store = createMongoStore({ namespace: "test:down" });
+    const started = Date.now();
+    await assert.rejects(store.get("k"), /not connected/);
+    await assert.rejects(store.set("k", { value: 1, expiresAt: Date.now(), staleUntil: Date.now() }), /not connected/);
+    assert.ok(Date.now() - started < 500);
+  });
+
+  test("a cache on the tiered store still serves from memory and counts the misses", async () => {
+    const cache = newCache({ store: createTieredStore(createMemoryStore(), createMongoStore({ namespace: "test:down" })) });
+    let calls = 0;
+    const loader = async () => ++calls;
+
+    assert.equal(await cache.wrap("k", loader), 1);
+    assert.equal(await cache.wrap("k", loader), 1);
+    assert.equal(calls, 1);
+    assert.ok(cache.stats().storeErrors >= 1);
+  });
+});
@@ -0,0 +1,55 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const List = require("../models/list.js");
+const { threadComments, removeCommentsBy } = require("../services/comment-threads.js");
+
+const id = () => new mongoose.Types.ObjectId();
+const gone = id();
+const other = id();
+
+let minute = 0;
+const comment = (owner, text, parent = null) => ({
+  _id: id(),
+  owner,
+  text,
+  parent,
+  createdAt: new Date(Date.UTC(2025, 5, 7, 12, minute++)),
+});
+
+describe("removeCommentsBy", () => {
+  test("keeps threads others replied to as ownerless tombstones and removes the rest", () => {
+    const question = comment(gone, "Is the road open?");
+    const answer = comment(other, "Yes, since Friday", question._id);
+    const aside = comment(gone, "Thanks!", answer._id);
+    const lonely = comment(gone, "Anyone been up lately?");
+    const own = comment(gone, "Great list");
+    const ownReply = comment(gone, "Agreed, me again", own._id);
+    const list = new List({ name: "Trip", owner: other, comments: [question, answer, aside, lonely, own, ownReply] });
+
+    assert.equal(removeCommentsBy(list, gone), 5);
+
+    assert.deepEqual(
+      list.comments.map((c) => String(c._id)),
+      [question, answer].map((c) => String(c._id))
+    );
+    const tombstone = list.comments.id(question._id);
+    assert.equal(tombstone.deleted, true);
+    assert.equal(tombstone.text, "");
+    assert.equal(tombstone.owner, null);
+
+    // the reply still hangs under its (now deleted) parent
+    const [thread] = threadComments(list.comments);
+    assert.equal(String(thread._id), String(question._id));
+    assert.deepEqual(
+      thread.replies.map((r) => r.text),
+      ["Yes, since Friday"]
+    );
+  });
+
+  test("leaves lists without the user's comments untouched", () => {
+    const list = new List({ name: "Trip", owner: other, comments: [comment(other, "Mine")] });
+    assert.equal(removeCommentsBy(list, gone), 0);
+    assert.equal(list.comments.length, 1);
+  });
+});
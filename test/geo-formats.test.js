@@ -0,0 +1,164 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { detectFormat, parseWaypoints, serializeWaypoints } = require("../services/geo-formats/index.js");
+
+const coords = (rows) => rows.map((r) => [r.name, r.latitude, r.longitude]);
+
+describe("detectFormat", () => {
+  test("prefers an explicit format, then the content type, then sniffs", () => {
+    assert.equal(detectFormat({ format: "JSON" }), "geojson");
+    assert.equal(detectFormat({ format: "shp" }), null);
+    assert.equal(detectFormat({ contentType: "application/gpx+xml; charset=utf-8", content: "lat,lon" }), "gpx");
+    assert.equal(detectFormat({ content: '  {"type":"Point"}' }), "geojson");
+    assert.equal(detectFormat({ content: { type: "Point" } }), "geojson");
+    assert.equal(detectFormat({ content: '<?xml version="1.0"?>\n<gpx version="1.1">' }), "gpx");
+    assert.equal(detectFormat({ content: "<kml xmlns='http://www.opengis.net/kml/2.2'>" }), "kml");
+    assert.equal(detectFormat({ content: "lat,lon\n1,2" }), "csv");
+    assert.equal(detectFormat({ content: "hello" }), null);
+  });
+});
+
+describe("parseWaypoints", () => {
+  test("GPX, with a default namespace and with a prefixed one", () => {
+    const plain = `<?xml version="1.0"?>
+      <gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+        <wpt lat="39.7392" lon="-104.9903"><name>Denver</name><desc>Mile high</desc></wpt>
+        <wpt lat="40.0150" lon="-105.2705"><name><![CDATA[Boulder & Flatirons]]></name><cmt>from cmt</cmt></wpt>
+      </gpx>`;
+    const prefixed = `<g:gpx xmlns:g="http://www.topografix.com/GPX/1/1">
+        <g:wpt lat="39.7392" lon="-104.9903"><g:name>Denver</g:name></g:wpt>
+      </g:gpx>`;
+
+    const rows = parseWaypoints("gpx", plain);
+    assert.deepEqual(rows[0], { row: 1, name: "Denver", description: "Mile high", latitude: 39.7392, longitude: -104.9903 });
+    assert.equal(rows[1].name, "Boulder & Flatirons");
+    assert.equal(rows[1].description, "from cmt");
+    assert.deepEqual(coords(parseWaypoints("gpx", prefixed)), [["Denver", 39.7392, -104.9903]]);
+  });
+
+  test("KML placemarks nested in folders, with and without a namespace prefix", () => {
+    const kml = `<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+        <Placemark><name>Top</name><Point><coordinates>-105.0,39.5,0</coordinates></Point></Placemark>
+        <Folder><Folder>
+          <Placemark><name>Deep</name><description>two folders down</description>
+            <Point><coordinates> -106.1 , 40.2 </coordinates></Point></Placemark>
+          <Placemark><name>A trail</name><LineString><coordinates>1,2 3,4</coordinates></LineString></Placemark>
+        </Folder></Folder>
+      </Document></kml>`;
+    const prefixed = `<k:kml xmlns:k="http://www.opengis.net/kml/2.2"><k:Placemark><k:name>P</k:name>
+        <k:Point><k:coordinates>-105,39</k:coordinates></k:Point></k:Placemark></k:kml>`;
+
+    const rows = parseWaypoints("kml", kml);
+    assert.deepEqual(coords(rows.slice(0, 2)), [
+      ["Top", 39.5, -105],
+      ["Deep", 40.2, -106.1],
+    ]);
+    assert.equal(rows[1].description, "two folders down");
+    assert.deepEqual(rows[2], { row: 3, name: "A trail", description: "", error: "Placemark is not a point" });
+    assert.deepEqual(coords(parseWaypoints("kml", prefixed)), [["P", 39, -105]]);
+  });
+
+  test("GeoJSON collections, single features and bare points", () => {
+    const fc = {
+      type: "FeatureCollection",
+      features: [
+        { type: "Feature", geometry: { type: "Point", coordinates: [-105, 39] }, properties: { title: "T" } },
+        { type: "Feature", geometry: { type: "LineString", coordinates: [] }, properties: { name: "L" } },
+      ],
+    };
+    const rows = parseWaypoints("geojson", JSON.stringify(fc));
+    assert.deepEqual(coords(rows.slice(0, 1)), [["T", 39, -105]]);
+    assert.equal(rows[1].error, "Feature is not a point");
+    assert.deepEqual(coords(parseWaypoints("geojson", { type: "Point", coordinates: [1, 2] })), [["", 2, 1]]);
+  });
+
+  test("CSV with quoted fields, escaped quotes, CRLF, a BOM and header aliases", () => {
+    const csv = '\uFEFFTitle,LNG,Lat,Notes\r\n"Camp, upper",-105.5,39.25,"He said ""go""\nthen left"\r\n\r\nPlain,-105,39,\r\n';
+    const rows = parseWaypoints("csv", csv);
+    assert.deepEqual(rows, [
+      { row: 1, name: "Camp, upper", description: 'He said "go"\nthen left', latitude: 39.25, longitude: -105.5 },
+      { row: 2, name: "Plain", description: "", latitude: 39, longitude: -105 },
+    ]);
+  });
+
+  test("rows with missing or out-of-range coordinates come back rejected, not dropped", () => {
+    const rows = parseWaypoints("csv", "name,lat,lon\nok,10,20\nno lat,,20\nfar,91,20\nword,abc,20\n");
+    assert.deepEqual(
+      rows.map((r) => [r.row, r.name, r.error ?? null]),
+      [
+        [1, "ok", null],
+        [2, "no lat", "Missing or invalid coordinates"],
+        [3, "far", "Coordinates out of range"],
+        [4, "word", "Missing or invalid coordinates"],
+      ]
+    );
+  });
+
+  test("unreadable files and unknown formats are 400s", () => {
+    assert.throws(() => parseWaypoints("csv", "name,desc\nx,y"), { status: 400 });
+    assert.throws(() => parseWaypoints("gpx", "<kml></kml>"), { status: 400 });
+    assert.throws(() => parseWaypoints("kml", "<gpx></gpx>"), { status: 400 });
+    assert.throws(() => parseWaypoints("geojson", "{nope"), { status: 400 });
+    assert.throws(() => parseWaypoints("geojson", '{"type":"Polygon"}'), { status: 400 });
+    assert.throws(() => parseWaypoints("shp", ""), { status: 400 });
+  });
+});
+
+describe("serializeWaypoints", () => {
+  const meta = { name: 'Rock & "Roll" <trip>', description: "Late June" };
+  const rows = [
+    { name: 'Camp, "upper"', description: "Line one\nline two", latitude: 39.25, longitude: -105.5 },
+    { name: "=HYPERLINK(\"http://x\")", description: "+1 and -1 @home", latitude: -33.9, longitude: 151.2 },
+    { name: "Plain <&> 'name'", description: "", latitude: 0, longitude: 0, forecast: { summary: "Sunny, 70°F", provider: "nws" } },
+  ];
+
+  const roundTrip = (format) => parseWaypoints(format, serializeWaypoints(format, meta, rows).body);
+
+  test("GPX, KML and GeoJSON read back what was written, escapes included", () => {
+    for (const format of ["gpx", "kml", "geojson"]) {
+      const back = roundTrip(format);
+      assert.deepEqual(coords(back), coords(rows), format);
+      assert.equal(back[0].description, "Line one\nline two", format);
+    }
+  });
+
+  test("GPX and KML declare their namespaces", () => {
+    assert.match(serializeWaypoints("gpx", meta, rows).body, /<gpx [^>]*xmlns="http:\/\/www\.topografix\.com\/GPX\/1\/1"/);
+    assert.match(serializeWaypoints("kml", meta, rows).body, /<kml xmlns="http:\/\/www\.opengis\.net\/kml\/2\.2">/);
+    assert.match(serializeWaypoints("gpx", meta, rows).body, /<name>Rock &amp; &quot;Roll&quot; &lt;trip&gt;<\/name>/);
+  });
+
+  test("forecast summaries travel in each format's own place", () => {
+    assert.match(serializeWaypoints("gpx", meta, rows).body, /<cmt>Sunny, 70°F<\/cmt>/);
+    assert.match(serializeWaypoints("kml", meta, rows).body, /<Data name="forecast"><value>Sunny, 70°F<\/value><\/Data>/);
+    const geo = JSON.parse(serializeWaypoints("geojson", meta, rows).body);
+    assert.equal(geo.features[2].properties.forecast.summary, "Sunny, 70°F");
+    assert.deepEqual(
+      geo.features.map((f) => f.properties.order),
+      [0, 1, 2]
+    );
+  });
+
+  test("CSV quotes what needs quoting and neutralizes formulas in text cells only", () => {
+    const { body, contentType, extension } = serializeWaypoints("csv", meta, rows);
+    assert.equal(contentType, "text/csv; charset=utf-8");
+    assert.equal(extension, "csv");
+
+    const lines = body.split("\r\n");
+    assert.equal(lines[0], "name,latitude,longitude,description,forecast");
+    assert.equal(lines[1], '"Camp, ""upper""",39.25,-105.5,"Line one\nline two",');
+    // text starting with = + - @ gets a leading ' so spreadsheets show it as text;
+    // negative coordinates stay numbers
+    assert.equal(lines[2], `"'=HYPERLINK(""http://x"")",-33.9,151.2,'+1 and -1 @home,`);
+
+    const back = roundTrip("csv");
+    const latLon = (list) => list.map((r) => [r.latitude, r.longitude]);
+    assert.deepEqual(latLon(back), latLon(rows));
+    assert.equal(back[0].name, 'Camp, "upper"');
+    assert.equal(back[1].name, "'=HYPERLINK(\"http://x\")");
+  });
+
+  test("an unknown format is a 400", () => {
+    assert.throws(() => serializeWaypoints("shp", meta, rows), { status: 400 });
+  });
+});
@@ -0,0 +1,120 @@
+const { test, describe, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const User = require("../models/user.js");
+const {
+  MAX_ACCOUNT_FAILURES,
+  ACCOUNT_LOCK_MS,
+  IP_WINDOW_MS,
+  MAX_IP_FAILURES,
+  ipRetryAfterMs,
+  recordIpFailure,
+  accountRetryAfterMs,
+  recordAccountFailure,
+  clearAccountFailures,
+} = require("../services/login-throttle.js");
+
+let now = Date.parse("2025-06-01T12:00:00Z");
+
+// One user document standing in for the collection. Each update is applied
+// in one step when it is called, like a single-document write in MongoDB.
+let stored;
+const matches = (filter) =>
+  Object.entries(filter).every(([field, cond]) =>
+    cond && typeof cond === "object" && "$gte" in cond ? stored[field] >= cond.$gte : stored[field] === cond
+  );
+const apply = ({ $inc = {}, $set = {}, ...rest }) => {
+  assert.deepEqual(rest, {}, "only $inc / $set updates");
+  for (const [field, n] of Object.entries($inc)) stored[field] += n;
+  Object.assign(stored, $set);
+};
+
+beforeEach(() => {
+  stored = { _id: "u1", failedLoginAttempts: 0, lockedUntil: null };
+  mock.method(Date, "now", () => now);
+  mock.method(User, "findOneAndUpdate", async (filter, update) => {
+    if (!matches(filter)) return null;
+    apply(update);
+    return { ...stored };
+  });
+  mock.method(User, "updateOne", async (filter, update) => {
+    if (!matches(filter)) return { modifiedCount: 0 };
+    apply(update);
+    return { modifiedCount: 1 };
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+/* What sign-in loads: a snapshot of the document */
+const load = () => ({ ...stored });
+
+describe("per-IP throttle", () => {
+  test("blocks after MAX_IP_FAILURES within the window and lets the IP back in as they age out", () => {
+    const ip = "203.0.113.7";
+    for (let i = 0; i < MAX_IP_FAILURES - 1; i++) recordIpFailure(ip);
+    assert.equal(ipRetryAfterMs(ip), 0);
+
+    recordIpFailure(ip);
+    assert.equal(ipRetryAfterMs(ip), IP_WINDOW_MS);
+    assert.equal(ipRetryAfterMs("203.0.113.8"), 0);
+
+    now += IP_WINDOW_MS - 1000;
+    assert.equal(ipRetryAfterMs(ip), 1000);
+
+    now += 1000;
+    assert.equal(ipRetryAfterMs(ip), 0);
+  });
+});
+
+describe("per-account lockout", () => {
+  test("counts failures in the database and locks at the limit", async () => {
+    for (let i = 1; i < MAX_ACCOUNT_FAILURES; i++) {
+      const user = load();
+      await recordAccountFailure(user);
+      assert.equal(user.failedLoginAttempts, i);
+      assert.equal(accountRetryAfterMs(user), 0);
+    }
+
+    const user = load();
+    await recordAccountFailure(user);
+    assert.equal(accountRetryAfterMs(user), ACCOUNT_LOCK_MS);
+    assert.equal(stored.lockedUntil.getTime(), now + ACCOUNT_LOCK_MS);
+    assert.equal(stored.failedLoginAttempts, 0);
+  });
+
+  test("parallel failures from stale copies are all counted", async () => {
+    // every attempt loaded the user before any of them wrote
+    const copies = Array.from({ length: MAX_ACCOUNT_FAILURES }, load);
+    await Promise.all(copies.map((user) => recordAccountFailure(user)));
+
+    assert.ok(stored.lockedUntil, "locked even though every copy started from 0");
+    assert.equal(User.findOneAndUpdate.mock.calls[0].arguments[1].$inc.failedLoginAttempts, 1);
+    const lockWrites = User.updateOne.mock.calls.filter((c) => c.arguments[1].$set?.lockedUntil);
+    assert.equal(lockWrites.length, 1);
+  });
+
+  test("the lock lifts when it expires and counting starts over", async () => {
+    stored.failedLoginAttempts = MAX_ACCOUNT_FAILURES - 1;
+    await recordAccountFailure(load());
+    assert.ok(accountRetryAfterMs(load()) > 0);
+
+    now += ACCOUNT_LOCK_MS;
+    assert.equal(accountRetryAfterMs(load()), 0);
+
+    const user = load();
+    await recordAccountFailure(user);
+    assert.equal(user.failedLoginAttempts, 1);
+    assert.equal(accountRetryAfterMs(user), 0);
+  });
+
+  test("a successful sign-in clears the count and the lock", async () => {
+    stored.failedLoginAttempts = 3;
+    stored.lockedUntil = new Date(now - 1000);
+    const user = load();
+    await clearAccountFailures(user);
+
+    assert.equal(stored.failedLoginAttempts, 0);
+    assert.equal(stored.lockedUntil, null);
+    assert.equal(user.lockedUntil, null);
+  });
+});
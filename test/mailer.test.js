@@ -0,0 +1,37 @@
+const { test, describe, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { getTransport, setTransport } = require("../services/mailer/index.js");
+
+const ENV = { NODE_ENV: process.env.NODE_ENV, MAIL_TRANSPORT: process.env.MAIL_TRANSPORT };
+
+const withEnv = (env) => {
+  for (const [name, value] of Object.entries(env)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  setTransport(null);
+};
+
+describe("getTransport", () => {
+  afterEach(() => withEnv(ENV));
+
+  test("defaults to the console transport outside production", () => {
+    withEnv({ NODE_ENV: "development", MAIL_TRANSPORT: undefined });
+    assert.equal(getTransport().name, "console");
+  });
+
+  test("refuses to default in production", () => {
+    withEnv({ NODE_ENV: "production", MAIL_TRANSPORT: undefined });
+    assert.throws(() => getTransport(), /MAIL_TRANSPORT must be set/);
+  });
+
+  test("uses MAIL_TRANSPORT when set", () => {
+    withEnv({ NODE_ENV: "production", MAIL_TRANSPORT: "file" });
+    assert.equal(getTransport().name, "file");
+  });
+
+  test("rejects unknown transports", () => {
+    withEnv({ NODE_ENV: "development", MAIL_TRANSPORT: "pigeon" });
+    assert.throws(() => getTransport(), /Unknown MAIL_TRANSPORT: pigeon/);
+  });
+});
@@ -0,0 +1,97 @@
+process.env.CACHE_STORE = "memory";
+process.env.WEATHER_PROVIDERS = "local";
+
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const User = require("../models/user.js");
+const { DEFAULT_THRESHOLDS, resolveThresholds } = require("../services/scoring.js");
+const { ACTIVITIES, parsePlanQuery, planLocations, groupByDate } = require("../services/planner.js");
+
+describe("parsePlanQuery", () => {
+  test("defaults to hiking over any dates", () => {
+    assert.deepEqual(parsePlanQuery({}), { activity: "hike", from: null, to: null });
+    assert.deepEqual(parsePlanQuery({ activity: "Backpack", from: "2025-06-01", to: "2025-06-03" }), {
+      activity: "backpack",
+      from: "2025-06-01",
+      to: "2025-06-03",
+    });
+  });
+
+  test("rejects unknown activities and bad or inverted dates", () => {
+    assert.throws(() => parsePlanQuery({ activity: "skydive" }), { status: 400 });
+    assert.throws(() => parsePlanQuery({ from: "June 1st" }), { status: 400 });
+    assert.throws(() => parsePlanQuery({ from: "2025-06-05", to: "2025-06-01" }), { status: 400 });
+  });
+});
+
+describe("groupByDate", () => {
+  test("pairs each date's day and night periods", () => {
+    const groups = groupByDate([
+      { startTime: "2025-06-07T18:00:00-06:00", isDaytime: false, name: "Tonight" },
+      { startTime: "2025-06-08T06:00:00-06:00", isDaytime: true, name: "Sunday" },
+      { startTime: "2025-06-08T18:00:00-06:00", isDaytime: false, name: "Sunday Night" },
+    ]);
+    assert.deepEqual(
+      groups.map((g) => [g.date, g.day?.name ?? null, g.night?.name ?? null]),
+      [
+        ["2025-06-07", null, "Tonight"],
+        ["2025-06-08", "Sunday", "Sunday Night"],
+      ]
+    );
+  });
+});
+
+describe("planLocations (local fixture provider)", () => {
+  const locations = [
+    { _id: "a", name: "Alpha", latitude: 39.75, longitude: -105.2 },
+    { _id: "b", name: "Bravo", latitude: 40.01, longitude: -105.29 },
+  ];
+
+  test("ranks every location/day best first with explanations", async () => {
+    const plan = await planLocations(locations, { activity: "hike" });
+
+    assert.ok(plan.ranked.length > 0);
+    assert.deepEqual(plan.errors, []);
+    plan.ranked.forEach((entry, i) => {
+      assert.equal(entry.rank, i + 1);
+      if (i > 0) assert.ok(plan.ranked[i - 1].score >= entry.score);
+      assert.match(entry.explanation, i === 0 ? /^Best option\./ : /^#\d+/);
+    });
+    assert.equal(plan.best, plan.ranked[0]);
+
+    assert.deepEqual(plan.bestByLocation.map((e) => e.location._id).sort(), ["a", "b"]);
+    const dates = plan.bestByDate.map((e) => e.date);
+    assert.deepEqual(dates, [...new Set(dates)].sort());
+  });
+
+  test("the date window limits the candidates", async () => {
+    const all = await planLocations(locations, { activity: "hike" });
+    const day = all.ranked.at(-1).date;
+    const plan = await planLocations(locations, { activity: "hike", from: day, to: day });
+    assert.ok(plan.ranked.length > 0);
+    assert.ok(plan.ranked.every((e) => e.date === day));
+  });
+
+  test("overnight activities score each day together with its night", async () => {
+    const plan = await planLocations(locations.slice(0, 1), { activity: "backpack" });
+    assert.ok(plan.ranked.some((e) => e.periods.length === 2));
+  });
+});
+
+describe("activity presets", () => {
+  test("sit under the saved hike profile and query overrides", async (t) => {
+    const profile = { maxWindMph: 10 };
+    t.mock.method(User, "findById", () => ({ select: () => ({ lean: async () => ({ hikeProfile: profile }) }) }));
+    const preset = ACTIVITIES.backpack.thresholds;
+
+    const saved = await resolveThresholds("u1", {}, { defaults: preset });
+    assert.equal(saved.maxWindMph, 10, "saved profile beats the preset");
+    assert.equal(saved.minTempF, preset.minTempF, "preset fills what the profile leaves out");
+
+    const overridden = await resolveThresholds("u1", { maxWindMph: "30" }, { defaults: preset });
+    assert.equal(overridden.maxWindMph, 30);
+
+    const anonymous = await resolveThresholds(null, {}, { defaults: preset });
+    assert.deepEqual(anonymous, { ...DEFAULT_THRESHOLDS, ...preset });
+  });
+});
@@ -0,0 +1,85 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { distanceMatrix, pathLength, nearestNeighbour, twoOpt, optimizeOrder } = require("../services/route-order.js");
+const { distanceMeters } = require("../services/geo.js");
+
+// Points on a line of latitude, 0.1° of longitude apart, listed out of order
+const line = (xs) => xs.map((x) => ({ latitude: 40, longitude: -105 + x * 0.1 }));
+
+// deterministic pseudo-random points
+const scatter = (n, seed = 1) => {
+  let s = seed;
+  const rand = () => ((s = (s * 16807) % 2147483647) / 2147483647);
+  return Array.from({ length: n }, () => ({ latitude: 40 + rand(), longitude: -105 + rand() }));
+};
+
+const isPermutation = (order, n) => order.length === n && new Set(order).size === n && order.every((i) => i >= 0 && i < n);
+
+describe("distanceMeters", () => {
+  test("matches known great-circle distances", () => {
+    // one degree of latitude is ~111.2 km
+    assert.ok(Math.abs(distanceMeters({ latitude: 0, longitude: 0 }, { latitude: 1, longitude: 0 }) - 111195) < 50);
+    assert.equal(distanceMeters({ latitude: 40, longitude: -105 }, { latitude: 40, longitude: -105 }), 0);
+  });
+
+  test("the matrix is symmetric with a zero diagonal", () => {
+    const m = distanceMatrix(scatter(6));
+    m.forEach((row, i) => {
+      assert.equal(row[i], 0);
+      row.forEach((d, j) => assert.equal(d, m[j][i]));
+    });
+  });
+});
+
+describe("optimizeOrder", () => {
+  test("finds the straight run along a line", () => {
+    const { order, legs, totalMeters } = optimizeOrder(line([0, 3, 1, 4, 2]));
+    assert.deepEqual(order, [0, 2, 4, 1, 3]);
+    assert.equal(legs[0], 0);
+    assert.ok(Math.abs(legs.reduce((a, b) => a + b, 0) - totalMeters) < 1e-6);
+  });
+
+  test("honours a pinned start", () => {
+    const { order } = optimizeOrder(line([0, 3, 1, 4, 2]), { start: 2 });
+    // from 0.1: back to 0.0 first, then out to 0.4
+    assert.deepEqual(order, [2, 0, 4, 1, 3]);
+  });
+
+  test("honours a pinned end", () => {
+    const { order } = optimizeOrder(line([0, 3, 1, 4, 2]), { end: 0 });
+    assert.equal(order.at(-1), 0);
+    assert.deepEqual(order, [3, 1, 4, 2, 0]);
+  });
+
+  test("honours both pins and visits every point once", () => {
+    const points = scatter(40);
+    const { order } = optimizeOrder(points, { start: 7, end: 12 });
+    assert.ok(isPermutation(order, 40));
+    assert.equal(order[0], 7);
+    assert.equal(order.at(-1), 12);
+  });
+
+  test("never does worse than the given order or plain nearest-neighbour", () => {
+    const points = scatter(60, 42);
+    const matrix = distanceMatrix(points);
+    const { order, totalMeters } = optimizeOrder(points, { start: 0 });
+
+    assert.ok(isPermutation(order, 60));
+    assert.ok(totalMeters <= pathLength(matrix, [...Array(60).keys()]));
+    assert.ok(totalMeters <= pathLength(matrix, nearestNeighbour(matrix, 0)) + 1e-6);
+  });
+
+  test("handles tiny inputs", () => {
+    assert.deepEqual(optimizeOrder([]), { order: [], totalMeters: 0, legs: [] });
+    assert.deepEqual(optimizeOrder(line([0])).order, [0]);
+    assert.deepEqual(optimizeOrder(line([0, 1]), { end: 0 }).order, [1, 0]);
+  });
+});
+
+describe("twoOpt", () => {
+  test("untangles a crossing without moving pinned ends", () => {
+    const matrix = distanceMatrix(line([0, 1, 2, 3]));
+    const order = twoOpt(matrix, [0, 2, 1, 3], { fixedStart: true, fixedEnd: true });
+    assert.deepEqual(order, [0, 1, 2, 3]);
+  });
+});
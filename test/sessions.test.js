@@ -0,0 +1,150 @@
+process.env.JWT_SECRET = "test-jwt-secret";
+
+const { test, describe, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Session = require("../models/session.js");
+const {
+  startSession,
+  rotateSession,
+  findRefreshSession,
+  revokeOtherSessions,
+  authenticate,
+} = require("../services/sessions.js");
+
+// ------------------------------
+// Session collection kept in memory. Every write is applied in one step when
+// it is called, like a single-document write in MongoDB, so two calls racing
+// through Promise.all behave like two requests racing on the server.
+// ------------------------------
+
+let sessions;
+
+const same = (a, b) => (a == null || b == null ? a == b : String(a) === String(b));
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([field, cond]) => {
+    if (cond && typeof cond === "object" && "$gt" in cond) return doc[field] > cond.$gt;
+    if (cond && typeof cond === "object" && "$ne" in cond) return !same(doc[field], cond.$ne);
+    return same(doc[field], cond);
+  });
+const setFields = (doc, update) => {
+  const { $set, ...rest } = update;
+  assert.deepEqual(rest, {}, "only $set updates");
+  Object.assign(doc, $set);
+};
+/* Stand-in for a Mongoose query: chainable, and awaitable */
+const query = (run) => ({
+  select() {
+    return this;
+  },
+  lean() {
+    return this;
+  },
+  then(resolve, reject) {
+    return Promise.resolve().then(run).then(resolve, reject);
+  },
+});
+
+beforeEach(() => {
+  sessions = [];
+  mock.method(Session, "create", async (fields) => {
+    const doc = { _id: new mongoose.Types.ObjectId(), revokedAt: null, revokedReason: null, ...fields };
+    sessions.push(doc);
+    return { ...doc };
+  });
+  mock.method(Session, "findById", (id) => query(() => sessions.find((s) => same(s._id, id)) ?? null));
+  mock.method(Session, "findOne", (filter) => query(() => sessions.find((s) => matches(s, filter)) ?? null));
+  mock.method(Session, "findOneAndUpdate", (filter, update) =>
+    query(() => {
+      const doc = sessions.find((s) => matches(s, filter));
+      if (!doc) return null;
+      setFields(doc, update);
+      return { ...doc };
+    })
+  );
+  const updateMany = (filter, update, limit = Infinity) =>
+    query(() => {
+      const docs = sessions.filter((s) => matches(s, filter)).slice(0, limit);
+      for (const doc of docs) setFields(doc, update);
+      return { modifiedCount: docs.length };
+    });
+  mock.method(Session, "updateOne", (filter, update) => updateMany(filter, update, 1));
+  mock.method(Session, "updateMany", (filter, update) => updateMany(filter, update));
+});
+
+afterEach(() => mock.restoreAll());
+
+const alice = { _id: new mongoose.Types.ObjectId(), username: "alice" };
+const loadUser = async (id) => (same(id, alice._id) ? alice : null);
+
+const rejectsWith = (promise, code) => assert.rejects(promise, (err) => err.status === 401 && err.code === code);
+
+describe("refresh token rotation", () => {
+  test("a refresh token rotates once into a new working pair", async () => {
+    const first = await startSession(alice);
+    const second = await rotateSession(first.refreshToken, loadUser);
+
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    assert.equal(second.refreshToken.split(".")[0], first.refreshToken.split(".")[0], "same session");
+    assert.equal((await authenticate(second.token)).sessionId, sessions[0]._id.toString());
+
+    const third = await rotateSession(second.refreshToken, loadUser);
+    assert.ok(third.refreshToken);
+    assert.equal((await findRefreshSession(third.refreshToken))._id.toString(), sessions[0]._id.toString());
+  });
+
+  test("replaying a rotated token signs the whole session out", async () => {
+    const first = await startSession(alice);
+    const second = await rotateSession(first.refreshToken, loadUser);
+
+    await rejectsWith(rotateSession(first.refreshToken, loadUser), "REFRESH_TOKEN_REUSED");
+    assert.ok(sessions[0].revokedAt);
+    assert.equal(sessions[0].revokedReason, "refresh-token-reuse");
+
+    // the current token and its access token die with the session
+    await rejectsWith(rotateSession(second.refreshToken, loadUser), "SESSION_REVOKED");
+    await rejectsWith(authenticate(second.token), "SESSION_REVOKED");
+  });
+
+  test("of two concurrent refreshes with one token only one wins", async () => {
+    const { refreshToken } = await startSession(alice);
+    const results = await Promise.allSettled([rotateSession(refreshToken, loadUser), rotateSession(refreshToken, loadUser)]);
+
+    const won = results.filter((r) => r.status === "fulfilled");
+    const lost = results.filter((r) => r.status === "rejected");
+    assert.equal(won.length, 1);
+    assert.equal(lost.length, 1);
+    assert.equal(lost[0].reason.code, "REFRESH_TOKEN_REUSED");
+
+    // the loser's reuse report revokes the session the winner rotated
+    await rejectsWith(rotateSession(won[0].value.refreshToken, loadUser), "SESSION_REVOKED");
+  });
+
+  test("expired, unknown and malformed tokens are refused without revoking anything", async () => {
+    const { refreshToken } = await startSession(alice);
+    sessions[0].expiresAt = new Date(Date.now() - 1000);
+    await rejectsWith(rotateSession(refreshToken, loadUser), "REFRESH_TOKEN_EXPIRED");
+    assert.equal(sessions[0].revokedAt, null);
+
+    await rejectsWith(rotateSession(`${new mongoose.Types.ObjectId()}.abc`, loadUser), "REFRESH_TOKEN_INVALID");
+    await rejectsWith(rotateSession("not-a-token", loadUser), "REFRESH_TOKEN_INVALID");
+  });
+});
+
+describe("revokeOtherSessions", () => {
+  test("signs out every other session of that user only", async () => {
+    const bob = { _id: new mongoose.Types.ObjectId(), username: "bob" };
+    const kept = await startSession(alice);
+    const other = await startSession(alice);
+    const bobs = await startSession(bob);
+
+    await revokeOtherSessions(alice._id, sessions[0]._id);
+
+    assert.equal(sessions[0].revokedAt, null);
+    assert.equal(sessions[1].revokedReason, "password-change");
+    assert.equal(sessions[2].revokedAt, null);
+    await rejectsWith(rotateSession(other.refreshToken, loadUser), "SESSION_REVOKED");
+    assert.ok(await authenticate(kept.token));
+    assert.ok(await authenticate(bobs.token));
+  });
+});
@@ -0,0 +1,47 @@
+process.env.CACHE_STORE = "memory";
+process.env.WEATHER_PROVIDERS = "local";
+
+const { test, describe, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const Subscription = require("../models/subscription.js");
+const Location = require("../models/location.js");
+const WebhookDelivery = require("../models/webhook-delivery.js");
+const { runEvaluatorOnce } = require("../services/subscriptions/evaluator.js");
+
+/* Stand-in for a Mongoose query: any chained call returns it, awaiting runs `run` */
+const query = (run) =>
+  new Proxy(
+    {},
+    {
+      get: (target, prop, self) =>
+        prop === "then" ? (resolve, reject) => Promise.resolve().then(run).then(resolve, reject) : () => self,
+    }
+  );
+
+afterEach(() => mock.restoreAll());
+
+describe("runEvaluatorOnce", () => {
+  test("a subscription that fails is still marked evaluated, with the error", async () => {
+    const sub = { _id: "s1", active: true, target: { kind: "location", id: "l1" }, rules: [], lastEvaluatedAt: null };
+    mock.method(Subscription, "find", () => query(() => [sub]));
+    mock.method(Subscription, "updateOne", () => query(() => ({ modifiedCount: 1 })));
+    mock.method(Location, "findById", () =>
+      query(() => {
+        throw new Error("lookup failed");
+      })
+    );
+    mock.method(WebhookDelivery, "find", () => query(() => []));
+    mock.method(console, "error", () => {});
+
+    const before = Date.now();
+    const result = await runEvaluatorOnce();
+
+    assert.equal(result.evaluated, 1);
+    assert.equal(result.notified, 0);
+    const [call] = Subscription.updateOne.mock.calls;
+    const [filter, { $set }] = call.arguments;
+    assert.deepEqual(filter, { _id: "s1" });
+    assert.ok($set.lastEvaluatedAt.getTime() >= before);
+    assert.equal($set.lastError, "Error: lookup failed");
+  });
+});
@@ -0,0 +1,118 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseRules, evaluateRules, ruleKey } = require("../services/subscriptions/rules.js");
+
+// 2025-06-07 is a Saturday
+const period = (overrides) => ({
+  name: "Saturday",
+  startTime: "2025-06-07T06:00:00-06:00",
+  endTime: "2025-06-07T18:00:00-06:00",
+  isDaytime: true,
+  temperature: 70,
+  temperatureUnit: "F",
+  windSpeed: "5 to 10 mph",
+  windGust: null,
+  probabilityOfPrecipitation: { value: 10 },
+  shortForecast: "Sunny",
+  ...overrides,
+});
+
+const PERIODS = [
+  period(),
+  period({ name: "Saturday Night", startTime: "2025-06-07T18:00:00-06:00", endTime: "2025-06-08T06:00:00-06:00", isDaytime: false, probabilityOfPrecipitation: { value: 5 } }),
+  period({ name: "Sunday", startTime: "2025-06-08T06:00:00-06:00", endTime: "2025-06-08T18:00:00-06:00", probabilityOfPrecipitation: { value: 80 }, shortForecast: "Thunderstorms" }),
+  period({ name: "Monday", startTime: "2025-06-09T06:00:00-06:00", endTime: "2025-06-09T18:00:00-06:00", windSpeed: "30 mph" }),
+];
+
+describe("parseRules", () => {
+  test("normalizes forecast and alert rules", () => {
+    const rules = parseRules([
+      { kind: "forecast", field: "precipChance", op: "lt", value: "20", day: "Weekend" },
+      { kind: "alert" },
+    ]);
+    assert.deepEqual(rules, [
+      { kind: "forecast", field: "precipChance", op: "lt", value: 20, day: "weekend", daytimeOnly: true },
+      { kind: "alert", event: "any", minSeverity: null },
+    ]);
+  });
+
+  test("rejects bad input with a 400 naming the rule", () => {
+    assert.throws(() => parseRules([]), { status: 400 });
+    assert.throws(() => parseRules("nope"), { status: 400 });
+    assert.throws(() => parseRules(Array(21).fill({ kind: "alert" })), { status: 400 });
+    assert.throws(() => parseRules([{ kind: "alert" }, { kind: "forecast", field: "humidity", op: "lt", value: 1 }]), {
+      status: 400,
+      message: /^rules\[1\]/,
+    });
+    assert.throws(() => parseRules([{ kind: "forecast", field: "tempF", op: "between", value: 1 }]), { status: 400 });
+    assert.throws(() => parseRules([{ kind: "forecast", field: "tempF", op: "lt", value: "" }]), { status: 400 });
+    assert.throws(() => parseRules([{ kind: "forecast", field: "verdict", op: "gt", value: "go" }]), { status: 400 });
+    assert.throws(() => parseRules([{ kind: "forecast", field: "tempF", op: "lt", value: 1, day: "someday" }]), { status: 400 });
+    assert.throws(() => parseRules([{ kind: "alert", minSeverity: "Apocalyptic" }]), { status: 400 });
+  });
+});
+
+describe("evaluateRules", () => {
+  test("forecast rules respect the day filter and skip nights by default", () => {
+    const [rule] = parseRules([{ kind: "forecast", field: "precipChance", op: "lt", value: 20, day: "weekend" }]);
+    const matches = evaluateRules([{ ...rule, _id: "r1" }], { periods: PERIODS });
+
+    assert.deepEqual(
+      matches.map((m) => m.period.name),
+      ["Saturday"]
+    );
+    assert.equal(matches[0].key, `${ruleKey(rule)}:forecast:2025-06-07T06:00:00-06:00`);
+    assert.equal(matches[0].ruleId, "r1");
+    assert.match(matches[0].summary, /Precipitation chance 10% \(below 20%\)/);
+  });
+
+  test("daytimeOnly: false includes nights; weekday and date filters work", () => {
+    const rules = parseRules([
+      { kind: "forecast", field: "precipChance", op: "lte", value: 10, daytimeOnly: false },
+      { kind: "forecast", field: "windMph", op: "gte", value: 25, day: "monday" },
+      { kind: "forecast", field: "precipChance", op: "gt", value: 50, day: "2025-06-08" },
+    ]).map((r, i) => ({ ...r, _id: `r${i}` }));
+
+    const byRule = (id) => evaluateRules(rules, { periods: PERIODS }).filter((m) => m.ruleId === id).map((m) => m.period.name);
+    assert.deepEqual(byRule("r0"), ["Saturday", "Saturday Night", "Monday"]);
+    assert.deepEqual(byRule("r1"), ["Monday"]);
+    assert.deepEqual(byRule("r2"), ["Sunday"]);
+  });
+
+  test("verdict rules use the hike score", () => {
+    const rules = parseRules([{ kind: "forecast", field: "verdict", op: "eq", value: "go" }]);
+    const names = evaluateRules(rules, { periods: PERIODS }).map((m) => m.period.name);
+    assert.ok(names.includes("Saturday"));
+    assert.ok(!names.includes("Sunday"));
+  });
+
+  test("alert rules match event substrings and minimum severity", () => {
+    const alerts = [
+      { id: "a1", event: "Wind Advisory", severity: "Moderate", headline: "Wind Advisory until 6 PM" },
+      { id: "a2", event: "Red Flag Warning", severity: "Severe" },
+      { id: "a3", event: "Special Weather Statement", severity: "Minor" },
+    ];
+    const rules = parseRules([
+      { kind: "alert", event: "wind" },
+      { kind: "alert", minSeverity: "Severe" },
+    ]).map((r, i) => ({ ...r, _id: `r${i}` }));
+
+    const matches = evaluateRules(rules, { alerts });
+    assert.deepEqual(
+      matches.map((m) => m.key),
+      [`${ruleKey(rules[0])}:alert:a1`, `${ruleKey(rules[1])}:alert:a2`]
+    );
+    assert.equal(matches[0].summary, "Wind Advisory until 6 PM");
+    assert.equal(matches[1].summary, "Red Flag Warning (Severe)");
+  });
+
+  test("keys follow rule content, not rule ids", () => {
+    const input = [{ kind: "forecast", field: "tempF", op: "gt", value: 60 }];
+    const keys = (id, rules = input) =>
+      evaluateRules(parseRules(rules).map((r) => ({ ...r, _id: id })), { periods: PERIODS }).map((m) => m.key);
+
+    // re-saving the same rules gives them new _ids but must not change the keys
+    assert.deepEqual(keys("first-save"), keys("second-save"));
+    assert.notDeepEqual(keys("x"), keys("x", [{ kind: "forecast", field: "tempF", op: "gt", value: 65 }]));
+  });
+});
@@ -0,0 +1,113 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const ConditionReport = require("../models/condition-report.js");
+const { LEVELS, CONDITION_FIELDS, OBSTRUCTIONS, parseReport, summarizeConditions } = require("../services/trail-conditions.js");
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.parse("2025-06-07T12:00:00Z");
+const ago = (hours) => new Date(NOW - hours * HOUR);
+
+describe("parseReport", () => {
+  test("normalizes a full report", () => {
+    const report = parseReport(
+      { overall: "4", mud: "light", snow: null, obstructions: "blowdown", text: "  dry up top  ", observedAt: ago(2).toISOString() },
+      { now: NOW }
+    );
+    assert.deepEqual(report, {
+      observedAt: ago(2),
+      mud: "light",
+      snow: null,
+      obstructions: ["blowdown"],
+      overall: 4,
+      text: "dry up top",
+    });
+  });
+
+  test("defaults observedAt to now", () => {
+    assert.deepEqual(parseReport({ overall: 3 }, { now: NOW }).observedAt, new Date(NOW));
+  });
+
+  test("partial updates only return what was sent", () => {
+    assert.deepEqual(parseReport({ ice: "heavy" }, { partial: true, now: NOW }), { ice: "heavy" });
+  });
+
+  test("rejects bad values with 400s", () => {
+    for (const body of [
+      {},
+      { overall: 0 },
+      { overall: 2.5 },
+      { overall: 3, mud: "soupy" },
+      { overall: 3, obstructions: ["dragons"] },
+      { overall: 3, observedAt: "yesterday-ish" },
+      { overall: 3, observedAt: new Date(NOW + 2 * HOUR).toISOString() },
+      { overall: 3, text: "x".repeat(2001) },
+    ]) {
+      assert.throws(() => parseReport(body, { now: NOW }), { status: 400 }, JSON.stringify(body).slice(0, 60));
+    }
+  });
+});
+
+describe("summarizeConditions", () => {
+  test("an empty or old history has no current conditions", () => {
+    for (const reports of [[], [{ observedAt: ago(24 * 20), overall: 5, mud: "none" }]]) {
+      const summary = summarizeConditions(reports, { now: NOW });
+      assert.equal(summary.reportCount, 0);
+      assert.equal(summary.overall, null);
+      assert.equal(summary.stale, true);
+      assert.equal(summary.conditions.mud.level, null);
+    }
+  });
+
+  test("recent reports outweigh older ones", () => {
+    const summary = summarizeConditions(
+      [
+        { observedAt: ago(1), overall: 2, mud: "heavy" },
+        { observedAt: ago(96), overall: 5, mud: "none" },
+        { observedAt: ago(120), overall: 5, mud: "none" },
+      ],
+      { now: NOW }
+    );
+    assert.equal(summary.reportCount, 3);
+    assert.equal(summary.conditions.mud.level, "moderate");
+    assert.ok(summary.conditions.mud.score > 1.5);
+    assert.ok(summary.overall < 3.5, `overall ${summary.overall}`);
+    assert.equal(summary.stale, false);
+    assert.deepEqual(summary.latestObservedAt, ago(1));
+  });
+
+  test("fields nobody noted stay unknown instead of counting as none", () => {
+    const summary = summarizeConditions([{ observedAt: ago(3), overall: 4, snow: "light" }], { now: NOW });
+    assert.deepEqual(summary.conditions.snow, { level: "light", score: 1, reports: 1 });
+    assert.deepEqual(summary.conditions.ice, { level: null, score: null, reports: 0 });
+  });
+
+  test("obstructions are listed by weighted share, rare old ones dropped", () => {
+    const summary = summarizeConditions(
+      [
+        { observedAt: ago(1), overall: 3, obstructions: ["blowdown"] },
+        { observedAt: ago(2), overall: 3, obstructions: ["blowdown"] },
+        { observedAt: ago(200), overall: 3, obstructions: ["washout"] },
+      ],
+      { now: NOW }
+    );
+    assert.deepEqual(
+      summary.obstructions.map((o) => o.kind),
+      ["blowdown"]
+    );
+    assert.equal(summary.obstructions[0].reports, 2);
+    assert.deepEqual(summary.obstructions[0].lastReportedAt, ago(1));
+  });
+
+  test("only old-ish reports make the summary stale", () => {
+    assert.equal(summarizeConditions([{ observedAt: ago(100), overall: 4 }], { now: NOW }).stale, true);
+  });
+});
+
+describe("ConditionReport model", () => {
+  test("accepts exactly the values parseReport does", () => {
+    for (const field of CONDITION_FIELDS) {
+      assert.deepEqual(ConditionReport.schema.path(field).enumValues, LEVELS, field);
+    }
+    assert.deepEqual(ConditionReport.schema.path("obstructions").embeddedSchemaType.enumValues, OBSTRUCTIONS);
+  });
+});
@@ -0,0 +1,81 @@
+process.env.CACHE_STORE = "memory";
+process.env.WEATHER_PROVIDERS = "local";
+
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { forecastForStops, forecastHorizon, matchDailyPeriod, matchHourlyPeriod } = require("../services/trip-forecast.js");
+const { addDays } = require("../services/weather/periods.js");
+
+const daily = [
+  { name: "Today", startTime: "2025-06-07T06:00:00-06:00", endTime: "2025-06-07T18:00:00-06:00", isDaytime: true },
+  { name: "Tonight", startTime: "2025-06-07T18:00:00-06:00", endTime: "2025-06-08T06:00:00-06:00", isDaytime: false },
+  { name: "Sunday Night", startTime: "2025-06-08T18:00:00-06:00", endTime: "2025-06-09T06:00:00-06:00", isDaytime: false },
+];
+const hourly = [
+  { startTime: "2025-06-07T09:00:00-06:00", endTime: "2025-06-07T10:00:00-06:00" },
+  { startTime: "2025-06-07T10:00:00-06:00", endTime: "2025-06-07T11:00:00-06:00" },
+];
+
+describe("period matching", () => {
+  test("forecastHorizon spans the first to the last period's date", () => {
+    assert.deepEqual(forecastHorizon(daily), { from: "2025-06-07", to: "2025-06-08" });
+    assert.equal(forecastHorizon([]), null);
+  });
+
+  test("a date alone picks that day's daytime period, else whatever it has", () => {
+    assert.equal(matchDailyPeriod(daily, "2025-06-07", null).name, "Today");
+    assert.equal(matchDailyPeriod(daily, "2025-06-08", null).name, "Sunday Night");
+    assert.equal(matchDailyPeriod(daily, "2025-06-10", null), null);
+  });
+
+  test("a time picks the covering period, across midnight too", () => {
+    assert.equal(matchDailyPeriod(daily, "2025-06-07", "20:30").name, "Tonight");
+    assert.equal(matchDailyPeriod(daily, "2025-06-08", "03:00").name, "Tonight");
+  });
+
+  test("hourly matching needs a time and a covering hour", () => {
+    assert.equal(matchHourlyPeriod(hourly, "2025-06-07", "10:15"), hourly[1]);
+    assert.equal(matchHourlyPeriod(hourly, "2025-06-07", "11:00"), null);
+    assert.equal(matchHourlyPeriod(hourly, "2025-06-07", null), null);
+  });
+});
+
+describe("forecastForStops (local fixture provider)", () => {
+  // the fixture provider rebases its periods so the first one is today (UTC date)
+  const today = new Date().toISOString().slice(0, 10);
+  const location = { _id: "loc1", name: "Trailhead", latitude: 39.75, longitude: -105.2 };
+
+  test("scores each stop from the daily or hourly forecast, with warnings where it can't", async () => {
+    const stops = [
+      { _id: "s1", date: today, time: null, location },
+      { _id: "s2", date: today, time: "10:00", location },
+      { _id: "s3", date: addDays(today, 30), time: null, location },
+      { _id: "s4", date: addDays(today, -3), time: null, location },
+      { _id: "s5", date: today, time: null, location: null },
+    ];
+
+    const [daytime, timed, far, past, gone] = await forecastForStops(stops);
+
+    assert.equal(daytime.source, "daily");
+    assert.equal(daytime.period.startTime.slice(0, 10), today);
+    assert.equal(typeof daytime.period.hikeScore.score, "number");
+    assert.deepEqual(daytime.warnings, []);
+
+    assert.equal(timed.source, "hourly");
+    assert.equal(timed.period.startTime.slice(0, 16), `${today}T10:00`);
+
+    assert.equal(far.period, null);
+    assert.deepEqual(
+      far.warnings.map((w) => w.code),
+      ["OUTSIDE_FORECAST_HORIZON"]
+    );
+
+    assert.deepEqual(
+      past.warnings.map((w) => w.code),
+      ["IN_PAST"]
+    );
+
+    assert.equal(gone.error, "Location no longer exists");
+    assert.equal(gone.period, null);
+  });
+});
@@ -0,0 +1,45 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { daysBetween, stopsFromList } = require("../services/trip-stops.js");
+
+/* A list whose entries are stored out of order; locations are just names here */
+const listOf = (...names) => ({
+  locations: names.map((location, order) => ({ location, order })).reverse(),
+});
+
+const layout = (stops) => stops.map((s) => `${s.date} #${s.order} ${s.location}`);
+
+describe("daysBetween", () => {
+  test("counts whole days, across month ends", () => {
+    assert.equal(daysBetween("2025-06-07", "2025-06-07"), 0);
+    assert.equal(daysBetween("2025-06-30", "2025-07-02"), 2);
+  });
+});
+
+describe("stopsFromList", () => {
+  const range = { startDate: "2025-06-07", endDate: "2025-06-08" };
+
+  test("spreads the list evenly over the days in list order", () => {
+    assert.deepEqual(layout(stopsFromList(listOf("a", "b", "c", "d"), range)), [
+      "2025-06-07 #0 a",
+      "2025-06-07 #1 b",
+      "2025-06-08 #0 c",
+      "2025-06-08 #1 d",
+    ]);
+  });
+
+  test("stops that don't fit stopsPerDay go to the last day with their own orders", () => {
+    assert.deepEqual(layout(stopsFromList(listOf("a", "b", "c", "d", "e"), range, 2)), [
+      "2025-06-07 #0 a",
+      "2025-06-07 #1 b",
+      "2025-06-08 #0 c",
+      "2025-06-08 #1 d",
+      "2025-06-08 #2 e",
+    ]);
+  });
+
+  test("fewer locations than days leaves the later days empty", () => {
+    const range3 = { startDate: "2025-06-07", endDate: "2025-06-09" };
+    assert.deepEqual(layout(stopsFromList(listOf("a", "b"), range3)), ["2025-06-07 #0 a", "2025-06-08 #0 b"]);
+  });
+});
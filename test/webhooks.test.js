@@ -0,0 +1,131 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { signatureHeader, verifySignature, validateWebhookUrl, postWebhook } = require("../services/webhooks.js");
+const { backoffDelay } = require("../services/resilience.js");
+const { createWebhookReceiver } = require("../scripts/webhook-receiver.js");
+
+const SECRET = "test-secret";
+
+describe("webhook signatures", () => {
+  const body = JSON.stringify({ event: "subscription.matched", n: 1 });
+
+  test("a signed body verifies", () => {
+    assert.equal(verifySignature(SECRET, signatureHeader(SECRET, body), body), true);
+  });
+
+  test("a different body, secret or garbage header does not", () => {
+    const header = signatureHeader(SECRET, body);
+    assert.equal(verifySignature(SECRET, header, body.replace("1", "2")), false);
+    assert.equal(verifySignature("other-secret", header, body), false);
+    assert.equal(verifySignature(SECRET, "t=abc,v1=zz", body), false);
+    assert.equal(verifySignature(SECRET, undefined, body), false);
+  });
+
+  test("stale timestamps are refused", () => {
+    const tenMinutesAgo = Date.now() - 10 * 60 * 1000;
+    const header = signatureHeader(SECRET, body, tenMinutesAgo);
+    assert.equal(verifySignature(SECRET, header, body), false);
+    assert.equal(verifySignature(SECRET, header, body, { toleranceSec: 15 * 60 }), true);
+  });
+});
+
+describe("validateWebhookUrl", () => {
+  test("accepts public http(s) urls", () => {
+    assert.equal(validateWebhookUrl("https://example.com/hook"), "https://example.com/hook");
+  });
+
+  test("refuses other schemes and credentials", () => {
+    assert.throws(() => validateWebhookUrl("ftp://example.com/"), { status: 400 });
+    assert.throws(() => validateWebhookUrl("not a url"), { status: 400 });
+    assert.throws(() => validateWebhookUrl("https://user:pw@example.com/"), { status: 400 });
+  });
+
+  test("refuses private and loopback hosts in every spelling", () => {
+    for (const url of [
+      "http://localhost:4040/",
+      "http://127.0.0.1/",
+      "http://0x7f000001/",
+      "http://10.0.0.5/",
+      "http://192.168.1.1/",
+      "http://169.254.169.254/latest/meta-data",
+      "http://[::1]/",
+      "http://[::ffff:127.0.0.1]/",
+      "http://[fd00::1]/",
+      "http://printer.local/",
+    ]) {
+      assert.throws(() => validateWebhookUrl(url), { status: 400 }, url);
+    }
+  });
+});
+
+describe("delivery to a local receiver", () => {
+  let receiver;
+  let url;
+
+  before(async () => {
+    process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = "true";
+    receiver = createWebhookReceiver({ secret: SECRET, failFirst: 2 });
+    await new Promise((resolve) => receiver.server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${receiver.server.address().port}/`;
+  });
+
+  after(() => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+    receiver.server.close();
+  });
+
+  test("failed attempts are retried with backoff until the receiver accepts", async () => {
+    const delivery = { _id: "delivery-1", url, payload: { event: "subscription.matched", matches: [] } };
+
+    const attempts = [];
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      const result = await postWebhook(delivery, SECRET);
+      attempts.push(result);
+      if (result.ok) break;
+      // the same wait attemptDelivery schedules (not actually slept here)
+      const wait = Math.max(result.retryAfterMs ?? 0, backoffDelay(attempt, { baseMs: 1000, maxMs: 60000 }));
+      assert.ok(wait >= 1000 && wait <= 60000);
+    }
+
+    assert.deepEqual(
+      attempts.map((a) => a.status),
+      [503, 503, 204]
+    );
+    assert.equal(attempts[0].retryAfterMs, 1000);
+    assert.equal(attempts[0].error, "Receiver answered 503");
+
+    assert.equal(receiver.received.length, 1);
+    const [received] = receiver.received;
+    assert.equal(received.id, "delivery-1");
+    assert.equal(received.event, "subscription.matched");
+    assert.equal(received.valid, true);
+    assert.deepEqual(received.payload, delivery.payload);
+  });
+
+  test("a wrong secret is rejected by the receiver and not counted as delivered", async () => {
+    const result = await postWebhook({ _id: "delivery-2", url, payload: { event: "x" } }, "wrong-secret");
+    assert.equal(result.ok, false);
+    assert.equal(result.status, 401);
+  });
+
+  test("private hosts are refused at delivery time unless allowed", async () => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+    try {
+      const result = await postWebhook({ _id: "delivery-3", url, payload: { event: "x" } }, SECRET);
+      assert.equal(result.ok, false);
+      assert.equal(result.status, null);
+      assert.match(result.error, /not publicly reachable/);
+    } finally {
+      process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = "true";
+    }
+  });
+});
+
+describe("backoffDelay", () => {
+  test("grows exponentially and stays within the cap", () => {
+    for (let attempt = 0; attempt < 12; attempt++) {
+      const delay = backoffDelay(attempt, { baseMs: 100, maxMs: 5000 });
+      assert.ok(delay >= 0 && delay <= Math.min(5000, 100 * 2 ** attempt));
+    }
+  });
+});